@@ -0,0 +1,306 @@
+#!/usr/bin/env node
+// cli.js
+//
+// Run stored templates from the command line, without the server or the extension.
+// Templates come from storage/configs.json (the URL's domain, or --domain), a template
+// file (--template-file, see lib/templateFiles.js) or a built-in template (--builtin).
+// Pages are loaded with the server's engines and crawl policy (robots.txt, per-domain
+// throttling and retries from storage/crawl-settings.json); rows are written to files
+// (or stdout) instead of storage/.
+//
+// Usage: node cli.js [url] [options]
+//   --domain <domain>         templates saved for this domain (default: the URL's domain)
+//   --template-file <file>    templates from a JSON file
+//   --builtin <name>          a built-in template from templates/<name>.json
+//   --template <name>         run only this template (repeatable)
+//   --pages <n>               page limit per template (overrides paginationLimit)
+//   --engine <engine>         run every template on this engine (browser or static)
+//   --format <format>         json, ndjson, csv (default) or xlsx
+//   --output <path>           output file, a directory when several templates run, or "-"
+//                             for stdout (default: <domain>_<template>.<format> here)
+//   --quiet                   no progress logging
+//   --list                    list the built-in templates and the domains in configs.json
+//        node cli.js keys create --name <name> --scope <scope> [--scope ...] [--origin <origin> ...]
+//                             create an API key in storage/api-keys.json (e.g. the first admin
+//                             key, see lib/apiKeys.js); the key is printed once
+//
+// The url may be left out when the template file or built-in template has a default URL.
+// Exits with 1 when a template fails (the rows scraped before the failure are still
+// written) and with 2 on invalid arguments.
+
+const fs = require('fs-extra');
+const path = require('path');
+const puppeteer = require('puppeteer');
+
+const { CRAWL_SETTINGS_PATH, API_KEYS_PATH, AUDIT_LOG } = require('./lib/paths');
+const { normalizeDomain, randomUserAgent, collectTemplate } = require('./lib/scraper');
+const { openSession, ENGINES } = require('./lib/engines');
+const { readConfigs, migrateLegacySelectors } = require('./lib/configs');
+const { validateTemplates } = require('./lib/templateSchema');
+const { readTemplateFile, listBuiltins, readBuiltin } = require('./lib/templateFiles');
+const { createBrowserPool } = require('./lib/browserPool');
+const { createCrawlPolicy } = require('./lib/crawl');
+const { FORMATS, serialize } = require('./lib/exports');
+const { validateKey, createKeyStore } = require('./lib/apiKeys');
+const { createAuditLog } = require('./lib/audit');
+
+const STDOUT = '-';
+const VALUE_OPTIONS = ['domain', 'template-file', 'builtin', 'template', 'pages', 'engine', 'format', 'output'];
+const FLAG_OPTIONS = ['quiet', 'list', 'help'];
+
+// Invalid arguments; exit code 2
+function usageError(message) {
+  return Object.assign(new Error(message), { usage: true });
+}
+
+// The usage lines of the header comment above
+function usage() {
+  const lines = fs.readFileSync(__filename, 'utf8').split('\n');
+  const start = lines.findIndex(line => line.startsWith('// Usage:'));
+  const end = lines.indexOf('//', start);
+  return lines.slice(start, end).map(line => line.slice(3)).join('\n');
+}
+
+// Parse argv into { url, <option>: value, template: [names], <flag>: true }
+function parseArgs(argv) {
+  const options = { url: null, template: [] };
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    if (!arg.startsWith('--')) {
+      if (options.url) throw usageError(`Unexpected argument "${arg}".`);
+      options.url = arg;
+      continue;
+    }
+    const name = arg.slice(2);
+    if (FLAG_OPTIONS.includes(name)) {
+      options[name] = true;
+    } else if (VALUE_OPTIONS.includes(name)) {
+      const value = argv[++index];
+      if (value === undefined) throw usageError(`${arg} needs a value.`);
+      if (name === 'template') {
+        options.template.push(value);
+      } else {
+        options[name] = value;
+      }
+    } else {
+      throw usageError(`Unknown option ${arg}.`);
+    }
+  }
+
+  if (options.pages !== undefined) {
+    const pages = Number(options.pages);
+    if (!Number.isInteger(pages) || pages < 1) throw usageError('--pages must be a positive integer.');
+    options.pages = pages;
+  }
+  options.format = options.format || 'csv';
+  if (!FORMATS[options.format]) {
+    throw usageError(`Unknown format "${options.format}". Expected one of: ${Object.keys(FORMATS).join(', ')}.`);
+  }
+  if (options.engine && !ENGINES.includes(options.engine)) {
+    throw usageError(`Unknown engine "${options.engine}". Expected one of: ${ENGINES.join(', ')}.`);
+  }
+  if (options['template-file'] && options.builtin) {
+    throw usageError('Use either --template-file or --builtin.');
+  }
+  return options;
+}
+
+// The templates to run and the start URL: { url, domain, templates }
+function loadTemplates(options) {
+  let source;
+  if (options['template-file']) {
+    source = readTemplateFile(options['template-file']);
+  } else if (options.builtin) {
+    source = readBuiltin(options.builtin);
+    if (!source) {
+      throw usageError(`Unknown built-in template "${options.builtin}". Available: ${listBuiltins().join(', ') || 'none'}.`);
+    }
+  }
+
+  const url = options.url || (source && source.url);
+  if (!url) throw usageError('A URL is required.');
+  try {
+    new URL(url);
+  } catch (error) {
+    throw usageError(`Invalid URL "${url}".`);
+  }
+  const domain = normalizeDomain(new URL(url).hostname);
+
+  let templates;
+  if (source) {
+    templates = source.templates;
+  } else {
+    const configDomain = normalizeDomain(options.domain || domain);
+    const config = (readConfigs() || {})[configDomain];
+    if (!config) throw usageError(`No config saved for ${configDomain} in storage/configs.json.`);
+    templates = config.templates || migrateLegacySelectors(config.selectors || {});
+  }
+
+  const selected = {};
+  const names = options.template.length > 0 ? options.template : Object.keys(templates);
+  names.forEach(name => {
+    if (!templates[name]) {
+      throw usageError(`Unknown template "${name}". Available: ${Object.keys(templates).join(', ')}.`);
+    }
+    // Copies, so the overrides never touch the stored templates
+    const template = JSON.parse(JSON.stringify(templates[name]));
+    if (options.pages) template.paginationLimit = options.pages;
+    if (options.engine) template.engine = options.engine;
+    selected[name] = template;
+  });
+
+  const errors = validateTemplates(selected);
+  if (errors.length > 0) {
+    throw usageError(`Invalid templates:\n  ${errors.join('\n  ')}`);
+  }
+  return { url, domain, templates: selected };
+}
+
+// Output path of each template: { <template>: path or STDOUT }
+function outputPaths(options, domain, templateNames) {
+  const { extension } = FORMATS[options.format];
+  const fileName = (name) => `${domain}_${name}.${extension}`;
+  const output = options.output;
+
+  if (output === STDOUT) {
+    if (templateNames.length > 1) throw usageError('--output - needs a single --template.');
+    if (options.format === 'xlsx') throw usageError('xlsx cannot be written to stdout.');
+    return { [templateNames[0]]: STDOUT };
+  }
+
+  const paths = {};
+  const toDirectory = output && (templateNames.length > 1 || output.endsWith(path.sep) || (fs.existsSync(output) && fs.statSync(output).isDirectory()));
+  templateNames.forEach(name => {
+    if (!output) {
+      paths[name] = path.resolve(fileName(name));
+    } else if (toDirectory) {
+      paths[name] = path.resolve(output, fileName(name));
+    } else {
+      paths[name] = path.resolve(output);
+    }
+  });
+  return paths;
+}
+
+// Logger for the run: progress goes to stderr when stdout carries the rows and is
+// dropped with --quiet; errors always go to stderr
+function createLogger(options) {
+  const error = (...args) => console.error(...args);
+  if (options.quiet) {
+    return { log: () => {}, warn: () => {}, error };
+  }
+  if (options.output === STDOUT) {
+    return { log: error, warn: error, error };
+  }
+  return console;
+}
+
+// keys create: add a key to the key store and print it; resolves the exit code
+function createKey(argv, { keysFile, auditLog }) {
+  const options = { scopes: [], origins: [] };
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    const value = argv[index + 1];
+    if (!['--name', '--scope', '--origin'].includes(arg)) {
+      console.error(`Unknown option ${arg}.`);
+      return 2;
+    }
+    if (value === undefined) {
+      console.error(`${arg} needs a value.`);
+      return 2;
+    }
+    if (arg === '--name') options.name = value;
+    if (arg === '--scope') options.scopes.push(value);
+    if (arg === '--origin') options.origins.push(value);
+    index++;
+  }
+
+  const errors = validateKey(options);
+  if (errors.length > 0) {
+    console.error(`Invalid API key:\n  ${errors.join('\n  ')}`);
+    return 2;
+  }
+  const created = createKeyStore(keysFile).create(options);
+  createAuditLog(auditLog).record(null, 'key.create', { keyId: created.id, name: created.name, scopes: created.scopes, origins: created.origins, via: 'cli' });
+  console.log(`Created API key "${created.name}" (${created.scopes.join(', ')}). It is not shown again:`);
+  console.log(created.key);
+  return 0;
+}
+
+// Run the CLI with the given arguments; resolves the exit code.
+// keysFile and auditLog are where "keys create" writes (storage/ by default).
+async function run(argv, { keysFile = API_KEYS_PATH, auditLog = AUDIT_LOG } = {}) {
+  if (argv[0] === 'keys') {
+    if (argv[1] !== 'create') {
+      console.error('Usage: node cli.js keys create --name <name> --scope <scope> [--scope ...] [--origin <origin> ...]');
+      return 2;
+    }
+    return createKey(argv.slice(2), { keysFile, auditLog });
+  }
+
+  let options;
+  try {
+    options = parseArgs(argv);
+    if (options.help) {
+      console.log(usage());
+      return 0;
+    }
+    if (options.list) {
+      console.log(`Built-in templates: ${listBuiltins().join(', ') || 'none'}`);
+      console.log(`Domains in configs.json: ${Object.keys(readConfigs() || {}).join(', ') || 'none'}`);
+      return 0;
+    }
+  } catch (error) {
+    console.error(error.message);
+    return 2;
+  }
+
+  let pool = null;
+  try {
+    const { url, domain, templates } = loadTemplates(options);
+    const outputs = outputPaths(options, domain, Object.keys(templates));
+
+    // The browser is only launched when a template (or a follow field's template) needs it
+    const logger = createLogger(options);
+    pool = createBrowserPool({ launch: () => puppeteer.launch({ headless: true }), logger });
+    const policy = createCrawlPolicy({ settingsFile: CRAWL_SETTINGS_PATH, logger });
+    const userAgent = randomUserAgent();
+
+    const outcomes = await Promise.all(Object.keys(templates).map(async (name) => {
+      const outcome = await collectTemplate(name, templates[name], {
+        url,
+        openSession: (engine, { detail = false } = {}) => openSession(engine, { pool, userAgent, policy, detail }),
+        logger
+      });
+      if (outcome.failure) {
+        logger.error(`Template "${name}" stopped at ${outcome.failedUrl}: ${outcome.failure.message}`);
+      }
+
+      const { body } = await serialize(outcome.rows, options.format, { sheetName: name, template: templates[name] });
+      if (outputs[name] === STDOUT) {
+        process.stdout.write(body);
+      } else {
+        fs.outputFileSync(outputs[name], body);
+        logger.log(`Saved ${outcome.rows.length} row(s) of template "${name}" to ${outputs[name]}`);
+      }
+      return outcome;
+    }));
+
+    return outcomes.some(outcome => outcome.failure) ? 1 : 0;
+  } catch (error) {
+    console.error(error.message);
+    return error.usage ? 2 : 1;
+  } finally {
+    if (pool) await pool.close();
+  }
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = {
+  run
+};
@@ -0,0 +1,302 @@
+// lib/analytics.js
+//
+// Market price analytics over the canonical vehicle records (lib/vehicles.js).
+// Only records with a make, a price and the requested currency are used, so prices
+// from different sites are compared like for like.
+//
+//   groupStats    - price statistics (median, percentiles) per make, model, year band,
+//                   fuel and mileage band
+//   fitDepreciation - least squares fit of ln(price) = a + b * age + c * mileage (per 10 000 km);
+//                   1 - e^b is the yearly depreciation
+//   createMarket  - estimates a vehicle's market price from its peer group (same make,
+//                   model, year band, fuel and mileage band, widened until there are enough
+//                   peers) or, without enough peers, from the depreciation model, and scores
+//                   its price against that estimate
+
+const GROUP_FIELDS = ['make', 'model', 'yearBand', 'fuel', 'mileageBand'];
+
+const DEFAULT_OPTIONS = {
+  currency: 'EUR',
+  yearBandSize: 3,
+  mileageBandSize: 50000,
+  minPeers: 5,
+  minModelSize: 10,
+  threshold: 0.15 // Listings this far below the estimate are flagged as under-priced
+};
+
+// Peer groups from the most to the least specific
+const PEER_LEVELS = [
+  ['make', 'model', 'yearBand', 'fuel', 'mileageBand'],
+  ['make', 'model', 'yearBand', 'fuel'],
+  ['make', 'model', 'yearBand'],
+  ['make', 'model']
+];
+
+// Depreciation models from the most to the least specific
+const MODEL_LEVELS = [['make', 'model'], ['make'], []];
+
+function round(value, digits = 0) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+// Percentile (0-100) of sorted numbers, interpolating between neighbours
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const position = (sorted.length - 1) * (p / 100);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+function priceStats(prices) {
+  const sorted = prices.slice().sort((a, b) => a - b);
+  return {
+    count: sorted.length,
+    min: sorted[0],
+    p10: round(percentile(sorted, 10)),
+    p25: round(percentile(sorted, 25)),
+    median: round(percentile(sorted, 50)),
+    p75: round(percentile(sorted, 75)),
+    p90: round(percentile(sorted, 90)),
+    max: sorted[sorted.length - 1],
+    mean: round(sorted.reduce((sum, price) => sum + price, 0) / sorted.length)
+  };
+}
+
+// 2014 -> "2013-2015" with bands of 3 years (bands start at multiples of the size)
+function yearBand(year, size) {
+  if (!year) return null;
+  const start = Math.floor(year / size) * size;
+  return size === 1 ? String(start) : `${start}-${start + size - 1}`;
+}
+
+// 123456 -> "100k-150k" with bands of 50 000 km
+function mileageBand(mileageKm, size) {
+  if (mileageKm === null || mileageKm === undefined) return null;
+  const start = Math.floor(mileageKm / size) * size;
+  return `${start / 1000}k-${(start + size) / 1000}k`;
+}
+
+// Group values of a vehicle; make and model compare case-insensitively
+function groupValues(vehicle, settings) {
+  return {
+    make: vehicle.make ? String(vehicle.make).toLowerCase() : null,
+    model: vehicle.model ? String(vehicle.model).toLowerCase() : null,
+    yearBand: yearBand(vehicle.year, settings.yearBandSize),
+    fuel: vehicle.fuel || null,
+    mileageBand: mileageBand(vehicle.mileageKm, settings.mileageBandSize)
+  };
+}
+
+function groupKey(values, fields) {
+  return JSON.stringify(fields.map(field => values[field]));
+}
+
+// Whether a vehicle's price is in the market's currency (prices without one are assumed to be)
+function inCurrency(vehicle, settings) {
+  return (vehicle.currency || settings.currency) === settings.currency;
+}
+
+// Records usable for analytics: [{ ...entry, vehicle, groups }]
+function usableRecords(entries, settings) {
+  return entries
+    .filter(entry => {
+      const vehicle = entry.vehicle;
+      return vehicle && vehicle.make && typeof vehicle.price === 'number' && vehicle.price > 0 &&
+        inCurrency(vehicle, settings);
+    })
+    .map(entry => Object.assign({}, entry, { groups: groupValues(entry.vehicle, settings) }));
+}
+
+// Price statistics per group of the given fields, largest groups first
+function groupStats(entries, { groupBy = GROUP_FIELDS, minCount = 1, ...options } = {}) {
+  const settings = Object.assign({}, DEFAULT_OPTIONS, options);
+  const groups = new Map();
+
+  usableRecords(entries, settings).forEach(record => {
+    const key = groupKey(record.groups, groupBy);
+    if (!groups.has(key)) {
+      const group = {};
+      groupBy.forEach(field => {
+        group[field] = field === 'make' || field === 'model' ? record.vehicle[field] : record.groups[field];
+      });
+      groups.set(key, { group, prices: [] });
+    }
+    groups.get(key).prices.push(record.vehicle.price);
+  });
+
+  return Array.from(groups.values())
+    .filter(({ prices }) => prices.length >= minCount)
+    .map(({ group, prices }) => Object.assign({ group, currency: settings.currency }, priceStats(prices)))
+    .sort((a, b) => b.count - a.count);
+}
+
+// Solve the linear system a * x = b (Gaussian elimination); null when singular
+function solve(a, b) {
+  const n = b.length;
+  const m = a.map((row, i) => row.concat(b[i]));
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+    }
+    if (Math.abs(m[pivot][col]) < 1e-9) return null;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    for (let row = 0; row < n; row++) {
+      if (row === col) continue;
+      const factor = m[row][col] / m[col][col];
+      for (let k = col; k <= n; k++) m[row][k] -= factor * m[col][k];
+    }
+  }
+  return m.map((row, i) => row[n] / row[i]);
+}
+
+// Fit ln(price) = a + b * age + c * (mileage / 10 000) by least squares.
+// Returns null with fewer than minModelSize usable records or degenerate data.
+function fitDepreciation(records, { referenceYear = new Date().getFullYear(), minModelSize = DEFAULT_OPTIONS.minModelSize } = {}) {
+  const samples = records.filter(({ vehicle }) => vehicle.year && typeof vehicle.mileageKm === 'number');
+  if (samples.length < minModelSize) return null;
+
+  const xs = samples.map(({ vehicle }) => [1, referenceYear - vehicle.year, vehicle.mileageKm / 10000]);
+  const ys = samples.map(({ vehicle }) => Math.log(vehicle.price));
+
+  const xtx = [0, 1, 2].map(i => [0, 1, 2].map(j => xs.reduce((sum, x) => sum + x[i] * x[j], 0)));
+  const xty = [0, 1, 2].map(i => xs.reduce((sum, x, index) => sum + x[i] * ys[index], 0));
+  const coefficients = solve(xtx, xty);
+  if (!coefficients) return null;
+
+  const [intercept, perYear, per10000Km] = coefficients;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+  const predicted = xs.map(x => intercept + perYear * x[1] + per10000Km * x[2]);
+  const residual = ys.reduce((sum, y, index) => sum + Math.pow(y - predicted[index], 2), 0);
+  const total = ys.reduce((sum, y) => sum + Math.pow(y - meanY, 2), 0);
+
+  return {
+    samples: samples.length,
+    referenceYear,
+    coefficients: { intercept, perYear, per10000Km },
+    yearlyDepreciation: round(1 - Math.exp(perYear), 4),
+    depreciationPer10000Km: round(1 - Math.exp(per10000Km), 4),
+    r2: total > 0 ? round(1 - residual / total, 4) : null,
+    predict: (vehicle) => {
+      if (!vehicle.year || typeof vehicle.mileageKm !== 'number') return null;
+      return Math.exp(intercept + perYear * (referenceYear - vehicle.year) + per10000Km * (vehicle.mileageKm / 10000));
+    }
+  };
+}
+
+// Market over a set of stored vehicle entries ({ vehicle, domain, template, key, ... })
+function createMarket(entries, options = {}) {
+  const settings = Object.assign({}, DEFAULT_OPTIONS, options);
+  const records = usableRecords(entries, settings);
+
+  const peerGroups = PEER_LEVELS.map(fields => {
+    const groups = new Map();
+    records.forEach(record => {
+      const key = groupKey(record.groups, fields);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(record.vehicle.price);
+    });
+    return { fields, groups };
+  });
+
+  const models = new Map();
+  const depreciationModel = (fields, groups) => {
+    const key = `${fields.join(',')}:${groupKey(groups, fields)}`;
+    if (!models.has(key)) {
+      const matching = records.filter(record => fields.every(field => record.groups[field] === groups[field]));
+      models.set(key, fitDepreciation(matching, { minModelSize: settings.minModelSize }));
+    }
+    return models.get(key);
+  };
+
+  // Market estimate: { estimate, method, peers?, level, model? } or null.
+  // A stored listing (stored: true) is left out of its own peer group.
+  function estimate(vehicle, { stored = false } = {}) {
+    const groups = groupValues(vehicle, settings);
+    for (let { fields, groups: peers } of peerGroups) {
+      if (fields.some(field => groups[field] === null)) continue;
+      let prices = peers.get(groupKey(groups, fields)) || [];
+      const own = stored ? prices.indexOf(vehicle.price) : -1;
+      if (own >= 0) {
+        prices = prices.slice();
+        prices.splice(own, 1);
+      }
+      if (prices.length >= settings.minPeers) {
+        return { estimate: round(priceStats(prices).median), method: 'peers', level: fields, peers: priceStats(prices) };
+      }
+    }
+    for (let fields of MODEL_LEVELS) {
+      if (fields.some(field => groups[field] === null)) continue;
+      const model = depreciationModel(fields, groups);
+      const predicted = model && model.predict(vehicle);
+      if (predicted) {
+        return {
+          estimate: round(predicted),
+          method: 'depreciation',
+          level: fields,
+          model: { samples: model.samples, r2: model.r2, yearlyDepreciation: model.yearlyDepreciation }
+        };
+      }
+    }
+    return null;
+  }
+
+  // Price of a vehicle against its market estimate; deviation is (price - estimate) / estimate.
+  // Prices in another currency than the market's are not scored.
+  function score(vehicle, options) {
+    const market = inCurrency(vehicle, settings) ? estimate(vehicle, options) : null;
+    if (!market || typeof vehicle.price !== 'number') {
+      return { estimate: null, deviation: null, underpriced: false, market };
+    }
+    const deviation = round((vehicle.price - market.estimate) / market.estimate, 4);
+    return {
+      estimate: market.estimate,
+      deviation,
+      underpriced: deviation <= -settings.threshold,
+      market
+    };
+  }
+
+  // Stored listings priced at least threshold below their estimate, best deals first
+  function deals() {
+    return records
+      .map(record => Object.assign({
+        domain: record.domain,
+        template: record.template,
+        key: record.key,
+        lastSeen: record.lastSeen,
+        vehicle: record.vehicle
+      }, score(record.vehicle, { stored: true })))
+      .filter(entry => entry.underpriced)
+      .sort((a, b) => a.deviation - b.deviation);
+  }
+
+  return {
+    currency: settings.currency,
+    size: records.length,
+    estimate,
+    score,
+    deals,
+    // Depreciation model for a make and model (or a make, or the whole market)
+    depreciation: ({ make, model } = {}) => {
+      const groups = groupValues({ make, model }, settings);
+      const fields = MODEL_LEVELS.find(level => level.every(field => groups[field]));
+      const fitted = depreciationModel(fields, groups);
+      return fitted && Object.assign({ level: fields }, fitted);
+    }
+  };
+}
+
+module.exports = {
+  GROUP_FIELDS,
+  DEFAULT_OPTIONS,
+  percentile,
+  priceStats,
+  yearBand,
+  mileageBand,
+  groupStats,
+  fitDepreciation,
+  createMarket
+};
@@ -0,0 +1,243 @@
+// lib/apiKeys.js
+//
+// API keys, persisted in storage/api-keys.json. Each key has:
+//   name       - who or what uses it
+//   scopes     - what it may do (SCOPES)
+//   rateLimit  - { windowMs, max } for scrape and preview requests
+//   origins    - browser origins allowed to use it (the Origin header); requests without
+//                an Origin (server-side clients, curl) are always allowed
+//
+// Only a SHA-256 hash of each key is stored: the key itself is returned once, on creation.
+// Revoked keys stay in the file (with revokedAt) so the audit log can still name them.
+//
+// The API_KEY environment variable (.env or server.env) remains valid as a built-in key with every scope.
+// Without it, the first admin key is created on the server's machine with
+//   node cli.js keys create --name <name> --scope admin
+// The store reloads the file when it changes, so a running server accepts the new key.
+//
+// On /download the key may also be sent as ?key=, so the extension can offer plain links.
+// A key in a URL ends up in browser history and in the access logs of any proxy in front
+// of the server: give keys used in links only the download scope and revoke them when
+// they leak. The audit log records the path without the query string.
+
+const fs = require('fs-extra');
+const crypto = require('crypto');
+const rateLimit = require('express-rate-limit');
+
+const SCOPES = ['configs:read', 'configs:write', 'scrape', 'download', 'storage', 'admin'];
+
+const DEFAULT_RATE_LIMIT = { windowMs: 60 * 1000, max: 5 };
+const TOUCH_INTERVAL = 60 * 1000; // lastUsedAt is persisted at most this often per key
+
+const ENV_KEY_ID = 'env';
+
+// scheme://host[:port] with no path; URL#origin is "null" for chrome-extension:// URLs
+const ORIGIN_PATTERN = /^[a-z][a-z0-9+.-]*:\/\/[^/?#\s]+$/i;
+
+function hashKey(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Key record without its hash, as returned by the admin endpoints
+function publicKey(key) {
+  const { hash, ...rest } = key;
+  return rest;
+}
+
+// Validate a new key; returns a list of error messages
+function validateKey({ name, scopes, rateLimit, origins }) {
+  const errors = [];
+  if (!name || typeof name !== 'string') {
+    errors.push('name is required.');
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    errors.push(`scopes must be a non-empty array of: ${SCOPES.join(', ')}.`);
+  } else {
+    scopes.filter(scope => !SCOPES.includes(scope)).forEach(scope => {
+      errors.push(`Unknown scope "${scope}". Expected one of: ${SCOPES.join(', ')}.`);
+    });
+  }
+  if (rateLimit !== undefined) {
+    const isPositive = (value) => Number.isInteger(value) && value > 0;
+    if (!rateLimit || typeof rateLimit !== 'object' || !isPositive(rateLimit.windowMs) || !isPositive(rateLimit.max)) {
+      errors.push('rateLimit must be { windowMs, max } with positive integers.');
+    }
+  }
+  if (origins !== undefined) {
+    if (!Array.isArray(origins)) {
+      errors.push('origins must be an array of origins.');
+    } else {
+      origins.forEach((origin, index) => {
+        if (typeof origin !== 'string' || !ORIGIN_PATTERN.test(origin)) {
+          errors.push(`origins[${index}] must be an origin such as "https://example.com" or "chrome-extension://<id>".`);
+        }
+      });
+    }
+  }
+  return errors;
+}
+
+// envKey: { token, origins } for the API_KEY environment variable, or null
+function createKeyStore(file, { envKey = null } = {}) {
+  let keys = [];
+  let byHash = new Map();
+  let loadedMtime = null; // mtimeMs of the file as last read or written
+
+  const mtimeOf = () => (fs.existsSync(file) ? fs.statSync(file).mtimeMs : null);
+
+  // Reread the file when another process (cli.js keys create) has changed it
+  const refresh = () => {
+    const mtime = mtimeOf();
+    if (mtime === loadedMtime) return;
+    keys = mtime === null ? [] : fs.readJSONSync(file);
+    byHash = new Map(keys.map(key => [key.hash, key]));
+    loadedMtime = mtime;
+  };
+
+  const save = () => {
+    fs.writeJSONSync(file, keys, { spaces: 2 });
+    loadedMtime = mtimeOf();
+  };
+
+  refresh();
+
+  const builtIn = envKey && envKey.token ? {
+    id: ENV_KEY_ID,
+    name: 'API_KEY (environment)',
+    prefix: envKey.token.slice(0, 4),
+    scopes: SCOPES.slice(),
+    rateLimit: DEFAULT_RATE_LIMIT,
+    origins: envKey.origins || [],
+    builtIn: true
+  } : null;
+  const builtInHash = builtIn ? hashKey(envKey.token) : null;
+
+  // Create a key; returns { key: <the secret key>, ...record }
+  function create({ name, scopes, rateLimit, origins }) {
+    refresh();
+    const token = `csk_${crypto.randomBytes(24).toString('base64url')}`;
+    const key = {
+      id: crypto.randomUUID(),
+      name,
+      prefix: token.slice(0, 8),
+      hash: hashKey(token),
+      scopes,
+      rateLimit: rateLimit || DEFAULT_RATE_LIMIT,
+      origins: origins || [],
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      revokedAt: null
+    };
+    keys.push(key);
+    byHash.set(key.hash, key);
+    save();
+    return Object.assign({ key: token }, publicKey(key));
+  }
+
+  function revoke(id) {
+    refresh();
+    const key = keys.find(entry => entry.id === id);
+    if (!key) return null;
+    if (!key.revokedAt) {
+      key.revokedAt = new Date().toISOString();
+      save();
+    }
+    return publicKey(key);
+  }
+
+  function list() {
+    refresh();
+    return (builtIn ? [builtIn] : []).concat(keys.map(publicKey));
+  }
+
+  // The active key for a secret, or null
+  function authenticate(token) {
+    if (typeof token !== 'string' || !token) return null;
+    refresh();
+    const hash = hashKey(token);
+    if (builtInHash && crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(builtInHash))) {
+      return builtIn;
+    }
+    const key = byHash.get(hash);
+    if (!key || key.revokedAt) return null;
+
+    const now = Date.now();
+    if (!key.lastUsedAt || now - new Date(key.lastUsedAt).getTime() > TOUCH_INTERVAL) {
+      key.lastUsedAt = new Date(now).toISOString();
+      save();
+    }
+    return key;
+  }
+
+  // Origins of every active key, for CORS preflight requests (which carry no key)
+  function allowedOrigins() {
+    refresh();
+    const origins = new Set(builtIn ? builtIn.origins : []);
+    keys.filter(key => !key.revokedAt).forEach(key => key.origins.forEach(origin => origins.add(origin)));
+    return Array.from(origins);
+  }
+
+  return { create, revoke, list, authenticate, allowedOrigins };
+}
+
+// Express middleware: the key is sent in the x-api-key header, or as ?key= on /download so
+// plain links work. Browser requests (with an Origin header) must come from one of the
+// key's origins. The root endpoint needs no key.
+function authenticateRequests(keyStore) {
+  return (req, res, next) => {
+    if (req.path === '/') {
+      return next();
+    }
+
+    const token = req.headers['x-api-key'] || (req.path === '/download' ? req.query.key : undefined);
+    const key = keyStore.authenticate(token);
+    if (!key) {
+      return res.status(403).json({ error: 'Forbidden: Invalid API Key.' });
+    }
+    const origin = req.headers.origin;
+    if (origin && !key.origins.includes(origin)) {
+      return res.status(403).json({ error: `Forbidden: origin ${origin} is not allowed for this API key.` });
+    }
+    req.apiKey = key;
+    next();
+  };
+}
+
+// Route guard: the request's API key must have the scope
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.apiKey.scopes.includes(scope)) {
+      return res.status(403).json({ error: `Forbidden: this API key lacks the "${scope}" scope.` });
+    }
+    next();
+  };
+}
+
+// Rate limiter per API key, with the key's rateLimit settings (one limiter per setting,
+// so a changed limit starts a new window)
+function createKeyRateLimit() {
+  const limiters = new Map();
+  return (req, res, next) => {
+    const { id, rateLimit: { windowMs, max } } = req.apiKey;
+    const limiterKey = `${id}:${windowMs}:${max}`;
+    if (!limiters.has(limiterKey)) {
+      limiters.set(limiterKey, rateLimit({
+        windowMs,
+        max,
+        keyGenerator: () => id,
+        message: { error: 'Too many scraping requests for this API key, please try again later.' }
+      }));
+    }
+    limiters.get(limiterKey)(req, res, next);
+  };
+}
+
+module.exports = {
+  SCOPES,
+  DEFAULT_RATE_LIMIT,
+  validateKey,
+  createKeyStore,
+  authenticateRequests,
+  requireScope,
+  createKeyRateLimit
+};
@@ -0,0 +1,45 @@
+// lib/audit.js
+//
+// Append-only audit log (storage/audit.log, one JSON entry per line) of config changes,
+// scrapes, downloads and key management:
+//   { at, action, key: { id, name } | null, ip, method, path, details }
+// Entries are only ever appended; the file is never rewritten by the server.
+
+const fs = require('fs-extra');
+
+function createAuditLog(logFile) {
+  // Record an action; req is the Express request (null for scheduled runs)
+  function record(req, action, details = {}) {
+    const entry = {
+      at: new Date().toISOString(),
+      action,
+      key: req && req.apiKey ? { id: req.apiKey.id, name: req.apiKey.name } : null,
+      ip: req ? req.ip : null,
+      method: req ? req.method : null,
+      path: req ? req.path : null,
+      details
+    };
+    fs.appendFileSync(logFile, `${JSON.stringify(entry)}\n`);
+    return entry;
+  }
+
+  // Entries, newest first, optionally filtered by action (or action prefix such as "config.")
+  // and key id
+  function read({ action, keyId, limit = 100 } = {}) {
+    if (!fs.existsSync(logFile)) return [];
+    return fs.readFileSync(logFile, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => JSON.parse(line))
+      .filter(entry => !action || entry.action === action || (action.endsWith('.') && entry.action.startsWith(action)))
+      .filter(entry => !keyId || (entry.key && entry.key.id === keyId))
+      .reverse()
+      .slice(0, limit);
+  }
+
+  return { record, read };
+}
+
+module.exports = {
+  createAuditLog
+};
@@ -0,0 +1,259 @@
+// lib/browserPool.js
+//
+// Shared headless Chrome for the browser engine. Sessions lease pages from the pool
+// instead of opening pages on the browser directly:
+//   - at most `size` pages are leased at once; further leases wait for a free page.
+//     Detail leases (follow field pages) may use every page, other leases leave one free
+//     for them: a template holding its listing page can always get a detail page, so
+//     templates running side by side cannot all wait on each other.
+//   - a lease waits at most `acquireTimeoutMs`, and gives up when the run is cancelled
+//   - released pages are kept for the next lease and retired after `maxNavigations`
+//     page loads, so long runs do not keep growing a page's memory
+//   - the browser is launched on first use, pinged every `healthCheckMs` and relaunched
+//     when it disconnects (crash, killed process, failed health check)
+//
+// A lease's navigate() hands out the page to load the next URL in, swapping in a fresh
+// page when the current one is worn out or its browser went away; a load that failed
+// because Chrome crashed therefore succeeds on the crawl policy's retry.
+
+const DEFAULT_SIZE = 3;
+const DEFAULT_MAX_NAVIGATIONS = 50;
+const DEFAULT_HEALTH_CHECK = 30 * 1000;
+const HEALTH_CHECK_TIMEOUT = 10 * 1000;
+const RELAUNCH_DELAY = 30 * 1000; // Wait this long after a failed launch before trying again
+const DEFAULT_ACQUIRE_TIMEOUT = 5 * 60 * 1000;
+const WAIT_POLL = 1000; // Waiting leases check isCancelled() this often
+
+// Resource types that are not needed for scraping
+const BLOCKED_RESOURCES = ['image', 'stylesheet', 'font', 'media'];
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// launch() resolves a Puppeteer browser, e.g. () => puppeteer.launch({ headless: true });
+// logger ({ warn, error }, default console) receives the relaunch warnings
+function createBrowserPool({
+  launch,
+  size = DEFAULT_SIZE,
+  maxNavigations = DEFAULT_MAX_NAVIGATIONS,
+  healthCheckMs = DEFAULT_HEALTH_CHECK,
+  acquireTimeoutMs = DEFAULT_ACQUIRE_TIMEOUT,
+  logger = console
+}) {
+  let browser = null;
+  let launching = null;
+  let launchFailure = null; // { at, message } of the last failed launch
+  let launches = 0;
+  let recycled = 0;
+
+  const idle = []; // Released pages: { page, browser, navigations }
+  const waiting = []; // Wake-up callbacks of leases waiting for a page
+  let active = 0;
+
+  function onDisconnected(instance) {
+    if (browser !== instance) return;
+    browser = null;
+    idle.length = 0;
+    logger.warn('Puppeteer browser disconnected; relaunching.');
+    getBrowser().catch(error => logger.error('Failed to relaunch Puppeteer:', error.message));
+  }
+
+  async function getBrowser() {
+    if (browser && browser.isConnected()) {
+      return browser;
+    }
+    if (!launching) {
+      if (launchFailure && Date.now() - launchFailure.at < RELAUNCH_DELAY) {
+        throw new Error(`Puppeteer browser is not available (${launchFailure.message}).`);
+      }
+      launching = launch()
+        .then(instance => {
+          browser = instance;
+          launches++;
+          launchFailure = null;
+          instance.on('disconnected', () => onDisconnected(instance));
+          return instance;
+        }, error => {
+          launchFailure = { at: Date.now(), message: error.message };
+          throw new Error(`Puppeteer browser is not available (${error.message}).`);
+        })
+        .finally(() => {
+          launching = null;
+        });
+    }
+    return launching;
+  }
+
+  async function newEntry() {
+    const instance = await getBrowser();
+    const page = await instance.newPage();
+
+    // Optimize memory usage by blocking unnecessary resources
+    await page.setRequestInterception(true);
+    page.on('request', (req) => {
+      if (BLOCKED_RESOURCES.includes(req.resourceType())) {
+        req.abort();
+      } else {
+        req.continue();
+      }
+    });
+
+    return { page, browser: instance, navigations: 0 };
+  }
+
+  function usable(entry) {
+    return entry.browser === browser && !entry.page.isClosed() && entry.navigations < maxNavigations;
+  }
+
+  function retire(entry) {
+    if (entry.navigations >= maxNavigations) recycled++;
+    if (!entry.page.isClosed()) {
+      entry.page.close().catch(() => {});
+    }
+  }
+
+  async function takeEntry() {
+    while (idle.length > 0) {
+      const entry = idle.pop();
+      if (usable(entry)) return entry;
+      retire(entry);
+    }
+    return newEntry();
+  }
+
+  // Wait until a page is freed, or at most ms (to check cancellation and the deadline)
+  function waitForSlot(ms) {
+    return new Promise(resolve => {
+      const wake = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      const timer = setTimeout(() => {
+        const index = waiting.indexOf(wake);
+        if (index >= 0) waiting.splice(index, 1);
+        resolve();
+      }, ms);
+      waiting.push(wake);
+    });
+  }
+
+  // Lease a page: { page, navigate(), release() }. detail: for a follow field's pages.
+  // Rejects when no page is free within timeoutMs or isCancelled() returns true meanwhile.
+  async function acquire({ userAgent, detail = false, isCancelled = () => false, timeoutMs = acquireTimeoutMs } = {}) {
+    const limit = detail || size < 2 ? size : size - 1;
+    const deadline = Date.now() + timeoutMs;
+    while (active >= limit) {
+      if (isCancelled()) {
+        throw new Error('Cancelled while waiting for a browser page.');
+      }
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        throw new Error(`Timed out after ${timeoutMs} ms waiting for a browser page (all ${size} in use).`);
+      }
+      await waitForSlot(Math.min(WAIT_POLL, remaining));
+    }
+    active++;
+
+    // Waiting leases re-check their own limit, so wake them all
+    const freeSlot = () => {
+      active--;
+      waiting.splice(0).forEach(wake => wake());
+    };
+
+    let entry;
+    try {
+      entry = await takeEntry();
+      if (userAgent) await entry.page.setUserAgent(userAgent);
+    } catch (error) {
+      freeSlot();
+      throw error;
+    }
+
+    let released = false;
+    return {
+      get page() {
+        return entry.page;
+      },
+      // The page to load the next URL in (counted as a navigation)
+      navigate: async () => {
+        if (!usable(entry)) {
+          retire(entry);
+          entry = await newEntry();
+          if (userAgent) await entry.page.setUserAgent(userAgent);
+        }
+        entry.navigations++;
+        return entry.page;
+      },
+      release: async () => {
+        if (released) return;
+        released = true;
+        if (usable(entry)) {
+          idle.push(entry);
+        } else {
+          retire(entry);
+        }
+        freeSlot();
+      }
+    };
+  }
+
+  // Relaunch a browser that stopped responding
+  async function checkHealth() {
+    const instance = browser;
+    if (!instance || !instance.isConnected()) return;
+    try {
+      await withTimeout(instance.version(), HEALTH_CHECK_TIMEOUT, 'no response');
+    } catch (error) {
+      logger.warn(`Puppeteer health check failed (${error.message}); restarting the browser.`);
+      const chrome = instance.process();
+      if (chrome) chrome.kill('SIGKILL');
+      onDisconnected(instance);
+    }
+  }
+
+  const healthTimer = setInterval(() => {
+    checkHealth().catch(() => {});
+  }, healthCheckMs);
+  healthTimer.unref();
+
+  async function close() {
+    clearInterval(healthTimer);
+    const instance = browser;
+    browser = null;
+    idle.length = 0;
+    if (instance) await instance.close();
+  }
+
+  function stats() {
+    return {
+      size,
+      maxNavigations,
+      connected: Boolean(browser && browser.isConnected()),
+      launches,
+      activePages: active,
+      idlePages: idle.length,
+      waiting: waiting.length,
+      recycledPages: recycled,
+      lastLaunchError: launchFailure ? { at: new Date(launchFailure.at).toISOString(), message: launchFailure.message } : null
+    };
+  }
+
+  return {
+    launch: getBrowser,
+    acquire,
+    stats,
+    close
+  };
+}
+
+module.exports = {
+  DEFAULT_SIZE,
+  DEFAULT_ACQUIRE_TIMEOUT,
+  DEFAULT_MAX_NAVIGATIONS,
+  createBrowserPool
+};
@@ -0,0 +1,177 @@
+// lib/configs.js
+//
+// Domain configurations in storage/configs.json, with a version history per domain
+// in storage/config-history/<domain>.json. Every save, migration and rollback adds a
+// version; versions are never rewritten.
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const { CONFIG_PATH, CONFIG_HISTORY_DIR } = require('./paths');
+
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i;
+
+function isValidDomain(domain) {
+  return typeof domain === 'string' && DOMAIN_PATTERN.test(domain);
+}
+
+// All domain configurations, or null when configs.json does not exist yet
+function readConfigs() {
+  if (!fs.existsSync(CONFIG_PATH)) {
+    return null;
+  }
+  return fs.readJSONSync(CONFIG_PATH);
+}
+
+function writeConfigs(configs) {
+  fs.writeJSONSync(CONFIG_PATH, configs, { spaces: 2 });
+}
+
+// Templates saved for a domain, or null when it has none
+function getDomainTemplates(domain) {
+  const configs = readConfigs();
+  if (configs && configs[domain] && configs[domain].templates) {
+    return configs[domain].templates;
+  }
+  return null;
+}
+
+// Convert the legacy { selectors: { listing, <field>..., nextPage } } layout into a
+// single "default" template. "listing" becomes the itemSelector; the field selectors
+// are kept as they are, so the migrated template extracts what the old one did.
+function migrateLegacySelectors(selectors) {
+  const template = { itemSelectorMethod: 'css', fields: {} };
+
+  for (let name in selectors) {
+    const selector = selectors[name];
+    if (name === 'listing') {
+      template.itemSelector = selector.selector;
+    } else if (name === 'nextPage') {
+      template.nextPage = { selector: selector.selector, method: 'css' };
+    } else {
+      template.fields[name] = { selector: selector.selector, method: 'css', type: selector.type || 'text' };
+      if (selector.type === 'attribute') {
+        template.fields[name].attribute = selector.attribute || 'href';
+      }
+    }
+  }
+
+  return { default: template };
+}
+
+function historyPath(domain) {
+  return path.join(CONFIG_HISTORY_DIR, `${domain}.json`);
+}
+
+function readHistory(domain) {
+  const file = historyPath(domain);
+  if (!fs.existsSync(file)) {
+    return { domain, versions: [] };
+  }
+  return fs.readJSONSync(file);
+}
+
+function appendVersion(domain, config, { source, note }) {
+  const history = readHistory(domain);
+  const version = {
+    version: history.versions.length + 1,
+    savedAt: new Date().toISOString(),
+    source,
+    note: note || null,
+    config
+  };
+  history.versions.push(version);
+  fs.ensureDirSync(CONFIG_HISTORY_DIR);
+  fs.writeJSONSync(historyPath(domain), history, { spaces: 2 });
+  return version;
+}
+
+// Save a domain's templates and record the new version. A domain saved before
+// versioning existed gets its previous config recorded first as version 1.
+function saveDomainTemplates(domain, templates, { source = 'addConfig', note } = {}) {
+  const configs = readConfigs() || {};
+  if (configs[domain] && readHistory(domain).versions.length === 0) {
+    appendVersion(domain, configs[domain], { source: 'initial', note: 'Configuration saved before versioning.' });
+  }
+  configs[domain] = { templates };
+  writeConfigs(configs);
+  return appendVersion(domain, configs[domain], { source, note });
+}
+
+// Migrate every legacy "selectors" config in configs.json; returns the migrated domains
+function migrateConfigs() {
+  const configs = readConfigs();
+  if (!configs) return [];
+
+  const migrated = Object.keys(configs).filter(domain => configs[domain].selectors && !configs[domain].templates);
+  migrated.forEach(domain => {
+    saveDomainTemplates(domain, migrateLegacySelectors(configs[domain].selectors), {
+      source: 'migration',
+      note: 'Converted from the legacy "selectors" format.'
+    });
+  });
+  return migrated;
+}
+
+// Version summaries (without the config itself), oldest first
+function listVersions(domain) {
+  return readHistory(domain).versions.map(({ version, savedAt, source, note, config }) => ({
+    version,
+    savedAt,
+    source,
+    note,
+    templates: Object.keys((config && config.templates) || {})
+  }));
+}
+
+function getVersion(domain, version) {
+  return readHistory(domain).versions.find(entry => entry.version === version) || null;
+}
+
+// Structural diff: [{ path, change: 'added' | 'removed' | 'changed', from, to }]
+function diffObjects(from, to, basePath = '') {
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+  if (isObject(from) && isObject(to)) {
+    const keys = Array.from(new Set(Object.keys(from).concat(Object.keys(to))));
+    return keys.reduce((changes, key) => {
+      const keyPath = basePath ? `${basePath}.${key}` : key;
+      if (!(key in to)) {
+        changes.push({ path: keyPath, change: 'removed', from: from[key] });
+      } else if (!(key in from)) {
+        changes.push({ path: keyPath, change: 'added', to: to[key] });
+      } else {
+        changes.push(...diffObjects(from[key], to[key], keyPath));
+      }
+      return changes;
+    }, []);
+  }
+  if (JSON.stringify(from) === JSON.stringify(to)) return [];
+  return [{ path: basePath, change: 'changed', from, to }];
+}
+
+// Restore a version's templates as the current config (recorded as a new version)
+function rollback(domain, version) {
+  const target = getVersion(domain, version);
+  if (!target) return null;
+  if (!target.config.templates) {
+    throw new Error(`Version ${version} uses the legacy "selectors" format and cannot be restored.`);
+  }
+  return saveDomainTemplates(domain, target.config.templates, {
+    source: 'rollback',
+    note: `Rolled back to version ${version}.`
+  });
+}
+
+module.exports = {
+  isValidDomain,
+  readConfigs,
+  writeConfigs,
+  getDomainTemplates,
+  migrateLegacySelectors,
+  saveDomainTemplates,
+  migrateConfigs,
+  listVersions,
+  getVersion,
+  diffObjects,
+  rollback
+};
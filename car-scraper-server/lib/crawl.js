@@ -0,0 +1,352 @@
+// lib/crawl.js
+//
+// Crawl politeness and resilience for every page load (listing pages, pagination and
+// detail pages, both engines):
+//   - robots.txt is fetched once an hour per site and disallowed URLs are not loaded; an
+//     unreachable robots.txt (5xx, network error) is retried and, when it stays unreachable,
+//     blocks the site for a minute before it is fetched again
+//   - loads per domain are limited to `concurrency` at a time and spaced by the crawl
+//     delay (the domain setting, else the robots.txt Crawl-delay, else 2-5 s at random)
+//   - network errors, 429 and 5xx responses and block/captcha pages are retried with
+//     exponential backoff (Retry-After is honoured)
+//
+// Per-domain settings live in storage/crawl-settings.json and override DEFAULT_SETTINGS:
+//   respectRobots  - false to ignore robots.txt for a domain (an explicit override)
+//   crawlDelayMs   - fixed delay between loads; null uses robots.txt or the random default
+//   concurrency    - loads in flight at once across all jobs
+//   maxRetries     - retries after the first attempt
+//   backoffMs      - first retry delay; doubled on every retry
+//   blockPatterns  - extra regexes that identify a block page for this domain
+
+const fs = require('fs-extra');
+const axios = require('axios');
+
+const { promisify } = require('util');
+const sleep = promisify(setTimeout);
+
+const { normalizeDomain, getRandomDelay } = require('./scraper');
+
+const DEFAULT_SETTINGS = {
+  respectRobots: true,
+  crawlDelayMs: null,
+  concurrency: 1,
+  maxRetries: 3,
+  backoffMs: 2000,
+  blockPatterns: []
+};
+
+// Product token matched against robots.txt User-agent lines (besides "*")
+const ROBOTS_AGENT = 'car-scraper';
+const ROBOTS_TTL = 60 * 60 * 1000;
+const ROBOTS_FAILURE_TTL = 60 * 1000;
+const ROBOTS_RETRIES = 2;
+const ROBOTS_BACKOFF = 1000;
+const MAX_BACKOFF = 60 * 1000;
+
+// Markers of anti-bot challenge and block pages
+const BLOCK_PATTERNS = [
+  /<title>\s*(Attention Required!|Just a moment\.\.\.|Access denied|Pardon Our Interruption)/i,
+  /cf-browser-verification|cf_chl_opt|challenge-platform/i,
+  /px-captcha|captcha-delivery\.com|geo\.captcha-delivery/i,
+  /unusual traffic from your (computer|network)/i,
+  /are you a robot\?|verify (that )?you are (a )?human/i
+];
+
+function crawlError(code, message, extra = {}) {
+  return Object.assign(new Error(message), { code }, extra);
+}
+
+// Validate per-domain settings; returns a list of error messages
+function validateCrawlSettings(settings) {
+  const errors = [];
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return ['settings must be an object.'];
+  }
+  const isInteger = (value, min) => Number.isInteger(value) && value >= min;
+
+  for (let name in settings) {
+    const value = settings[name];
+    if (!(name in DEFAULT_SETTINGS)) {
+      errors.push(`Unknown setting "${name}". Expected one of: ${Object.keys(DEFAULT_SETTINGS).join(', ')}.`);
+    } else if (name === 'respectRobots' && typeof value !== 'boolean') {
+      errors.push('respectRobots must be true or false.');
+    } else if (name === 'crawlDelayMs' && value !== null && !isInteger(value, 0)) {
+      errors.push('crawlDelayMs must be a non-negative integer or null.');
+    } else if (name === 'concurrency' && !isInteger(value, 1)) {
+      errors.push('concurrency must be a positive integer.');
+    } else if (name === 'maxRetries' && !(isInteger(value, 0) && value <= 10)) {
+      errors.push('maxRetries must be an integer between 0 and 10.');
+    } else if (name === 'backoffMs' && !isInteger(value, 0)) {
+      errors.push('backoffMs must be a non-negative integer.');
+    } else if (name === 'blockPatterns') {
+      if (!Array.isArray(value)) {
+        errors.push('blockPatterns must be an array of regular expressions.');
+      } else {
+        value.forEach((pattern, index) => {
+          try {
+            new RegExp(pattern, 'i');
+          } catch (error) {
+            errors.push(`blockPatterns[${index}] is not a valid regular expression (${error.message}).`);
+          }
+        });
+      }
+    }
+  }
+  return errors;
+}
+
+// "/search*?q=$" -> RegExp; * matches anything and a trailing $ anchors the end
+function robotsPattern(path) {
+  const anchored = path.endsWith('$');
+  const body = (anchored ? path.slice(0, -1) : path)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// Rules of the group for our agent (or "*"): { rules: [{ allow, path, pattern }], crawlDelay }
+function parseRobots(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  String(text).split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+    if (!match) return;
+    const directive = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (directive === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+    lastWasAgent = false;
+    if (!current) return;
+
+    if ((directive === 'allow' || directive === 'disallow') && value) {
+      current.rules.push({ allow: directive === 'allow', path: value, pattern: robotsPattern(value) });
+    } else if (directive === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (!isNaN(delay)) current.crawlDelay = delay;
+    }
+  });
+
+  const group = groups.find(entry => entry.agents.includes(ROBOTS_AGENT)) ||
+    groups.find(entry => entry.agents.includes('*'));
+  return group ? { rules: group.rules, crawlDelay: group.crawlDelay } : { rules: [], crawlDelay: null };
+}
+
+// Longest matching rule wins; Allow wins a tie; no match allows
+function robotsAllows(rules, url) {
+  const { pathname, search } = new URL(url);
+  const target = `${pathname}${search}`;
+  let best = null;
+  rules.forEach(rule => {
+    if (!rule.pattern.test(target)) return;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  });
+  return !best || best.allow;
+}
+
+function isBlockPage(body, extraPatterns = []) {
+  if (typeof body !== 'string' || !body) return false;
+  return BLOCK_PATTERNS.concat(extraPatterns.map(pattern => new RegExp(pattern, 'i'))).some(pattern => pattern.test(body));
+}
+
+function isRetryable(error) {
+  if (error.code === 'ROBOTS_DISALLOWED') return false;
+  if (error.code === 'BLOCKED') return true;
+  if (!error.status) return true; // Network error or timeout
+  return error.status === 429 || error.status >= 500;
+}
+
+// Retry-After in seconds or as an HTTP date; null when absent
+function retryAfterMs(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return seconds * 1000;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : Math.max(0, date.getTime() - Date.now());
+}
+
+// robotsBackoffMs: first wait before retrying an unreachable robots.txt; doubled on every retry.
+// logger ({ warn }, default console) receives the retry warnings.
+function createCrawlPolicy({ settingsFile, robotsBackoffMs = ROBOTS_BACKOFF, logger = console }) {
+  const overrides = fs.existsSync(settingsFile) ? fs.readJSONSync(settingsFile) : {};
+  const robotsCache = new Map(); // origin -> { fetchedAt, ttl, promise }
+  const throttles = new Map(); // domain -> { active, waiting, nextAt }
+
+  const save = () => {
+    fs.writeJSONSync(settingsFile, overrides, { spaces: 2 });
+  };
+
+  function settingsFor(domain) {
+    return Object.assign({}, DEFAULT_SETTINGS, overrides[domain] || {});
+  }
+
+  function setSettings(domain, settings) {
+    overrides[domain] = Object.assign({}, overrides[domain] || {}, settings);
+    save();
+    return settingsFor(domain);
+  }
+
+  function removeSettings(domain) {
+    if (!overrides[domain]) return false;
+    delete overrides[domain];
+    save();
+    return true;
+  }
+
+  // robots.txt of the URL's site. Following RFC 9309, a missing robots.txt (4xx) allows
+  // everything and an unreachable one (5xx, network error, after ROBOTS_RETRIES retries)
+  // disallows everything.
+  async function fetchRobots(origin) {
+    for (let attempt = 0; ; attempt++) {
+      const robots = await fetchRobotsOnce(origin);
+      if (!robots.unreachable || attempt >= ROBOTS_RETRIES) return robots;
+      await sleep(robotsBackoffMs * Math.pow(2, attempt));
+    }
+  }
+
+  async function fetchRobotsOnce(origin) {
+    const robotsUrl = `${origin}/robots.txt`;
+    try {
+      const response = await axios.get(robotsUrl, {
+        timeout: 15 * 1000,
+        maxRedirects: 5,
+        responseType: 'text',
+        validateStatus: () => true
+      });
+      if (response.status >= 200 && response.status < 300) {
+        return Object.assign({ url: robotsUrl, status: response.status }, parseRobots(response.data));
+      }
+      if (response.status >= 400 && response.status < 500) {
+        return { url: robotsUrl, status: response.status, rules: [], crawlDelay: null };
+      }
+      return { url: robotsUrl, status: response.status, rules: [{ allow: false, path: '/', pattern: /^\// }], crawlDelay: null, unreachable: true };
+    } catch (error) {
+      return { url: robotsUrl, status: null, error: error.message, rules: [{ allow: false, path: '/', pattern: /^\// }], crawlDelay: null, unreachable: true };
+    }
+  }
+
+  // Cached robots.txt of the URL's site; an unreachable one is only kept for ROBOTS_FAILURE_TTL
+  async function robotsFor(url) {
+    const origin = new URL(url).origin;
+    const cached = robotsCache.get(origin);
+    if (cached && Date.now() - cached.fetchedAt < cached.ttl) {
+      return cached.promise;
+    }
+    const entry = { fetchedAt: Date.now(), ttl: ROBOTS_TTL };
+    entry.promise = fetchRobots(origin).then(robots => {
+      entry.fetchedAt = Date.now();
+      if (robots.unreachable) entry.ttl = ROBOTS_FAILURE_TTL;
+      return Object.assign(robots, { fetchedAt: new Date(entry.fetchedAt).toISOString() });
+    });
+    robotsCache.set(origin, entry);
+    return entry.promise;
+  }
+
+  // Wait for a load slot on the domain; resolves with a release function
+  async function acquire(domain, delay) {
+    if (!throttles.has(domain)) {
+      throttles.set(domain, { active: 0, waiting: [], nextAt: 0 });
+    }
+    const throttle = throttles.get(domain);
+    while (throttle.active >= settingsFor(domain).concurrency) {
+      await new Promise(resolve => throttle.waiting.push(resolve));
+    }
+    throttle.active++;
+
+    // Reserve the next start time so concurrent loads stay spaced by the delay
+    const startAt = Math.max(Date.now(), throttle.nextAt);
+    throttle.nextAt = startAt + delay;
+    await sleep(startAt - Date.now());
+
+    return () => {
+      throttle.active--;
+      const next = throttle.waiting.shift();
+      if (next) next();
+    };
+  }
+
+  // Load url in session with robots.txt, throttling, block detection and retries
+  async function load(session, url) {
+    const domain = normalizeDomain(new URL(url).hostname);
+    const settings = settingsFor(domain);
+
+    let robots = null;
+    if (settings.respectRobots) {
+      robots = await robotsFor(url);
+      if (!robotsAllows(robots.rules, url)) {
+        const reason = robots.unreachable ? 'robots.txt could not be fetched' : 'disallowed by robots.txt';
+        throw crawlError('ROBOTS_DISALLOWED', `Not loading ${url}: ${reason}.`);
+      }
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      const delay = settings.crawlDelayMs !== null
+        ? settings.crawlDelayMs
+        : (robots && robots.crawlDelay !== null ? robots.crawlDelay * 1000 : getRandomDelay());
+      const release = await acquire(domain, delay);
+
+      let failure;
+      try {
+        const response = await session.load(url);
+        if (isBlockPage(response && response.body, settings.blockPatterns)) {
+          throw crawlError('BLOCKED', `Block or captcha page detected at ${url}.`, { status: response.status });
+        }
+        return response;
+      } catch (error) {
+        if (error.code !== 'BLOCKED' && isBlockPage(error.body, settings.blockPatterns)) {
+          error.code = 'BLOCKED';
+          error.message = `Block or captcha page detected at ${url} (HTTP ${error.status}).`;
+        }
+        failure = error;
+      } finally {
+        release();
+      }
+
+      if (!isRetryable(failure) || attempt >= settings.maxRetries) {
+        throw failure;
+      }
+      const wait = Math.min(MAX_BACKOFF, retryAfterMs(failure.retryAfter) ||
+        settings.backoffMs * Math.pow(2, attempt) + Math.floor(Math.random() * 500));
+      logger.warn(`Loading ${url} failed (${failure.message}); retry ${attempt + 1} of ${settings.maxRetries} in ${wait} ms.`);
+      await sleep(wait);
+    }
+  }
+
+  // Session whose load() goes through the policy
+  function wrap(session) {
+    return Object.assign({}, session, { load: (url) => load(session, url) });
+  }
+
+  return {
+    settingsFor,
+    setSettings,
+    removeSettings,
+    overrides: () => overrides,
+    robotsFor,
+    wrap
+  };
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  ROBOTS_AGENT,
+  validateCrawlSettings,
+  parseRobots,
+  robotsAllows,
+  isBlockPage,
+  createCrawlPolicy
+};
@@ -0,0 +1,305 @@
+// lib/database.js
+//
+// Embedded SQLite database (sql.js) holding every extracted row, keyed by domain
+// and template, so listings can be queried across runs without downloading CSVs.
+// The database is kept in memory and written to storage/listings.sqlite after each change.
+//
+// Rows of templates with a listing key are upserted (one row per listing, latest
+// values, first/last seen); rows without a key are stored once per run.
+// Templates with a vehicle mapping also store each row's canonical record (lib/vehicles.js)
+// in the vehicle column, queried across sites with queryVehicles().
+
+const fs = require('fs-extra');
+const initSqlJs = require('sql.js');
+
+const { listingKeyOf } = require('./listings');
+
+const FILTER_OPERATORS = {
+  eq: '=',
+  ne: '!=',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  like: 'LIKE',
+  in: 'IN'
+};
+
+// Columns outside the JSON data that can be sorted and filtered on
+const META_COLUMNS = {
+  domain: 'domain',
+  template: 'template',
+  firstSeen: 'first_seen',
+  lastSeen: 'last_seen',
+  runId: 'run_id'
+};
+
+const MAX_PAGE_SIZE = 500;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS listings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    domain TEXT NOT NULL,
+    template TEXT NOT NULL,
+    listing_key TEXT,
+    run_id INTEGER NOT NULL,
+    first_seen TEXT NOT NULL,
+    last_seen TEXT NOT NULL,
+    data TEXT NOT NULL,
+    vehicle TEXT
+  );
+  CREATE INDEX IF NOT EXISTS listings_domain_template ON listings (domain, template);
+  CREATE UNIQUE INDEX IF NOT EXISTS listings_identity ON listings (domain, template, listing_key);
+`;
+
+// SQL expression for a field inside a JSON column (data or vehicle). In the quoted JSON
+// path label, " and \ are escaped with a backslash.
+function fieldExpression(field, column = 'data') {
+  if (META_COLUMNS[field]) return META_COLUMNS[field];
+  const label = field.replace(/[\\"]/g, '\\$&');
+  return `json_extract(${column}, '$."${label.replace(/'/g, "''")}"')`;
+}
+
+const NUMERIC_TEXT = /^-?\d+(\.\d+)?$/;
+
+// Query values are strings; compare numbers as numbers so ranges work on numeric fields
+function queryValue(value) {
+  return NUMERIC_TEXT.test(value) ? Number(value) : value;
+}
+
+// SQL function to_number(): stored text that is a number ("9500", from rows without a
+// fieldType) as that number, anything else unchanged, so it compares and sorts numerically
+function toNumber(value) {
+  return typeof value === 'string' && NUMERIC_TEXT.test(value.trim()) ? Number(value) : value;
+}
+
+// Build the WHERE clause from request filters:
+//   { Fuel: 'Dyzelinas', Price: { lte: '10000' }, Year: { gte: '2015' }, Title: { like: 'golf' } }
+function buildWhere({ domain, template, filters, column }) {
+  const clauses = [];
+  const params = [];
+
+  if (domain) {
+    clauses.push('domain = ?');
+    params.push(domain);
+  }
+  if (template) {
+    clauses.push('template = ?');
+    params.push(template);
+  }
+
+  for (let field in filters || {}) {
+    const condition = typeof filters[field] === 'object' && !Array.isArray(filters[field])
+      ? filters[field]
+      : { eq: filters[field] };
+
+    for (let operator in condition) {
+      if (!FILTER_OPERATORS[operator]) {
+        throw new Error(`Unknown filter operator "${operator}" on field "${field}". Expected one of: ${Object.keys(FILTER_OPERATORS).join(', ')}.`);
+      }
+      const expression = fieldExpression(field, column);
+      const numeric = `to_number(${expression})`;
+      const value = condition[operator];
+
+      if (operator === 'in') {
+        const values = String(value).split(',').map(queryValue);
+        clauses.push(`${numeric} IN (${values.map(() => '?').join(', ')})`);
+        params.push(...values);
+      } else if (operator === 'like') {
+        clauses.push(`${expression} LIKE ?`);
+        params.push(`%${value}%`);
+      } else if (operator === 'eq' && typeof queryValue(value) === 'string') {
+        // Text equality ignores case
+        clauses.push(`${expression} = ? COLLATE NOCASE`);
+        params.push(value);
+      } else {
+        clauses.push(`${numeric} ${FILTER_OPERATORS[operator]} ?`);
+        params.push(queryValue(value));
+      }
+    }
+  }
+
+  return {
+    sql: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '',
+    params
+  };
+}
+
+// "-Price,Year" -> ORDER BY Price DESC, Year ASC
+function buildOrderBy(sort, column) {
+  if (!sort) return 'ORDER BY last_seen DESC, id DESC';
+  const terms = String(sort).split(',').filter(Boolean).map(term => {
+    const descending = term.startsWith('-');
+    const field = term.replace(/^[-+]/, '');
+    return `to_number(${fieldExpression(field, column)}) ${descending ? 'DESC' : 'ASC'}`;
+  });
+  return `ORDER BY ${terms.join(', ')}`;
+}
+
+async function openDatabase(file) {
+  const SQL = await initSqlJs();
+  const db = fs.existsSync(file) ? new SQL.Database(fs.readFileSync(file)) : new SQL.Database();
+  db.exec(SCHEMA);
+  // sql.js reopens the database on export(), which drops custom functions
+  const registerFunctions = () => db.create_function('to_number', toNumber);
+  registerFunctions();
+  // Databases created before vehicle records existed
+  const columns = db.exec('PRAGMA table_info(listings)')[0].values.map(column => column[1]);
+  if (!columns.includes('vehicle')) {
+    db.exec('ALTER TABLE listings ADD COLUMN vehicle TEXT');
+  }
+
+  const persist = () => {
+    fs.writeFileSync(file, Buffer.from(db.export()));
+    registerFunctions();
+  };
+
+  const all = (sql, params = []) => {
+    const statement = db.prepare(sql);
+    const rows = [];
+    try {
+      statement.bind(params);
+      while (statement.step()) {
+        rows.push(statement.getAsObject());
+      }
+    } finally {
+      statement.free();
+    }
+    return rows;
+  };
+
+  // Store the rows of one run of a template; vehicles are the rows' canonical records, if any
+  function insertRows(domain, templateName, template, rows, { runId, at, vehicles }) {
+    db.exec('BEGIN');
+    try {
+      const upsert = db.prepare(`
+        INSERT INTO listings (domain, template, listing_key, run_id, first_seen, last_seen, data, vehicle)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT (domain, template, listing_key) DO UPDATE SET
+          run_id = excluded.run_id,
+          last_seen = excluded.last_seen,
+          data = excluded.data,
+          vehicle = excluded.vehicle
+      `);
+      rows.forEach((row, index) => {
+        const vehicle = vehicles ? JSON.stringify(vehicles[index]) : null;
+        // NULL keys never conflict, so rows without a listing key are always inserted
+        upsert.run([domain, templateName, listingKeyOf(template, row), runId, at, at, JSON.stringify(row), vehicle]);
+      });
+      upsert.free();
+      db.exec('COMMIT');
+    } catch (error) {
+      db.exec('ROLLBACK');
+      throw error;
+    }
+    persist();
+  }
+
+  // Filtered, sorted and paginated listings; fields limits the returned data keys
+  function queryListings({ domain, template, filters, sort, page = 1, pageSize = 50, fields }) {
+    page = Math.max(1, parseInt(page, 10) || 1);
+    pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(pageSize, 10) || 50));
+
+    const where = buildWhere({ domain, template, filters });
+    const [{ total }] = all(`SELECT COUNT(*) AS total FROM listings ${where.sql}`, where.params);
+    const rows = all(
+      `SELECT * FROM listings ${where.sql} ${buildOrderBy(sort)} LIMIT ? OFFSET ?`,
+      where.params.concat([pageSize, (page - 1) * pageSize])
+    );
+
+    const projection = fields ? String(fields).split(',').filter(Boolean) : null;
+    const listings = rows.map(row => {
+      const data = JSON.parse(row.data);
+      const values = projection
+        ? projection.reduce((picked, field) => {
+          if (field in data) picked[field] = data[field];
+          return picked;
+        }, {})
+        : data;
+      return {
+        domain: row.domain,
+        template: row.template,
+        key: row.listing_key,
+        firstSeen: row.first_seen,
+        lastSeen: row.last_seen,
+        runId: row.run_id,
+        data: values
+      };
+    });
+
+    return { total, page, pageSize, listings };
+  }
+
+  // Canonical vehicle records of every site, filtered and sorted on the canonical fields
+  function queryVehicles({ domain, filters, sort, page = 1, pageSize = 50 }) {
+    page = Math.max(1, parseInt(page, 10) || 1);
+    pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(pageSize, 10) || 50));
+
+    const where = buildWhere({ domain, filters, column: 'vehicle' });
+    const sql = where.sql ? `${where.sql} AND vehicle IS NOT NULL` : 'WHERE vehicle IS NOT NULL';
+    const [{ total }] = all(`SELECT COUNT(*) AS total FROM listings ${sql}`, where.params);
+    const rows = all(
+      `SELECT * FROM listings ${sql} ${buildOrderBy(sort, 'vehicle')} LIMIT ? OFFSET ?`,
+      where.params.concat([pageSize, (page - 1) * pageSize])
+    );
+
+    const vehicles = rows.map(row => ({
+      domain: row.domain,
+      template: row.template,
+      key: row.listing_key,
+      firstSeen: row.first_seen,
+      lastSeen: row.last_seen,
+      vehicle: JSON.parse(row.vehicle)
+    }));
+
+    return { total, page, pageSize, vehicles };
+  }
+
+  // Delete the rows of a domain, of one of its templates or of one run (runId) of a template.
+  // A run takes its unkeyed rows and the listings no other run has seen; resolves the number deleted.
+  function deleteRows({ domain, template, runId }) {
+    const clauses = ['domain = ?'];
+    const params = [domain];
+    if (template) {
+      clauses.push('template = ?');
+      params.push(template);
+    }
+    if (runId !== undefined) {
+      clauses.push('run_id = ?', '(listing_key IS NULL OR first_seen = last_seen)');
+      params.push(runId);
+    }
+    db.run(`DELETE FROM listings WHERE ${clauses.join(' AND ')}`, params);
+    const deleted = db.getRowsModified();
+    if (deleted > 0) persist();
+    return deleted;
+  }
+
+  // Every stored vehicle record (for analytics), optionally of one domain or seen since a date
+  function listVehicles({ domain, since } = {}) {
+    const clauses = ['vehicle IS NOT NULL'];
+    const params = [];
+    if (domain) {
+      clauses.push('domain = ?');
+      params.push(domain);
+    }
+    if (since) {
+      clauses.push('last_seen >= ?');
+      params.push(since);
+    }
+    return all(`SELECT domain, template, listing_key, last_seen, vehicle FROM listings WHERE ${clauses.join(' AND ')}`, params)
+      .map(row => ({
+        domain: row.domain,
+        template: row.template,
+        key: row.listing_key,
+        lastSeen: row.last_seen,
+        vehicle: JSON.parse(row.vehicle)
+      }));
+  }
+
+  return { insertRows, queryListings, queryVehicles, listVehicles, deleteRows, close: () => db.close() };
+}
+
+module.exports = {
+  FILTER_OPERATORS,
+  openDatabase
+};
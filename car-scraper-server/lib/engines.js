@@ -0,0 +1,124 @@
+// lib/engines.js
+//
+// Page engines used by the scraper. Both expose the same session interface:
+//   load(url)          - navigate to / fetch the page; resolves { status, body } and
+//                        rejects HTTP errors with error.status, error.body and error.retryAfter
+//   extract(template)  - run the shared extractor, resolves { items, itemCount, nextPageHref, errors }
+//   countItems(template)
+//   scroll()           - scroll to the bottom of the page (browser only)
+//   click(selector, method) - click an element, resolves whether it was found (browser only)
+//   close()
+//
+// "browser" renders the page in headless Chrome (Puppeteer).
+// "static" fetches the HTML with axios and parses it with cheerio; much faster and
+// lighter, but only sees server-rendered markup.
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+
+const { extractPage, countItems, clickElement, createCheerioAdapter, browserScript } = require('./extractor');
+const { selectXPath } = require('./xpathAdapter');
+
+const ENGINES = ['browser', 'static'];
+const DEFAULT_ENGINE = 'browser';
+
+function templateEngine(template) {
+  return template.engine || DEFAULT_ENGINE;
+}
+
+const STATIC_TIMEOUT = 30 * 1000;
+
+// HTTP error responses reject load() with the status, the page body (for block page
+// detection) and the Retry-After header
+function httpError(url, status, body, retryAfter) {
+  return Object.assign(new Error(`HTTP ${status} for ${url}`), {
+    status,
+    body: typeof body === 'string' ? body : '',
+    retryAfter: retryAfter || null
+  });
+}
+
+// Browser sessions lease a page from the pool (lib/browserPool.js); close() returns it.
+// detail and isCancelled are passed on to the lease.
+async function openBrowserSession(pool, { userAgent, detail, isCancelled }) {
+  if (!pool) {
+    throw new Error('Puppeteer browser is not available.');
+  }
+
+  const lease = await pool.acquire({ userAgent, detail, isCancelled });
+
+  return {
+    engine: 'browser',
+    load: async (url) => {
+      const page = await lease.navigate();
+      const response = await page.goto(url, { waitUntil: 'networkidle2' });
+      const status = response ? response.status() : null;
+      const body = await page.content();
+      if (status >= 400) {
+        throw httpError(url, status, body, response.headers()['retry-after']);
+      }
+      return { status, body };
+    },
+    extract: (template) => lease.page.evaluate(browserScript(extractPage, template)),
+    countItems: (template) => lease.page.evaluate(browserScript(countItems, template)),
+    scroll: () => lease.page.evaluate(() => window.scrollTo(0, document.body.scrollHeight)),
+    click: (selector, method) => lease.page.evaluate(browserScript(clickElement, selector, method)),
+    close: () => lease.release()
+  };
+}
+
+async function openStaticSession({ userAgent }) {
+  let dom = null;
+  const browserOnly = (action) => async () => {
+    throw new Error(`${action} requires the browser engine.`);
+  };
+
+  return {
+    engine: 'static',
+    load: async (url) => {
+      let response;
+      try {
+        response = await axios.get(url, { headers: { 'User-Agent': userAgent }, timeout: STATIC_TIMEOUT, responseType: 'text' });
+      } catch (error) {
+        if (!error.response) throw error;
+        throw httpError(url, error.response.status, error.response.data, error.response.headers['retry-after']);
+      }
+      dom = createCheerioAdapter(cheerio.load(response.data), selectXPath);
+      return { status: response.status, body: response.data };
+    },
+    extract: async (template) => {
+      if (!dom) {
+        throw new Error('No page loaded.');
+      }
+      return extractPage(template, dom);
+    },
+    countItems: async (template) => (dom ? countItems(template, dom) : 0),
+    scroll: browserOnly('Scrolling'),
+    click: browserOnly('Clicking'),
+    close: async () => {
+      dom = null;
+    }
+  };
+}
+
+// Open a session; with a crawl policy (lib/crawl.js) its page loads are checked against
+// robots.txt, throttled per domain and retried. detail: the session loads a follow field's
+// pages; isCancelled() stops waiting for a browser page.
+async function openSession(engine, { pool, userAgent, policy, detail = false, isCancelled }) {
+  let session;
+  if (engine === 'browser') {
+    session = await openBrowserSession(pool, { userAgent, detail, isCancelled });
+  } else if (engine === 'static') {
+    session = await openStaticSession({ userAgent });
+  } else {
+    throw new Error(`Unknown engine "${engine}". Expected one of: ${ENGINES.join(', ')}.`);
+  }
+  return policy ? policy.wrap(session) : session;
+}
+
+module.exports = {
+  ENGINES,
+  DEFAULT_ENGINE,
+  templateEngine,
+  openSession
+};
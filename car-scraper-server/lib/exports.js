@@ -0,0 +1,238 @@
+// lib/exports.js
+//
+// Export layer over the per-run CSV files in storage/<domain>/<template>/ (or directly
+// under the domain for runs saved without a template). A single run or all runs of a
+// template can be exported, merged runs optionally filtered by run date and deduplicated.
+//
+// Formats:
+//   json    - an array of row objects
+//   ndjson  - one JSON object per line
+//   csv     - RFC 4180 (CRLF line breaks, quoted where needed) with a UTF-8 BOM, so Excel
+//             opens Lithuanian diacritics correctly
+//   xlsx    - one worksheet named after the template
+//
+// Merged rows get a leading _scrapedAt column with the time of the run they came from.
+//
+// CSV cells are text. Given the template, json, ndjson and xlsx exports convert the
+// columns of typed fields (a fieldType, or a number, currency, unit or date transform) back: numbers and booleans as such, dates as
+// "YYYY-MM-DD" (date cells in xlsx) and empty cells as null.
+
+const fs = require('fs-extra');
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+
+const { listingKeyOf } = require('./listings');
+const { followFields } = require('./follow');
+const { parseNumber, valueType } = require('./transforms');
+
+const FORMATS = {
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+const NO_TEMPLATE = '_no_template_';
+const SCRAPED_AT = '_scrapedAt';
+
+// Run time of a CSV file: data_<milliseconds>.csv, the older data_<ISO time with dashes>.csv,
+// or the file's modification time
+function runTime(file, filePath) {
+  const name = path.basename(file, '.csv').replace(/^data_/, '');
+  if (/^\d{12,}$/.test(name)) {
+    return new Date(parseInt(name, 10));
+  }
+  const iso = name.match(/^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/);
+  if (iso) {
+    return new Date(`${iso[1]}T${iso[2]}:${iso[3]}:${iso[4]}.${iso[5]}Z`);
+  }
+  return fs.statSync(filePath).mtime;
+}
+
+function templateDir(storageDir, domain, template) {
+  return template && template !== NO_TEMPLATE ? path.join(storageDir, domain, template) : path.join(storageDir, domain);
+}
+
+// Run files of a template, oldest first: [{ file, path, at }]
+function listRuns(storageDir, domain, template) {
+  const dir = templateDir(storageDir, domain, template);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.csv'))
+    .map(file => {
+      const filePath = path.join(dir, file);
+      return { file, path: filePath, at: runTime(file, filePath) };
+    })
+    .sort((a, b) => a.at - b.at);
+}
+
+function readRows(filePath) {
+  return parse(fs.readFileSync(filePath), { columns: true, bom: true, skip_empty_lines: true, relax_column_count: true });
+}
+
+// Rows of every run of a template within [from, to], oldest run first. With dedupe, each
+// listing (by the template's listing key, or identical rows without one) is kept once,
+// from its latest run.
+function mergeRuns(storageDir, domain, template, { from, to, dedupe = false, templateConfig } = {}) {
+  const runs = listRuns(storageDir, domain, template)
+    .filter(run => (!from || run.at >= from) && (!to || run.at <= to));
+
+  let rows = [];
+  runs.forEach(run => {
+    const scrapedAt = run.at.toISOString();
+    readRows(run.path).forEach(row => rows.push(Object.assign({ [SCRAPED_AT]: scrapedAt }, row)));
+  });
+
+  if (dedupe) {
+    const latest = new Map();
+    rows.forEach(row => {
+      const { [SCRAPED_AT]: scrapedAt, ...values } = row;
+      const key = (templateConfig && listingKeyOf(templateConfig, values)) || JSON.stringify(values);
+      latest.delete(key); // Re-insert so the order follows the latest occurrence
+      latest.set(key, row);
+    });
+    rows = Array.from(latest.values());
+  }
+
+  return { runs: runs.map(run => ({ file: run.file, at: run.at.toISOString() })), rows };
+}
+
+// Value type of each typed column of a template, detail page fields included: { column: type }
+// (see valueType in lib/transforms.js)
+function columnTypes(template) {
+  const fields = (template && template.fields) || {};
+  const types = {};
+  for (let field in fields) {
+    const type = valueType(fields[field]);
+    if (type !== 'string') {
+      types[field] = type;
+    }
+  }
+  followFields(template || {}).forEach(field => {
+    Object.assign(types, columnTypes(fields[field].template));
+  });
+  return types;
+}
+
+// A cell as its fieldType; text that does not fit the type is kept as it is
+function typedValue(value, fieldType) {
+  if (typeof value !== 'string') return value === undefined ? null : value;
+  const text = value.trim();
+  if (text === '') return null;
+  if (fieldType === 'number' || fieldType === 'integer') {
+    // Transforms without a fieldType leave numbers as text ("12 500")
+    return /^[-+]?\d[\d\s.,']*$/.test(text) ? parseNumber(text) : value;
+  }
+  if (fieldType === 'boolean') {
+    if (text === 'true' || text === 'false') return text === 'true';
+  }
+  return value;
+}
+
+function typeRows(rows, types) {
+  const columns = Object.keys(types);
+  if (columns.length === 0) return rows;
+  return rows.map(row => {
+    const typed = Object.assign({}, row);
+    columns.forEach(column => {
+      if (column in typed) typed[column] = typedValue(typed[column], types[column]);
+    });
+    return typed;
+  });
+}
+
+// Column order: first appearance across all rows
+function columnsOf(rows) {
+  const columns = [];
+  const seen = new Set();
+  rows.forEach(row => Object.keys(row).forEach(column => {
+    if (!seen.has(column)) {
+      seen.add(column);
+      columns.push(column);
+    }
+  }));
+  return columns;
+}
+
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  return Array.isArray(value) ? value.join(' | ') : String(value);
+}
+
+function escapeCsv(value) {
+  const text = cellText(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  const columns = columnsOf(rows);
+  const lines = [columns.map(escapeCsv).join(',')]
+    .concat(rows.map(row => columns.map(column => escapeCsv(row[column])).join(',')));
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+// Numbers, booleans and dates stay typed cells; anything else is text
+function xlsxCell(value, fieldType) {
+  if (value === null || value === undefined) return null;
+  if (fieldType === 'date' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return new Date(`${value}T00:00:00Z`);
+  if (typeof value === 'number' || typeof value === 'boolean') return value;
+  return cellText(value);
+}
+
+async function toXlsx(rows, sheetName, types) {
+  const workbook = new ExcelJS.Workbook();
+  // Worksheet names: at most 31 characters, none of \ / ? * [ ] :
+  const sheet = workbook.addWorksheet((sheetName || 'Data').replace(/[\\/?*[\]:]/g, '_').slice(0, 31));
+  const columns = columnsOf(rows);
+  sheet.columns = columns.map(column => ({
+    header: column,
+    key: column,
+    width: Math.min(60, Math.max(10, column.length + 2)),
+    style: types[column] === 'date' ? { numFmt: 'yyyy-mm-dd' } : {}
+  }));
+  rows.forEach(row => {
+    const values = {};
+    columns.forEach(column => {
+      values[column] = types[column] ? xlsxCell(row[column], types[column]) : cellText(row[column]);
+    });
+    sheet.addRow(values);
+  });
+  sheet.getRow(1).font = { bold: true };
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// Serialize rows: resolves { body, contentType, extension }. template (optional) types
+// the json, ndjson and xlsx values by its fields' fieldType.
+async function serialize(rows, format, { sheetName, template } = {}) {
+  const settings = FORMATS[format];
+  if (!settings) {
+    throw new Error(`Unknown export format "${format}". Expected one of: ${Object.keys(FORMATS).join(', ')}.`);
+  }
+
+  const types = columnTypes(template);
+  if (format !== 'csv') {
+    rows = typeRows(rows, types);
+  }
+
+  let body;
+  if (format === 'json') {
+    body = JSON.stringify(rows, null, 2);
+  } else if (format === 'ndjson') {
+    body = rows.map(row => JSON.stringify(row)).join('\n') + (rows.length ? '\n' : '');
+  } else if (format === 'csv') {
+    body = toCsv(rows);
+  } else {
+    body = await toXlsx(rows, sheetName, types);
+  }
+  return { body, contentType: settings.contentType, extension: settings.extension };
+}
+
+module.exports = {
+  FORMATS,
+  NO_TEMPLATE,
+  listRuns,
+  readRows,
+  mergeRuns,
+  serialize
+};
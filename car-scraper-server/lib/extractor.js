@@ -0,0 +1,309 @@
+// lib/extractor.js
+//
+// Template extraction shared by both engines. The functions in this file are
+// serialized into the page for the browser engine (page.evaluate), so they may
+// only use each other (see browserScript) and never require() or module state.
+//
+// Extraction talks to the document through a small adapter:
+//   root                       - the document node
+//   find(scope, selector)      - all descendants matching a CSS selector
+//   byClass(scope, className)  - all descendants with the given class name(s)
+//   all(scope)                 - all descendant elements
+//   xpath(scope, expression)   - nodes matching an XPath expression; attribute and
+//                                text nodes come back as { xpathValue }
+//   text(el)                   - text content
+//   attr(el, name)             - attribute value or null (an xpathValue as it is)
+//
+// Field types: text, attribute, follow (a detail page link), jsonld (a path into the
+// JSON-LD objects in the item) and microdata (an itemprop path). Fields with
+// multiple: true return every match as an array, and fields may list fallbacks that
+// are tried in order when the primary selector finds nothing. Items where a field with
+// required: true comes out empty are skipped.
+
+// Find elements under scope with one of the selector methods: css, class, id, regex, xpath
+function findElements(dom, scope, selector, method) {
+  if (method === 'css') {
+    return dom.find(scope, selector);
+  } else if (method === 'class') {
+    return dom.byClass(scope, selector.replace('.', ''));
+  } else if (method === 'id') {
+    return dom.find(scope, `#${selector.replace('#', '')}`).slice(0, 1);
+  } else if (method === 'regex') {
+    const regex = new RegExp(selector, 'i');
+    return dom.all(scope).filter(el => regex.test(dom.text(el).trim()));
+  } else if (method === 'xpath') {
+    // Expressions are evaluated relative to scope: use ".//" to stay inside an item
+    return dom.xpath(scope, selector);
+  }
+  return [];
+}
+
+// Values at a dotted path (e.g. "offers.price") in the JSON-LD objects under scope.
+// Arrays along the path are flattened; schemaType keeps only objects of that @type.
+function readJsonLd(dom, scope, path, schemaType) {
+  let objects = [];
+  dom.find(scope, 'script[type="application/ld+json"]').forEach(script => {
+    let data;
+    try {
+      data = JSON.parse(dom.text(script));
+    } catch (error) {
+      return; // Broken blocks are common; the other blocks may still have the value
+    }
+    const queue = [].concat(data);
+    while (queue.length) {
+      const entry = queue.shift();
+      if (!entry || typeof entry !== 'object') continue;
+      if (Array.isArray(entry)) {
+        queue.push(...entry);
+      } else {
+        objects.push(entry);
+        if (entry['@graph']) queue.push(...[].concat(entry['@graph']));
+      }
+    }
+  });
+
+  if (schemaType) {
+    objects = objects.filter(entry => [].concat(entry['@type']).includes(schemaType));
+  }
+
+  let values = objects;
+  path.split('.').forEach(key => {
+    values = values.reduce((next, value) => {
+      if (value && typeof value === 'object' && value[key] !== undefined && value[key] !== null) {
+        next.push(...[].concat(value[key]));
+      }
+      return next;
+    }, []);
+  });
+
+  return values.map(value => {
+    if (value && typeof value === 'object') {
+      // { "@id": url } references and ImageObject-style values
+      return value['@id'] || value.url || value.name || JSON.stringify(value);
+    }
+    return String(value);
+  });
+}
+
+// Values of the itemprop path (e.g. "offers.price") under scope. Properties of
+// nested items only match the path segment that enters that item, as in microdata.
+// schemaType starts the path at the items whose itemtype ends with that type.
+function readMicrodata(dom, scope, path, schemaType) {
+  let contexts = [scope];
+  if (schemaType) {
+    const typePattern = new RegExp(`(^|[/#\\s])${schemaType}(\\s|$)`);
+    const isType = (el) => typePattern.test(dom.attr(el, 'itemtype') || '');
+    contexts = (scope !== dom.root && dom.attr(scope, 'itemscope') !== null && isType(scope) ? [scope] : [])
+      .concat(dom.find(scope, '[itemscope][itemtype]').filter(isType));
+  }
+
+  let properties = [];
+  path.split('.').forEach(name => {
+    const selector = `[itemprop~="${name}"]`;
+    properties = contexts.reduce((found, context) => {
+      const nested = new Set();
+      dom.find(context, '[itemscope]').forEach(item => dom.find(item, selector).forEach(el => nested.add(el)));
+      return found.concat(dom.find(context, selector).filter(el => !nested.has(el)));
+    }, []);
+    contexts = properties;
+  });
+
+  return properties.map(el => {
+    const value = ['content', 'href', 'src', 'datetime', 'value']
+      .map(name => dom.attr(el, name))
+      .find(value => value !== null && value !== undefined);
+    return (value !== undefined ? value : dom.text(el)).trim();
+  });
+}
+
+// Number of elements matching the template's itemSelector
+function countItems(template, dom) {
+  if (!template.itemSelector) return 1;
+  return findElements(dom, dom.root, template.itemSelector, template.itemSelectorMethod || 'css').length;
+}
+
+// Click the first element matching the selector (browser only); returns whether one was found
+function clickElement(selector, method, dom) {
+  const el = findElements(dom, dom.root, selector, method || 'css')[0];
+  if (!el) return false;
+  el.click();
+  return true;
+}
+
+// Extract items and the next page link from the current document.
+// Selector errors do not stop extraction; they are returned in errors, one entry
+// per field and message with the number of items it happened on.
+function extractPage(template, dom) {
+  const errors = [];
+  const recordError = (field, selector, method, error) => {
+    const message = error && error.message ? error.message : String(error);
+    const existing = errors.find(entry => entry.field === field && entry.message === message);
+    if (existing) {
+      existing.count++;
+    } else {
+      errors.push({ field, selector, method, message, count: 1 });
+    }
+  };
+
+  const isEmpty = (value) => value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+
+  // One field (or fallback) spec against one item: a string, or an array for multiple
+  const extractValue = (field, element, spec) => {
+    const method = spec.method || 'css';
+    try {
+      let values;
+      if (spec.type === 'jsonld') {
+        values = readJsonLd(dom, element, spec.path, spec.schemaType);
+      } else if (spec.type === 'microdata') {
+        values = readMicrodata(dom, element, spec.path, spec.schemaType);
+      } else {
+        // Follow fields link to a detail page; the nested template is scraped later in Node
+        const attribute = spec.type === 'attribute' ? spec.attribute : (spec.type === 'follow' ? spec.attribute || 'href' : null);
+        const elements = findElements(dom, element, spec.selector, method);
+        if (!spec.multiple) {
+          if (!elements[0]) return '';
+          return attribute ? dom.attr(elements[0], attribute) : dom.text(elements[0]).trim();
+        }
+        values = elements.map(el => (attribute ? dom.attr(el, attribute) : dom.text(el).trim()));
+      }
+      values = values.filter(value => !isEmpty(value));
+      return spec.multiple ? values : (values.length ? values[0] : '');
+    } catch (error) {
+      recordError(field, spec.selector || spec.path, spec.type === 'jsonld' || spec.type === 'microdata' ? spec.type : method, error);
+      return spec.multiple ? [] : '';
+    }
+  };
+
+  let data = [];
+  let items = [];
+  const itemMethod = template.itemSelectorMethod || 'css';
+  try {
+    // Without an itemSelector the whole document is one item (detail pages)
+    items = template.itemSelector ? findElements(dom, dom.root, template.itemSelector, itemMethod) : [dom.root];
+  } catch (error) {
+    recordError('itemSelector', template.itemSelector, itemMethod, error);
+  }
+
+  items.forEach(item => {
+    let itemData = {};
+    for (let field in template.fields) {
+      const fieldInfo = template.fields[field];
+      let value = extractValue(field, item, fieldInfo);
+      // Fallbacks inherit the field's settings and override only what they specify
+      for (let fallback of fieldInfo.fallbacks || []) {
+        if (!isEmpty(value)) break;
+        value = extractValue(field, item, Object.assign({}, fieldInfo, fallback));
+      }
+      itemData[field] = value;
+    }
+    const incomplete = Object.keys(template.fields).some(field => template.fields[field].required && isEmpty(itemData[field]));
+    if (!incomplete) {
+      data.push(itemData);
+    }
+  });
+
+  // Resolve the next page link (relative hrefs are resolved by the caller)
+  let nextPageHref = '';
+  if (template.nextPage && template.nextPage.selector) {
+    const nextPageSelector = template.nextPage.selector;
+    const nextPageMethod = template.nextPage.method || 'css';
+    try {
+      let nextLink;
+      if (nextPageMethod === 'regex') {
+        const regex = new RegExp(nextPageSelector, 'i');
+        nextLink = dom.find(dom.root, 'a').find(a => regex.test(dom.text(a).trim()));
+      } else {
+        nextLink = findElements(dom, dom.root, nextPageSelector, nextPageMethod)[0];
+      }
+      nextPageHref = (nextLink && dom.attr(nextLink, 'href')) || '';
+    } catch (error) {
+      recordError('nextPage', nextPageSelector, nextPageMethod, error);
+    }
+  }
+
+  return { items: data, itemCount: items.length, nextPageHref, errors };
+}
+
+// Adapter over the live DOM (runs inside the browser page)
+function createDomAdapter(document) {
+  return {
+    root: document,
+    find: (scope, selector) => Array.from(scope.querySelectorAll(selector)),
+    byClass: (scope, className) => Array.from(scope.getElementsByClassName(className)),
+    all: (scope) => Array.from(scope.querySelectorAll('*')),
+    xpath: (scope, expression) => {
+      const result = document.evaluate(expression, scope, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+      const nodes = [];
+      for (let i = 0; i < result.snapshotLength; i++) {
+        const node = result.snapshotItem(i);
+        nodes.push(node.nodeType === Node.ELEMENT_NODE ? node : { xpathValue: node.nodeValue });
+      }
+      return nodes;
+    },
+    text: (el) => (el.xpathValue !== undefined ? el.xpathValue : el.textContent),
+    attr: (el, name) => (el.xpathValue !== undefined ? el.xpathValue : el.getAttribute(name))
+  };
+}
+
+// Adapter over a cheerio document (runs in Node for the static engine). selectXPath
+// comes from lib/xpathAdapter.js; it is passed in to keep this file free of require().
+// Create one adapter per loaded document: it caches document-wide selector matches.
+function createCheerioAdapter($, selectXPath) {
+  const classSelector = (className) => className.trim().split(/\s+/).map(name => `.${name}`).join('');
+  // Combinators (descendant, >, +, ~) or selector lists, ignoring those inside
+  // attribute values, pseudo-class arguments and strings
+  const hasCombinator = (selector) => /[\s>+~,]/.test(selector.trim()
+    .replace(/"[^"]*"|'[^']*'/g, '""')
+    .replace(/\[[^\]]*\]/g, '[]')
+    .replace(/\([^)]*\)/g, '()'));
+  const root = $.root()[0];
+  const documentMatches = new Map();
+  return {
+    root,
+    // Like querySelectorAll, a selector with combinators may name ancestors outside scope
+    // (e.g. "html > body > ..." inside an item), which cheerio's find() does not match. Those
+    // are matched once against the whole document and filtered to scope's descendants;
+    // simple selectors are looked up under scope.
+    find: (scope, selector) => {
+      if (scope === root) return $(root).find(selector).toArray();
+      if (!hasCombinator(selector)) return $(scope).find(selector).toArray();
+      if (!documentMatches.has(selector)) {
+        documentMatches.set(selector, $(root).find(selector).toArray());
+      }
+      return documentMatches.get(selector).filter(el => $.contains(scope, el));
+    },
+    byClass: (scope, className) => $(scope).find(classSelector(className)).toArray(),
+    all: (scope) => $(scope).find('*').toArray(),
+    xpath: (scope, expression) => selectXPath(scope, expression),
+    text: (el) => (el.xpathValue !== undefined ? el.xpathValue : $(el).text()),
+    attr: (el, name) => {
+      if (el.xpathValue !== undefined) return el.xpathValue;
+      const value = $(el).attr(name);
+      return value === undefined ? null : value;
+    }
+  };
+}
+
+// Expression evaluated inside a Puppeteer page: calls fn(...args, dom) over the live DOM
+function browserScript(fn, ...args) {
+  const params = args.map(arg => JSON.stringify(arg === undefined ? null : arg)).concat('dom').join(', ');
+  return `(() => {
+    const findElements = ${findElements};
+    const readJsonLd = ${readJsonLd};
+    const readMicrodata = ${readMicrodata};
+    const dom = (${createDomAdapter})(document);
+    return (${fn})(${params});
+  })()`;
+}
+
+module.exports = {
+  findElements,
+  readJsonLd,
+  readMicrodata,
+  countItems,
+  clickElement,
+  extractPage,
+  createDomAdapter,
+  createCheerioAdapter,
+  browserScript
+};
@@ -0,0 +1,184 @@
+// lib/fixtures.js
+//
+// Record-and-replay fixtures for offline template regression tests (test/replay.js).
+//
+// A domain's fixture lives in test/fixtures/<domain>/:
+//   manifest.json             - { url, recordedAt, pages: { <url>: <file> },
+//                                 templates: { <name>: { pages: [listing page URLs] } } }
+//   pages/<hash>.html         - snapshot of every loaded page (rendered HTML for the browser engine)
+//   expected/<template>.json  - rows the template extracted from those pages
+//
+// Hand-written fixtures have "synthetic": "<note>" in their manifest instead of recordedAt.
+// Their replays show that the templates still extract what the pages were written for, not
+// that the selectors match the live site, so test/replay.js only accepts them while a real
+// recording is listed as pending.
+//
+// Recording: a scrape started with "record": true wraps its sessions with a recorder,
+// which keeps every page loaded by the run; finish() then replaces the domain's fixture
+// with the snapshots and the rows of each saved template. Runs that were cancelled or
+// had a page fail (after the crawl policy's retries, robots.txt blocks included) are
+// discarded, so the previous fixture stays.
+// Replay: startFixtureServer() serves the snapshots from 127.0.0.1 at their original
+// paths and replaySession() sends every load there, so templates run without network
+// while links still resolve against the original URLs.
+
+const fs = require('fs-extra');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+
+const MANIFEST = 'manifest.json';
+const PAGES_DIR = 'pages';
+const EXPECTED_DIR = 'expected';
+
+function pageFile(url) {
+  return `${PAGES_DIR}/${crypto.createHash('sha1').update(url).digest('hex').slice(0, 16)}.html`;
+}
+
+// Path and query of a URL: the key pages are served under during replay
+function localPath(url) {
+  const { pathname, search } = new URL(url);
+  return `${pathname}${search}`;
+}
+
+// Recorder for one scrape run of the domain fixture in dir
+function createRecorder({ dir, url }) {
+  const pages = new Map(); // url -> body
+  const listingPages = {}; // template -> [url]
+  const failedLoads = []; // URLs that could not be loaded
+
+  // Session whose successful loads are kept as snapshots
+  function wrap(session, { template, detail = false }) {
+    return Object.assign({}, session, {
+      load: async (pageUrl) => {
+        let response;
+        try {
+          response = await session.load(pageUrl);
+        } catch (error) {
+          failedLoads.push(pageUrl);
+          throw error;
+        }
+        pages.set(pageUrl, response && typeof response.body === 'string' ? response.body : '');
+        if (!detail) {
+          listingPages[template] = listingPages[template] || [];
+          if (!listingPages[template].includes(pageUrl)) listingPages[template].push(pageUrl);
+        }
+        return response;
+      }
+    });
+  }
+
+  // Why a run cannot become the fixture, or null
+  function discardReason({ cancelled, results, failures }) {
+    if (cancelled) return 'the run was cancelled';
+    if (failures.length > 0) return `template "${failures[0].template}" failed at ${failures[0].url}`;
+    if (failedLoads.length > 0) return `${failedLoads[0]} could not be loaded`;
+    if (results.length === 0) return 'no rows were saved';
+    return null;
+  }
+
+  // Write the fixture from a runScrape result ({ cancelled, results, failures }): snapshots,
+  // manifest and the rows of every saved template (templates that saved nothing get no
+  // expected rows). Resolves { dir, pages, templates }, or { dir, discarded: <reason> }
+  // when the run did not complete cleanly and the previous fixture was kept.
+  function finish(run) {
+    const discarded = discardReason(run);
+    if (discarded) {
+      return { dir, discarded };
+    }
+    const { results } = run;
+
+    fs.emptyDirSync(dir);
+    fs.ensureDirSync(path.join(dir, PAGES_DIR));
+    fs.ensureDirSync(path.join(dir, EXPECTED_DIR));
+
+    const manifest = { url, recordedAt: new Date().toISOString(), pages: {}, templates: {} };
+    pages.forEach((body, pageUrl) => {
+      const file = pageFile(pageUrl);
+      fs.writeFileSync(path.join(dir, file), body, 'utf8');
+      manifest.pages[pageUrl] = file;
+    });
+    for (let template in listingPages) {
+      manifest.templates[template] = { pages: listingPages[template] };
+    }
+    fs.writeJSONSync(path.join(dir, MANIFEST), manifest, { spaces: 2 });
+
+    results.forEach(result => {
+      writeExpected(dir, result.template, result.rows);
+    });
+
+    return { dir, pages: pages.size, templates: results.map(result => result.template) };
+  }
+
+  return { wrap, finish };
+}
+
+// Fixture of a domain, or null: { dir, manifest }
+function readFixture(dir) {
+  const manifestPath = path.join(dir, MANIFEST);
+  if (!fs.existsSync(manifestPath)) return null;
+  return { dir, manifest: fs.readJSONSync(manifestPath) };
+}
+
+function expectedPath(dir, name) {
+  return path.join(dir, EXPECTED_DIR, `${name}.json`);
+}
+
+// Expected rows of a template (or another named output), or null when none were recorded
+function readExpected(dir, name) {
+  const file = expectedPath(dir, name);
+  return fs.existsSync(file) ? fs.readJSONSync(file) : null;
+}
+
+function writeExpected(dir, name, rows) {
+  fs.ensureDirSync(path.join(dir, EXPECTED_DIR));
+  fs.writeJSONSync(expectedPath(dir, name), rows, { spaces: 2 });
+}
+
+// Serve a fixture's snapshots on 127.0.0.1 (a free port); resolves { origin, close() }.
+// Pages are matched by path and query; anything else is a 404.
+function startFixtureServer(fixture) {
+  const files = new Map();
+  for (let pageUrl in fixture.manifest.pages) {
+    const key = localPath(pageUrl);
+    if (!files.has(key)) files.set(key, path.join(fixture.dir, fixture.manifest.pages[pageUrl]));
+  }
+
+  const server = http.createServer((req, res) => {
+    const file = files.get(req.url);
+    if (!file) {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end(`No snapshot recorded for ${req.url}`);
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    fs.createReadStream(file).pipe(res);
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        origin: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+// Session that loads every URL from the fixture server instead of the original site
+function replaySession(session, origin) {
+  return Object.assign({}, session, {
+    load: (url) => session.load(`${origin}${localPath(url)}`)
+  });
+}
+
+module.exports = {
+  localPath,
+  createRecorder,
+  readFixture,
+  readExpected,
+  writeExpected,
+  startFixtureServer,
+  replaySession
+};
@@ -0,0 +1,158 @@
+// lib/follow.js
+//
+// Detail-page scraping for "follow" fields. A follow field extracts a link from
+// each listing item and scrapes the linked page with a nested template:
+//
+//   "Details": {
+//     "type": "follow",
+//     "selector": "a.item-link",
+//     "attribute": "href",                  // default
+//     "concurrency": 2,                     // detail pages open at once (default 2)
+//     "template": { "fields": { ... } }     // itemSelector is optional; without it the page is one item
+//   }
+//
+// Detail pages are spaced like every other load, by the crawl policy's per-domain delay
+// (lib/crawl.js). The nested fields are merged into the parent row. A failed detail page leaves
+// its fields empty and is reported through onError; the run carries on. Those fields are
+// listed by failedDetailFields(row), so listing history does not take them as changed. The same
+// goes for the rows whose detail pages were not loaded because the run was cancelled.
+
+const { templateEngine } = require('./engines');
+const { applyTransforms } = require('./transforms');
+
+const DEFAULT_CONCURRENCY = 2;
+
+// Row -> names of the fields left empty by a failed or skipped detail page
+const failedDetails = new WeakMap();
+
+function followFields(template) {
+  const fields = template.fields || {};
+  return Object.keys(fields).filter(field => fields[field].type === 'follow');
+}
+
+// Row with every nested field empty, so failed rows keep the same CSV columns
+function emptyDetailRow(nestedTemplate) {
+  const row = {};
+  for (let field in nestedTemplate.fields || {}) {
+    row[field] = '';
+  }
+  const [empty] = applyTransforms(nestedTemplate, [row]);
+  followFields(nestedTemplate).forEach(field => {
+    Object.assign(empty, emptyDetailRow(nestedTemplate.fields[field].template || { fields: {} }));
+  });
+  return empty;
+}
+
+function markFailed(row, fields) {
+  if (fields.length === 0) return;
+  failedDetails.set(row, Array.from(new Set(failedDetailFields(row).concat(fields))));
+}
+
+// Fields of a row that are empty because a detail page behind it failed or was skipped
+function failedDetailFields(row) {
+  return failedDetails.get(row) || [];
+}
+
+// Scrape the detail pages behind every follow field of the template and merge them into rows.
+// options:
+//   pageUrl                        - URL of the listing page, for resolving relative links
+//   parentEngine                   - engine used when the nested template does not name one
+//   openSession(engine)            - opens a session for a worker; the worker closes it when done,
+//                                    and before resolving nested follow fields
+//   isCancelled()                  - checked before each detail page
+//   onError({ field, url, message })
+//   logger                         - { log, error } for progress messages (default console)
+async function resolveFollowFields(template, rows, options) {
+  const { pageUrl, parentEngine, openSession } = options;
+  const isCancelled = options.isCancelled || (() => false);
+  const onError = options.onError || (() => {});
+  const logger = options.logger || console;
+
+  for (let field of followFields(template)) {
+    const fieldInfo = template.fields[field];
+    const nestedTemplate = fieldInfo.template || { fields: {} };
+    const engine = nestedTemplate.engine || parentEngine || templateEngine(template);
+    const concurrency = Math.max(1, fieldInfo.concurrency || DEFAULT_CONCURRENCY);
+
+    // Absolute detail URLs; rows without a link only get empty nested fields
+    rows.forEach(row => {
+      if (row[field]) {
+        try {
+          row[field] = new URL(row[field], pageUrl).href;
+        } catch (error) {
+          onError({ field, url: row[field], message: `Invalid detail link: ${error.message}` });
+          row[field] = '';
+        }
+      }
+    });
+
+    let next = 0;
+    const worker = async () => {
+      let session = null;
+      try {
+        while (next < rows.length && !isCancelled()) {
+          const row = rows[next++];
+          let detail = emptyDetailRow(nestedTemplate);
+
+          if (row[field]) {
+            try {
+              if (!session) {
+                session = await openSession(engine);
+              }
+              logger.log(`Scraping detail page for "${field}": ${row[field]}`);
+              await session.load(row[field]);
+              const { items } = await session.extract(nestedTemplate);
+              if (items.length > 0) {
+                const [transformed] = applyTransforms(nestedTemplate, items.slice(0, 1));
+                // Nested follow fields are resolved against the detail page. Their sessions
+                // need pages of their own, so this one is closed first: a worker holding its
+                // page while it waits for another could use up the browser pool.
+                if (followFields(nestedTemplate).length > 0) {
+                  await session.close();
+                  session = null;
+                }
+                await resolveFollowFields(nestedTemplate, [transformed], Object.assign({}, options, {
+                  pageUrl: row[field],
+                  parentEngine: engine
+                }));
+                detail = transformed;
+                markFailed(row, failedDetailFields(transformed));
+              }
+            } catch (error) {
+              logger.error(`Failed to scrape detail page ${row[field]}:`, error.message);
+              onError({ field, url: row[field], message: error.message });
+              markFailed(row, Object.keys(detail));
+            }
+          }
+
+          Object.assign(row, detail);
+        }
+      } finally {
+        if (session) {
+          await session.close();
+        }
+      }
+    };
+
+    const workers = [];
+    for (let i = 0; i < Math.min(concurrency, rows.length); i++) {
+      workers.push(worker());
+    }
+    await Promise.all(workers);
+
+    // Rows the workers did not reach before the run was cancelled
+    rows.slice(next).forEach(row => {
+      const detail = emptyDetailRow(nestedTemplate);
+      if (row[field]) markFailed(row, Object.keys(detail));
+      Object.assign(row, detail);
+    });
+  }
+
+  return rows;
+}
+
+module.exports = {
+  followFields,
+  failedDetailFields,
+  resolveFollowFields
+};
@@ -0,0 +1,134 @@
+// lib/jobs.js
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+// Job statuses
+// queued -> running -> completed | partial | failed | cancelled
+// A run where some templates failed is "partial" when others saved rows, "failed" when none did.
+// Jobs that were queued or running when the server stopped become "interrupted" on the next start.
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+// Persisted scrape jobs, one JSON file per job under storage/jobs/
+function createJobStore(jobsDir) {
+  fs.ensureDirSync(jobsDir);
+  const jobs = new Map();
+
+  const jobPath = (id) => path.join(jobsDir, `${id}.json`);
+
+  const save = (job) => {
+    fs.writeJSONSync(jobPath(job.id), job, { spaces: 2 });
+    return job;
+  };
+
+  // Load jobs from disk and mark the ones left unfinished by a previous process
+  fs.readdirSync(jobsDir).filter(file => file.endsWith('.json')).forEach(file => {
+    try {
+      const job = fs.readJSONSync(path.join(jobsDir, file));
+      if (ACTIVE_STATUSES.includes(job.status)) {
+        job.status = 'interrupted';
+        job.finishedAt = new Date().toISOString();
+        job.errors.push({ message: 'Server restarted before the job finished.', at: job.finishedAt });
+        save(job);
+      }
+      jobs.set(job.id, job);
+    } catch (error) {
+      console.error(`Failed to load job file "${file}":`, error);
+    }
+  });
+
+  function create({ url, domain, templates, scheduleId }) {
+    const job = {
+      id: crypto.randomUUID(),
+      url,
+      domain,
+      templates: Object.keys(templates),
+      scheduleId: scheduleId || null,
+      status: 'queued',
+      cancelRequested: false,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      pagesDone: 0,
+      itemsCollected: 0,
+      files: [],
+      errors: []
+    };
+    jobs.set(job.id, job);
+    return save(job);
+  }
+
+  function get(id) {
+    return jobs.get(id) || null;
+  }
+
+  // Newest first
+  function list() {
+    return Array.from(jobs.values()).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  function update(id, changes) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    Object.assign(job, changes);
+    return save(job);
+  }
+
+  function isActive(job) {
+    return ACTIVE_STATUSES.includes(job.status);
+  }
+
+  // Run a job through the given runner: runner(job, hooks) resolves when the scrape ends,
+  // optionally with { results, failures } from runScrape.
+  // The job record is updated as pages complete so GET /jobs/:id reflects progress.
+  function start(job, runner) {
+    update(job.id, { status: 'running', startedAt: new Date().toISOString() });
+
+    const hooks = {
+      isCancelled: () => job.cancelRequested,
+      onPage: ({ items }) => {
+        update(job.id, { pagesDone: job.pagesDone + 1, itemsCollected: job.itemsCollected + items });
+      },
+      onSaved: ({ template, file, rows, changes, partial }) => {
+        job.files.push({ template, file, rows, changes, partial });
+        save(job);
+      },
+      onError: (error) => {
+        job.errors.push(Object.assign({}, error, { at: new Date().toISOString() }));
+        save(job);
+      }
+    };
+
+    return Promise.resolve()
+      .then(() => runner(job, hooks))
+      .then((outcome) => {
+        const failures = (outcome && outcome.failures) || [];
+        let status = job.cancelRequested ? 'cancelled' : 'completed';
+        if (failures.length > 0 && !job.cancelRequested) {
+          status = outcome.results && outcome.results.length > 0 ? 'partial' : 'failed';
+        }
+        update(job.id, { status, finishedAt: new Date().toISOString() });
+      })
+      .catch((error) => {
+        console.error(`Job ${job.id} failed:`, error);
+        job.errors.push({ message: error.message, at: new Date().toISOString() });
+        update(job.id, { status: 'failed', finishedAt: new Date().toISOString() });
+      })
+      .then(() => job);
+  }
+
+  // Request cancellation; a running job stops before its next page
+  function cancel(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    if (job.status === 'queued') {
+      return update(id, { cancelRequested: true, status: 'cancelled', finishedAt: new Date().toISOString() });
+    }
+    return update(id, { cancelRequested: true });
+  }
+
+  return { create, get, list, update, start, cancel, isActive };
+}
+
+module.exports = { createJobStore };
@@ -0,0 +1,211 @@
+// lib/listings.js
+//
+// Listing identity and history across runs. A template opts in with a listing key:
+//
+//   "listingKey": "Link"                                       - the value of a field
+//   "listingKey": { "field": "Link", "pattern": "-(\\d+)\\.html" } - a regex capture (group 1) of a field
+//   "priceField": "Price"                                      - optional, tracked in priceHistory
+//
+// The store lives in storage/<domain>/<template>/listings.json and keeps, per listing,
+// the first/last seen dates, the current values, every field change and the price history.
+// Each run writes a change set (new, updated, disappeared) to changes_<timestamp>.json
+// next to the run's CSV.
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const { failedDetailFields } = require('./follow');
+
+const STORE_FILE = 'listings.json';
+
+function listingKeyConfig(template) {
+  const listingKey = template.listingKey;
+  if (!listingKey) return null;
+  return typeof listingKey === 'string' ? { field: listingKey } : listingKey;
+}
+
+// Validate the listing key settings of a template; returns a list of error messages
+function validateListingKey(template) {
+  const errors = [];
+  const config = listingKeyConfig(template);
+  if (!config) return errors;
+
+  if (!config.field) {
+    errors.push('listingKey requires a field.');
+  } else if (!template.fields || !template.fields[config.field]) {
+    errors.push(`listingKey field "${config.field}" is not one of the template fields.`);
+  }
+  if (config.pattern) {
+    try {
+      new RegExp(config.pattern);
+    } catch (error) {
+      errors.push(`listingKey pattern is invalid (${error.message}).`);
+    }
+  }
+  if (template.priceField && template.fields && !template.fields[template.priceField]) {
+    errors.push(`priceField "${template.priceField}" is not one of the template fields.`);
+  }
+  return errors;
+}
+
+// Identity of a row, or null when the template has no listing key or the row lacks one
+function listingKeyOf(template, row) {
+  const config = listingKeyConfig(template);
+  if (!config) return null;
+
+  const value = row[config.field];
+  if (value === null || value === undefined || value === '') return null;
+  if (!config.pattern) return String(value);
+
+  const match = String(value).match(new RegExp(config.pattern));
+  if (!match) return null;
+  return match[1] !== undefined ? match[1] : match[0];
+}
+
+function storePath(templateDir) {
+  return path.join(templateDir, STORE_FILE);
+}
+
+function loadStore(templateDir) {
+  const file = storePath(templateDir);
+  if (!fs.existsSync(file)) {
+    return { listings: {} };
+  }
+  return fs.readJSONSync(file);
+}
+
+// Fields whose value differs between two rows: { field: { from, to } }
+function diffValues(previous, current) {
+  const changes = {};
+  const fields = new Set(Object.keys(previous).concat(Object.keys(current)));
+  fields.forEach(field => {
+    const from = previous[field] === undefined ? null : previous[field];
+    const to = current[field] === undefined ? null : current[field];
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  });
+  return changes;
+}
+
+// Merge a run's rows into the listing store and write its change set.
+// complete: false for runs that did not visit every page (cancelled, failed or ended by
+// the pagination limit); listings they did not reach are then not marked as disappeared.
+// Likewise, fields left empty by a failed detail page (lib/follow.js) keep their stored
+// values and are not compared.
+function recordRun(templateDir, template, rows, { runId, at, complete }) {
+  const store = loadStore(templateDir);
+  const changeSet = { runId, at, new: [], updated: [], disappeared: [], unkeyed: 0 };
+  const seenKeys = new Set();
+
+  rows.forEach(row => {
+    const key = listingKeyOf(template, row);
+    if (!key) {
+      changeSet.unkeyed++;
+      return;
+    }
+    if (seenKeys.has(key)) return;
+    seenKeys.add(key);
+
+    const price = template.priceField ? row[template.priceField] : undefined;
+    const listing = store.listings[key];
+
+    if (!listing) {
+      store.listings[key] = {
+        key,
+        firstSeen: at,
+        lastSeen: at,
+        active: true,
+        values: row,
+        history: [],
+        priceHistory: price === undefined ? [] : [{ at, price }]
+      };
+      changeSet.new.push({ key, values: row });
+      return;
+    }
+
+    const values = Object.assign({}, row);
+    failedDetailFields(row).forEach(field => {
+      if (listing.values[field] !== undefined) values[field] = listing.values[field];
+    });
+    const changes = diffValues(listing.values, values);
+    const reappeared = !listing.active;
+    listing.lastSeen = at;
+    listing.active = true;
+
+    if (Object.keys(changes).length > 0) {
+      listing.history.push({ at, changes });
+      listing.values = values;
+      if (template.priceField && changes[template.priceField]) {
+        listing.priceHistory.push({ at, price });
+      }
+    }
+    if (Object.keys(changes).length > 0 || reappeared) {
+      changeSet.updated.push({ key, values, changes, reappeared });
+    }
+  });
+
+  if (complete) {
+    for (let key in store.listings) {
+      const listing = store.listings[key];
+      if (listing.active && !seenKeys.has(key)) {
+        listing.active = false;
+        listing.disappearedAt = at;
+        changeSet.disappeared.push({ key, values: listing.values, lastSeen: listing.lastSeen });
+      }
+    }
+  }
+
+  fs.ensureDirSync(templateDir);
+  fs.writeJSONSync(storePath(templateDir), store, { spaces: 2 });
+  fs.writeJSONSync(path.join(templateDir, `changes_${runId}.json`), changeSet, { spaces: 2 });
+
+  return changeSet;
+}
+
+// Remove the listings a deleted run alone had seen (first and last seen at its time, at)
+// from the store; listings other runs saw keep their history. Resolves the number removed.
+function forgetRun(templateDir, at) {
+  if (!fs.existsSync(storePath(templateDir))) return 0;
+  const store = loadStore(templateDir);
+  let removed = 0;
+  for (let key in store.listings) {
+    const listing = store.listings[key];
+    if (listing.firstSeen === at && listing.lastSeen === at) {
+      delete store.listings[key];
+      removed++;
+    }
+  }
+  if (removed > 0) {
+    fs.writeJSONSync(storePath(templateDir), store, { spaces: 2 });
+  }
+  return removed;
+}
+
+// Change set files of a template, newest first
+function listChangeSets(templateDir) {
+  if (!fs.existsSync(templateDir)) return [];
+  return fs.readdirSync(templateDir)
+    .filter(file => /^changes_\d+\.json$/.test(file))
+    .sort((a, b) => parseInt(b.slice(8), 10) - parseInt(a.slice(8), 10));
+}
+
+function changeSummary(changeSet) {
+  return {
+    new: changeSet.new.length,
+    updated: changeSet.updated.length,
+    disappeared: changeSet.disappeared.length,
+    unkeyed: changeSet.unkeyed
+  };
+}
+
+module.exports = {
+  listingKeyConfig,
+  validateListingKey,
+  listingKeyOf,
+  loadStore,
+  recordRun,
+  forgetRun,
+  listChangeSets,
+  changeSummary
+};
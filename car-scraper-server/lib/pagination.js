@@ -0,0 +1,148 @@
+// lib/pagination.js
+//
+// Pagination strategies, chosen with template.nextPage.strategy:
+//
+//   "link" (default)  - follow the href of the nextPage selector (css, class, id or regex method)
+//   "urlPattern"      - build page URLs from a counter:
+//                       { "pattern": "https://site/list?page={page}" } or { "param": "page" } on the start URL,
+//                       plus "start" (1), "step" (1) and "max" (optional last page number)
+//   "scroll"          - scroll to the bottom until no new items appear (browser engine)
+//                       { "maxScrolls": 20, "waitMs": 3000 }
+//   "click"           - click a "load more" button until the item count stops growing (browser engine)
+//                       { "selector": "button.more", "method": "css", "maxClicks": 20, "waitMs": 3000 }
+//
+// link stops when there is no next link or it leads back to a page already visited (a loop);
+// urlPattern stops when "max" is reached or a page yields no new items.
+
+const { promisify } = require('util');
+const sleep = promisify(setTimeout);
+
+const STRATEGIES = ['link', 'urlPattern', 'scroll', 'click'];
+const BROWSER_STRATEGIES = ['scroll', 'click'];
+
+function paginationStrategy(template) {
+  const nextPage = template.nextPage;
+  if (!nextPage) return null;
+  if (nextPage.strategy) return nextPage.strategy;
+  return nextPage.selector ? 'link' : null;
+}
+
+// Validate the nextPage settings of a template; returns a list of error messages
+function validatePagination(template, engine) {
+  const errors = [];
+  const strategy = paginationStrategy(template);
+  if (!strategy) return errors;
+
+  const nextPage = template.nextPage;
+  if (!STRATEGIES.includes(strategy)) {
+    errors.push(`Unknown pagination strategy "${strategy}". Expected one of: ${STRATEGIES.join(', ')}.`);
+  } else if (BROWSER_STRATEGIES.includes(strategy) && engine !== 'browser') {
+    errors.push(`Pagination strategy "${strategy}" requires the browser engine.`);
+  } else if (strategy === 'urlPattern' && nextPage.pattern && !nextPage.pattern.includes('{page}')) {
+    errors.push('Pagination pattern must contain a {page} placeholder.');
+  } else if ((strategy === 'link' || strategy === 'click') && !nextPage.selector) {
+    errors.push(`Pagination strategy "${strategy}" requires a selector.`);
+  }
+  return errors;
+}
+
+// URL of the page with the given number for the urlPattern strategy
+function patternUrl(nextPage, startUrl, pageNumber) {
+  if (nextPage.pattern) {
+    return new URL(nextPage.pattern.replace(/\{page\}/g, pageNumber), startUrl).href;
+  }
+  const pageUrl = new URL(startUrl);
+  pageUrl.searchParams.set(nextPage.param || 'page', pageNumber);
+  return pageUrl.href;
+}
+
+// Wait until the page shows more items than before; resolves whether it did
+async function waitForMoreItems(session, template, previousCount, waitMs) {
+  const deadline = Date.now() + waitMs;
+  while (Date.now() < deadline) {
+    await sleep(250);
+    if (await session.countItems(template) > previousCount) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Walks a template's pages on a session. first() loads the first page and
+// next({ nextPageHref, newItems }) advances, resolving false when there are no more pages.
+// url and number describe the page currently shown.
+function createPaginator(template, startUrl, session, logger = console) {
+  const strategy = paginationStrategy(template);
+  const nextPage = template.nextPage || {};
+  const start = nextPage.start !== undefined ? nextPage.start : 1;
+  const step = nextPage.step || 1;
+  const visited = new Set(); // Page URLs loaded by the link strategy
+
+  const paginator = {
+    strategy,
+    url: startUrl,
+    number: 1,
+
+    first: async () => {
+      if (strategy === 'urlPattern') {
+        paginator.url = patternUrl(nextPage, startUrl, start);
+      }
+      visited.add(paginator.url);
+      await session.load(paginator.url);
+    },
+
+    next: async ({ nextPageHref, newItems }) => {
+      if (strategy === 'link') {
+        if (!nextPageHref) return false;
+        // Construct absolute URL if necessary
+        const nextUrl = new URL(nextPageHref, paginator.url).href;
+        if (visited.has(nextUrl)) {
+          logger.log(`Next page ${nextUrl} was already scraped; stopping.`);
+          return false;
+        }
+        visited.add(nextUrl);
+        paginator.url = nextUrl;
+        paginator.number++;
+        await session.load(paginator.url);
+        return true;
+      }
+
+      if (strategy === 'urlPattern') {
+        const pageNumber = start + step * paginator.number;
+        if (newItems === 0 || (nextPage.max && pageNumber > nextPage.max)) return false;
+        paginator.url = patternUrl(nextPage, startUrl, pageNumber);
+        paginator.number++;
+        await session.load(paginator.url);
+        return true;
+      }
+
+      if (strategy === 'scroll' || strategy === 'click') {
+        const limit = strategy === 'scroll' ? (nextPage.maxScrolls || 20) : (nextPage.maxClicks || 20);
+        if (paginator.number > limit) return false;
+
+        const before = await session.countItems(template);
+        if (strategy === 'scroll') {
+          await session.scroll();
+        } else if (!(await session.click(nextPage.selector, nextPage.method))) {
+          return false;
+        }
+        if (!(await waitForMoreItems(session, template, before, nextPage.waitMs || 3000))) {
+          return false;
+        }
+        paginator.number++;
+        return true;
+      }
+
+      return false;
+    }
+  };
+
+  return paginator;
+}
+
+module.exports = {
+  STRATEGIES,
+  paginationStrategy,
+  validatePagination,
+  createPaginator
+};
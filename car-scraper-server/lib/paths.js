@@ -0,0 +1,49 @@
+// lib/paths.js
+
+const path = require('path');
+
+// Storage Directory
+const STORAGE_DIR = path.join(__dirname, '..', 'storage');
+const CONFIG_PATH = path.join(STORAGE_DIR, 'configs.json');
+const CONFIG_HISTORY_DIR = path.join(STORAGE_DIR, 'config-history');
+const JOBS_DIR = path.join(STORAGE_DIR, 'jobs');
+const DATABASE_PATH = path.join(STORAGE_DIR, 'listings.sqlite');
+const SCHEDULES_PATH = path.join(STORAGE_DIR, 'schedules.json');
+const SEARCHES_PATH = path.join(STORAGE_DIR, 'searches.json');
+const DELIVERIES_LOG = path.join(STORAGE_DIR, 'webhook-deliveries.log');
+const CRAWL_SETTINGS_PATH = path.join(STORAGE_DIR, 'crawl-settings.json');
+const API_KEYS_PATH = path.join(STORAGE_DIR, 'api-keys.json');
+const AUDIT_LOG = path.join(STORAGE_DIR, 'audit.log');
+const RETENTION_PATH = path.join(STORAGE_DIR, 'retention.json');
+
+// Built-in templates shipped with the server (the CLI's --builtin <name>)
+const BUILTIN_TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+
+// Recorded page snapshots for the replay tests (test/replay.js)
+const FIXTURES_DIR = path.join(__dirname, '..', 'test', 'fixtures');
+
+// Entries under storage/ that hold server state rather than scraped domains
+const RESERVED_ENTRIES = ['configs.json', 'config-history', 'jobs', 'listings.sqlite', 'schedules.json', 'searches.json', 'webhook-deliveries.log', 'crawl-settings.json', 'api-keys.json', 'audit.log', 'retention.json'];
+
+function isDomainEntry(name) {
+  return !RESERVED_ENTRIES.includes(name);
+}
+
+module.exports = {
+  STORAGE_DIR,
+  CONFIG_PATH,
+  CONFIG_HISTORY_DIR,
+  JOBS_DIR,
+  DATABASE_PATH,
+  SCHEDULES_PATH,
+  SEARCHES_PATH,
+  DELIVERIES_LOG,
+  CRAWL_SETTINGS_PATH,
+  API_KEYS_PATH,
+  AUDIT_LOG,
+  RETENTION_PATH,
+  BUILTIN_TEMPLATES_DIR,
+  FIXTURES_DIR,
+  RESERVED_ENTRIES,
+  isDomainEntry
+};
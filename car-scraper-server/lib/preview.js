@@ -0,0 +1,91 @@
+// lib/preview.js
+//
+// Template dry run: load one page, extract the first items and report how well the
+// template matched, without writing any CSV, listing store or database rows.
+
+const { templateEngine, openSession } = require('./engines');
+const { applyTransforms } = require('./transforms');
+const { paginationStrategy } = require('./pagination');
+const { randomUserAgent } = require('./scraper');
+const { toVehicle } = require('./vehicles');
+
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 50;
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+// Filled/empty counts per field over all matched items. parseFailures counts values
+// that were extracted but came out empty after the field's transforms and type.
+function fieldDiagnostics(template, rawItems, transformedItems) {
+  const diagnostics = {};
+  for (let field in template.fields || {}) {
+    const filled = rawItems.filter(item => !isEmpty(item[field])).length;
+    const parseFailures = rawItems.filter((item, index) => !isEmpty(item[field]) && isEmpty(transformedItems[index][field])).length;
+    diagnostics[field] = {
+      type: template.fields[field].type,
+      filled,
+      empty: rawItems.length - filled,
+      hitRate: rawItems.length ? Math.round((filled / rawItems.length) * 1000) / 1000 : 0,
+      parseFailures
+    };
+  }
+  return diagnostics;
+}
+
+function nextPageDiagnostics(template, url, nextPageHref) {
+  const strategy = paginationStrategy(template);
+  if (!strategy) {
+    return { strategy: null, resolved: false, url: null };
+  }
+  if (strategy !== 'link') {
+    // urlPattern, scroll and click do not depend on a link in the page
+    return { strategy, resolved: null, url: null };
+  }
+  let nextUrl = null;
+  if (nextPageHref) {
+    try {
+      nextUrl = new URL(nextPageHref, url).href;
+    } catch (error) {
+      nextUrl = null;
+    }
+  }
+  return { strategy, resolved: Boolean(nextUrl), url: nextUrl, href: nextPageHref || null };
+}
+
+async function previewTemplate(pool, { url, template, limit, policy }) {
+  limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(limit, 10) || DEFAULT_LIMIT));
+  const engine = templateEngine(template);
+  const session = await openSession(engine, { pool, userAgent: randomUserAgent(), policy });
+  const startedAt = Date.now();
+
+  try {
+    await session.load(url);
+    const { items, itemCount, nextPageHref, errors } = await session.extract(template);
+    const transformed = applyTransforms(template, items);
+
+    return {
+      url,
+      engine,
+      durationMs: Date.now() - startedAt,
+      items: transformed.slice(0, limit),
+      // Canonical records, for checking the template's vehicle mapping
+      vehicles: template.vehicle ? transformed.slice(0, limit).map(row => toVehicle(template, row, { baseUrl: url })) : undefined,
+      diagnostics: {
+        itemSelector: {
+          selector: template.itemSelector || null,
+          method: template.itemSelectorMethod || 'css',
+          matched: itemCount
+        },
+        fields: fieldDiagnostics(template, items, transformed),
+        nextPage: nextPageDiagnostics(template, url, nextPageHref),
+        errors
+      }
+    };
+  } finally {
+    await session.close();
+  }
+}
+
+module.exports = { previewTemplate };
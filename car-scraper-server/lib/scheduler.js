@@ -0,0 +1,202 @@
+// lib/scheduler.js
+//
+// Recurring scrapes stored in storage/schedules.json. A schedule names a start URL,
+// a cron expression and optionally a single template and a page limit:
+//
+//   { "url": "https://autogidas.lt/skelbimai/automobiliai/", "cron": "0 */2 * * *",
+//     "template": "cars", "paginationLimit": 10 }
+//
+// Templates are read from configs.json when each run starts, so config edits apply
+// to the next run. A schedule never overlaps itself: when its previous job is still
+// running the due run is skipped. Runs missed while the server was down are made up
+// once on start.
+
+const fs = require('fs-extra');
+const crypto = require('crypto');
+const { CronExpressionParser } = require('cron-parser');
+
+const TICK_INTERVAL = 30 * 1000; // 30 seconds
+
+function nextRun(cron, from = new Date()) {
+  return CronExpressionParser.parse(cron, { currentDate: from }).next().toDate().toISOString();
+}
+
+// Validate a cron expression; returns an error message or null
+function cronError(cron) {
+  if (!cron || typeof cron !== 'string') {
+    return 'A cron expression is required.';
+  }
+  try {
+    CronExpressionParser.parse(cron);
+    return null;
+  } catch (error) {
+    return `Invalid cron expression "${cron}": ${error.message}`;
+  }
+}
+
+// options:
+//   file                      - where schedules are persisted
+//   loadTemplates(domain)     - templates saved for a domain, or null
+//   startJob({ url, templates, scheduleId }) - starts a scrape job and returns { job, done },
+//                               where done resolves with the finished job
+//   isJobActive(jobId)        - whether a previously started job is still queued or running
+//   now()                     - the current time as a Date (default: the system clock)
+function createScheduler({ file, loadTemplates, startJob, isJobActive, now = () => new Date() }) {
+  let schedules = fs.existsSync(file) ? fs.readJSONSync(file) : [];
+  let timer = null;
+
+  const save = () => {
+    fs.writeJSONSync(file, schedules, { spaces: 2 });
+  };
+
+  const get = (id) => schedules.find(schedule => schedule.id === id) || null;
+
+  // Runs that were in progress when the server stopped ended with their job
+  schedules.forEach(schedule => {
+    if (schedule.lastResult && schedule.lastResult.status === 'running' && !isJobActive(schedule.lastResult.jobId)) {
+      schedule.lastResult = Object.assign({}, schedule.lastResult, { status: 'interrupted' });
+    }
+  });
+
+  // Templates for one run, with the schedule's page limit applied
+  function scheduleTemplates(schedule) {
+    const domainTemplates = loadTemplates(schedule.domain);
+    if (!domainTemplates) {
+      throw new Error(`No templates saved for ${schedule.domain}.`);
+    }
+    const names = schedule.template ? [schedule.template] : Object.keys(domainTemplates);
+    const templates = {};
+    names.forEach(name => {
+      if (!domainTemplates[name]) {
+        throw new Error(`Template "${name}" is not saved for ${schedule.domain}.`);
+      }
+      templates[name] = schedule.paginationLimit
+        ? Object.assign({}, domainTemplates[name], { paginationLimit: schedule.paginationLimit })
+        : domainTemplates[name];
+    });
+    return templates;
+  }
+
+  async function run(schedule) {
+    const runAt = now();
+    schedule.nextRunAt = nextRun(schedule.cron, runAt);
+
+    if (schedule.lastJobId && isJobActive(schedule.lastJobId)) {
+      console.warn(`Schedule ${schedule.id} skipped: job ${schedule.lastJobId} is still running.`);
+      schedule.lastSkippedAt = runAt.toISOString();
+      save();
+      return;
+    }
+
+    schedule.lastRunAt = runAt.toISOString();
+
+    try {
+      const { job, done } = startJob({
+        url: schedule.url,
+        templates: scheduleTemplates(schedule),
+        scheduleId: schedule.id
+      });
+      schedule.lastJobId = job.id;
+      schedule.lastResult = { status: 'running', jobId: job.id, at: schedule.lastRunAt };
+      save();
+      console.log(`Schedule ${schedule.id} started job ${job.id}.`);
+
+      const finished = await done;
+      // The schedule may have been deleted while its job ran
+      if (get(schedule.id)) {
+        schedule.lastResult = {
+          status: finished.status,
+          jobId: finished.id,
+          at: finished.finishedAt,
+          pagesDone: finished.pagesDone,
+          itemsCollected: finished.itemsCollected,
+          errors: finished.errors.length
+        };
+        save();
+      }
+    } catch (error) {
+      console.error(`Schedule ${schedule.id} failed to start:`, error);
+      schedule.lastResult = { status: 'failed', error: error.message, at: schedule.lastRunAt };
+      save();
+    }
+  }
+
+  function tick() {
+    const time = now().getTime();
+    schedules
+      .filter(schedule => schedule.status === 'active' && new Date(schedule.nextRunAt).getTime() <= time)
+      .forEach(schedule => {
+        run(schedule).catch(error => console.error(`Schedule ${schedule.id} failed:`, error));
+      });
+  }
+
+  function start() {
+    if (timer) return;
+    tick();
+    timer = setInterval(tick, TICK_INTERVAL);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  function create({ name, url, domain, cron, template, paginationLimit }) {
+    const schedule = {
+      id: crypto.randomUUID(),
+      name: name || `${domain}${template ? ` / ${template}` : ''}`,
+      url,
+      domain,
+      template: template || null,
+      cron,
+      paginationLimit: paginationLimit || null,
+      status: 'active',
+      createdAt: now().toISOString(),
+      lastRunAt: null,
+      lastJobId: null,
+      lastResult: null,
+      lastSkippedAt: null,
+      nextRunAt: nextRun(cron, now())
+    };
+    schedules.push(schedule);
+    save();
+    return schedule;
+  }
+
+  function list() {
+    return schedules;
+  }
+
+  function pause(id) {
+    const schedule = get(id);
+    if (!schedule) return null;
+    schedule.status = 'paused';
+    save();
+    return schedule;
+  }
+
+  // Resuming starts counting from now; runs missed while paused are not made up
+  function resume(id) {
+    const schedule = get(id);
+    if (!schedule) return null;
+    schedule.status = 'active';
+    schedule.nextRunAt = nextRun(schedule.cron, now());
+    save();
+    return schedule;
+  }
+
+  function remove(id) {
+    const schedule = get(id);
+    if (!schedule) return null;
+    schedules = schedules.filter(item => item.id !== id);
+    save();
+    return schedule;
+  }
+
+  return { start, stop, create, list, get, pause, resume, remove };
+}
+
+module.exports = {
+  cronError,
+  createScheduler
+};
@@ -0,0 +1,269 @@
+// lib/scraper.js
+
+const fs = require('fs-extra');
+const path = require('path');
+const { createObjectCsvWriter } = require('csv-writer'); // Using 'csv-writer'
+
+const { STORAGE_DIR } = require('./paths');
+const { templateEngine, openSession } = require('./engines');
+const { applyTransforms } = require('./transforms');
+const { followFields, resolveFollowFields } = require('./follow');
+const { createPaginator } = require('./pagination');
+const { listingKeyConfig, listingKeyOf, recordRun, changeSummary } = require('./listings');
+const { toVehicle } = require('./vehicles');
+
+// Helper function to normalize domain
+function normalizeDomain(domain) {
+  return domain.replace(/^www\./, '');
+}
+
+// Random pause of 2-5 seconds, the default spacing between requests to one domain
+function getRandomDelay() {
+  return Math.floor(Math.random() * (5000 - 2000 + 1)) + 2000;
+}
+
+// Randomize User-Agent
+const userAgentList = [
+  // Add User-Agent strings
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/115.0.0.0 Safari/537.36',
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 13_4_1) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/115.0.5790.171 Safari/537.36',
+  'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/115.0.0.0 Safari/537.36',
+  // ... [Add more User-Agent strings as needed]
+];
+
+function randomUserAgent() {
+  return userAgentList[Math.floor(Math.random() * userAgentList.length)];
+}
+
+// CSV cells are flat: multi-value fields are joined with " | "
+function csvRecord(row) {
+  const record = {};
+  for (let key in row) {
+    record[key] = Array.isArray(row[key]) ? row[key].join(' | ') : row[key];
+  }
+  return record;
+}
+
+// Scrape the pages of one template, following its pagination; nothing is saved.
+// openSession(engine, { detail }) opens a session (detail: for a follow field's pages).
+// Resolves { rows, failure, failedUrl, stopped, limited }: a failing page ends the template
+// with the rows collected so far; stopped is true when isCancelled() ended it between pages,
+// limited when the pagination limit did (later pages were not visited).
+// Progress goes to logger ({ log, warn, error }, default console).
+async function collectTemplate(templateName, template, { url, openSession, isCancelled = () => false, onPage = () => {}, onError = () => {}, logger = console }) {
+  // One session per engine, opened the first time the template needs it
+  const sessions = {};
+  const getSession = async (engine) => {
+    if (!sessions[engine]) {
+      sessions[engine] = await openSession(engine);
+    }
+    return sessions[engine];
+  };
+
+  const seenItems = new Set(); // Deduplicates items repeated across pages within this run (by listing key when set)
+  let aggregatedData = [];
+  let failure = null;
+  let paginator = null;
+  let failedUrl = null;
+
+  const paginationLimit = template.paginationLimit || null; // Get pagination limit
+  let stopped = false; // Cancelled between pages
+  let limited = false; // Ended by the pagination limit
+
+  // A failing page ends the template; the rows collected so far are kept
+  try {
+    const session = await getSession(templateEngine(template));
+    paginator = createPaginator(template, url, session, logger);
+    await paginator.first();
+
+    while (true) {
+      const currentPage = paginator.number;
+      const currentPageUrl = paginator.url;
+      logger.log(`Scraping ${templateName} page ${currentPage} (${session.engine}): ${currentPageUrl}`);
+
+      // Scrape data based on template
+      const { items, itemCount, nextPageHref, errors } = await session.extract(template);
+      errors.forEach(error => {
+        logger.error(`Error extracting "${error.field}" with selector "${error.selector}" and method "${error.method}" (${error.count} item(s)): ${error.message}`);
+      });
+      const newItems = items.filter(item => {
+        const key = listingKeyOf(template, item) || JSON.stringify(item);
+        if (seenItems.has(key)) return false;
+        seenItems.add(key);
+        return true;
+      });
+      const scrapedData = applyTransforms(template, newItems);
+
+      // Open detail pages for "follow" fields and merge their fields into the rows
+      if (followFields(template).length > 0) {
+        await resolveFollowFields(template, scrapedData, {
+          pageUrl: currentPageUrl,
+          parentEngine: session.engine,
+          openSession: (engine) => openSession(engine, { detail: true }),
+          isCancelled,
+          onError: (error) => onError(Object.assign({ template: templateName }, error)),
+          logger
+        });
+      }
+
+      if (itemCount === 0) {
+        logger.warn(`No items found with selector "${template.itemSelector}" using method "${template.itemSelectorMethod || 'css'}"`);
+      }
+      logger.log(`Scraped ${scrapedData.length} new items from page ${currentPage} (${items.length - newItems.length} already seen)`);
+
+      // Aggregate scraped data
+      aggregatedData = aggregatedData.concat(scrapedData);
+      onPage({ template: templateName, page: currentPage, url: currentPageUrl, items: scrapedData.length });
+
+      // Check pagination limit
+      if (paginationLimit && currentPage >= paginationLimit) {
+        logger.log(`Pagination limit of ${paginationLimit} pages reached.`);
+        limited = true;
+        break;
+      }
+
+      // Stop between pages when the run has been cancelled
+      if (isCancelled()) {
+        stopped = true;
+        logger.log(`Scrape cancelled after page ${currentPage} of template "${templateName}".`);
+        break;
+      }
+
+      // Move to the next page (link, URL pattern, scroll or click)
+      if (!(await paginator.next({ nextPageHref, newItems: scrapedData.length }))) {
+        break;
+      }
+    }
+  } catch (error) {
+    failure = error;
+    failedUrl = (paginator && paginator.url) || url;
+  } finally {
+    for (let engine in sessions) {
+      await sessions[engine].close();
+    }
+  }
+
+  return { rows: aggregatedData, failure, failedUrl, stopped, limited };
+}
+
+// Scrape every template against the given URL and save one CSV per template.
+// Rows are also stored in the listings database when one is given.
+// Resolves { domain, cancelled, results, failures }, with one result per saved CSV including
+// its rows and listing change set (null when the template has no listing key).
+// Templates are scraped in parallel. Each picks its engine ("browser" by default, or
+// "static"); browser pages are leased from the page pool (lib/browserPool.js), which is
+// only required when a template uses the browser engine.
+// With a crawl policy (lib/crawl.js) every page load honours robots.txt, is throttled per
+// domain and retried with backoff. A template whose page still fails stops there: the rows
+// scraped so far are saved (result.partial) and the failure is listed in failures.
+// With a fixture recorder (lib/fixtures.js) every loaded page is also saved as a snapshot.
+// Progress goes to logger ({ log, warn, error }, default console).
+// hooks (all optional):
+//   isCancelled()                          - checked between pages; stops the run when true
+//   onPage({ template, page, url, items }) - called after each page is scraped
+//   onSaved({ template, file, rows, changes, partial }) - called after a CSV file is written
+//   onError({ template, field, url, message }) - a detail page failed; the run continues
+//   onError({ template, url, message, code })  - a listing page failed; other templates carry on
+async function runScrape(pool, { url, templates, database, policy, recorder, logger = console }, hooks = {}) {
+  const isCancelled = hooks.isCancelled || (() => false);
+  const onPage = hooks.onPage || (() => {});
+  const onSaved = hooks.onSaved || (() => {});
+  const onError = hooks.onError || (() => {});
+
+  const domain = normalizeDomain(new URL(url).hostname);
+  const domainDir = path.join(STORAGE_DIR, domain);
+  fs.ensureDirSync(domainDir);
+
+  const userAgent = randomUserAgent();
+  let cancelled = false;
+  const failures = [];
+
+  // Scrape one template; resolves its result, or null when nothing was saved
+  async function scrapeTemplate(templateName) {
+    if (isCancelled()) {
+      cancelled = true;
+      return null;
+    }
+
+    const template = templates[templateName];
+    const { rows: aggregatedData, failure, failedUrl, stopped, limited } = await collectTemplate(templateName, template, {
+      url,
+      openSession: (engine, { detail = false } = {}) => openSession(engine, { pool, userAgent, policy, detail, isCancelled })
+        .then(session => (recorder ? recorder.wrap(session, { template: templateName, detail }) : session)),
+      isCancelled,
+      onPage,
+      onError,
+      logger
+    });
+    if (stopped) {
+      cancelled = true;
+    }
+    if (failure) {
+      logger.error(`Template "${templateName}" stopped at ${failedUrl}: ${failure.message}`);
+      onError({ template: templateName, url: failedUrl, message: failure.message, code: failure.code || null });
+      failures.push({ template: templateName, url: failedUrl, message: failure.message, rowsSaved: aggregatedData.length });
+    }
+
+    // Save data to CSV
+    if (aggregatedData.length > 0) {
+      const templateDir = path.join(domainDir, templateName);
+      fs.ensureDirSync(templateDir);
+
+      const headers = Object.keys(aggregatedData[0]).map(key => ({ id: key, title: key }));
+      const runId = Date.now();
+      const fileName = `data_${runId}.csv`;
+
+      const csvWriter = createObjectCsvWriter({
+        path: path.join(templateDir, fileName),
+        header: headers,
+      });
+
+      await csvWriter.writeRecords(aggregatedData.map(csvRecord));
+      logger.log(`Data saved to CSV file for template "${templateName}".`);
+
+      // Track listings across runs when the template defines a listing key
+      let changeSet = null;
+      if (listingKeyConfig(template)) {
+        changeSet = recordRun(templateDir, template, aggregatedData, {
+          runId,
+          at: new Date(runId).toISOString(),
+          // Listings on pages the run did not reach have not disappeared
+          complete: !stopped && !limited && !failure
+        });
+        logger.log(`Listing changes for template "${templateName}":`, changeSummary(changeSet));
+      }
+
+      if (database) {
+        const vehicles = template.vehicle ? aggregatedData.map(row => toVehicle(template, row, { baseUrl: url })) : null;
+        database.insertRows(domain, templateName, template, aggregatedData, { runId, at: new Date(runId).toISOString(), vehicles });
+      }
+
+      const result = {
+        template: templateName,
+        file: fileName,
+        rows: aggregatedData.length,
+        changes: changeSet ? changeSummary(changeSet) : null,
+        partial: Boolean(failure)
+      };
+      onSaved(result);
+      return Object.assign({}, result, { changeSet, rows: aggregatedData });
+    }
+    logger.warn(`No data collected for template "${templateName}". CSV file will not be created.`);
+    return null;
+  }
+
+  // Templates run in parallel: browser pages are bounded by the pool and page loads by
+  // the crawl policy's per-domain limits
+  const outcomes = await Promise.all(Object.keys(templates).map(scrapeTemplate));
+  const results = outcomes.filter(Boolean);
+
+  return { domain, cancelled, results, failures };
+}
+
+module.exports = {
+  normalizeDomain,
+  getRandomDelay,
+  randomUserAgent,
+  collectTemplate,
+  runScrape
+};
@@ -0,0 +1,195 @@
+// lib/searches.js
+//
+// Saved searches stored in storage/searches.json. A search selects a domain (and
+// optionally one template) and field conditions, written like the GET /listings filters:
+//
+//   { "domain": "autogidas.lt", "template": "cars", "webhookUrl": "http://localhost:5000/hook",
+//     "conditions": { "Price": { "lt": 10000 }, "Year": { "gte": 2015 }, "Fuel": "Dyzelinas" } }
+//
+// After each scrape, new and updated listings of the run (its change set) are checked
+// against every active search. Templates without a listing key have no change set, so
+// their rows count as new until sent: each search remembers the hashes of the keyless
+// rows it has sent (the last MAX_SENT_ROWS) and skips them in later runs. A keyless
+// row whose values change is a new row.
+
+const fs = require('fs-extra');
+const crypto = require('crypto');
+
+const { FILTER_OPERATORS } = require('./database');
+
+const EVENTS = ['new', 'updated'];
+const MAX_SENT_ROWS = 10000;
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim())) return Number(value);
+  return null;
+}
+
+// Compare a row value with a condition value, numerically when both are numbers
+function compare(actual, operator, expected) {
+  if (operator === 'in') {
+    const options = Array.isArray(expected) ? expected : String(expected).split(',');
+    return options.some(option => compare(actual, 'eq', option));
+  }
+  if (actual === null || actual === undefined || actual === '') {
+    return operator === 'ne';
+  }
+  if (operator === 'like') {
+    return String(actual).toLowerCase().includes(String(expected).toLowerCase());
+  }
+
+  const actualNumber = toNumber(actual);
+  const expectedNumber = toNumber(expected);
+  const numeric = actualNumber !== null && expectedNumber !== null;
+  const a = numeric ? actualNumber : String(actual).toLowerCase();
+  const b = numeric ? expectedNumber : String(expected).toLowerCase();
+
+  if (operator === 'eq') return a === b;
+  if (operator === 'ne') return a !== b;
+  // Ranges only apply to numbers
+  if (!numeric) return false;
+  if (operator === 'gt') return a > b;
+  if (operator === 'gte') return a >= b;
+  if (operator === 'lt') return a < b;
+  if (operator === 'lte') return a <= b;
+  return false;
+}
+
+function rowHash(values) {
+  return crypto.createHash('sha1').update(JSON.stringify(values)).digest('hex');
+}
+
+function conditionEntries(conditions) {
+  const entries = [];
+  for (let field in conditions || {}) {
+    const condition = typeof conditions[field] === 'object' && conditions[field] !== null && !Array.isArray(conditions[field])
+      ? conditions[field]
+      : { eq: conditions[field] };
+    for (let operator in condition) {
+      entries.push({ field, operator, value: condition[operator] });
+    }
+  }
+  return entries;
+}
+
+function matchesConditions(conditions, row) {
+  return conditionEntries(conditions).every(({ field, operator, value }) => compare(row[field], operator, value));
+}
+
+// Validate a saved search body; returns a list of error messages
+function validateSearch({ domain, webhookUrl, conditions, events }) {
+  const errors = [];
+  if (!domain) {
+    errors.push('domain is required.');
+  }
+  try {
+    const { protocol } = new URL(webhookUrl);
+    if (protocol !== 'http:' && protocol !== 'https:') {
+      errors.push('webhookUrl must be an http or https URL.');
+    }
+  } catch (error) {
+    errors.push('webhookUrl must be a valid URL.');
+  }
+  if (conditions !== undefined && (typeof conditions !== 'object' || conditions === null || Array.isArray(conditions))) {
+    errors.push('conditions must be an object of field conditions.');
+  } else {
+    conditionEntries(conditions).forEach(({ field, operator }) => {
+      if (!FILTER_OPERATORS[operator]) {
+        errors.push(`Unknown operator "${operator}" on field "${field}". Expected one of: ${Object.keys(FILTER_OPERATORS).join(', ')}.`);
+      }
+    });
+  }
+  if (events !== undefined && (!Array.isArray(events) || events.length === 0 || events.some(event => !EVENTS.includes(event)))) {
+    errors.push(`events must be a non-empty list of: ${EVENTS.join(', ')}.`);
+  }
+  return errors;
+}
+
+function createSearchStore(file) {
+  let searches = fs.existsSync(file) ? fs.readJSONSync(file) : [];
+
+  const save = () => {
+    fs.writeJSONSync(file, searches, { spaces: 2 });
+  };
+
+  // A search as returned by the API, without the hashes of its sent rows
+  const view = (search) => {
+    if (!search) return null;
+    const { sentRows, ...rest } = search;
+    return rest;
+  };
+
+  function create({ name, domain, template, conditions, webhookUrl, events }) {
+    const search = {
+      id: crypto.randomUUID(),
+      name: name || `${domain}${template ? ` / ${template}` : ''}`,
+      domain,
+      template: template || null,
+      conditions: conditions || {},
+      events: events || EVENTS,
+      webhookUrl,
+      active: true,
+      createdAt: new Date().toISOString()
+    };
+    searches.push(search);
+    save();
+    return view(search);
+  }
+
+  function list() {
+    return searches.map(view);
+  }
+
+  function get(id) {
+    return view(searches.find(search => search.id === id));
+  }
+
+  function remove(id) {
+    const search = get(id);
+    if (!search) return null;
+    searches = searches.filter(item => item.id !== id);
+    save();
+    return search;
+  }
+
+  // Matches of one saved run result ({ template, rows, changeSet }) per active search.
+  // Keyless rows are recorded as sent to the searches they match.
+  function findMatches(domain, result) {
+    const keyless = !result.changeSet;
+    const candidates = keyless
+      ? result.rows.map(values => ({ event: 'new', key: null, values }))
+      : result.changeSet.new.map(({ key, values }) => ({ event: 'new', key, values }))
+        .concat(result.changeSet.updated.map(({ key, values, changes }) => ({ event: 'updated', key, values, changes })));
+
+    const found = searches
+      .filter(search => search.active && search.domain === domain && (!search.template || search.template === result.template))
+      .map(search => {
+        let matches = candidates.filter(candidate => search.events.includes(candidate.event) && matchesConditions(search.conditions, candidate.values));
+        if (keyless && matches.length > 0) {
+          const sent = new Set(search.sentRows || []);
+          matches = matches.filter(({ values }) => {
+            const hash = rowHash(values);
+            if (sent.has(hash)) return false;
+            sent.add(hash);
+            return true;
+          });
+          search.sentRows = Array.from(sent).slice(-MAX_SENT_ROWS);
+        }
+        return { search: view(search), matches };
+      })
+      .filter(({ matches }) => matches.length > 0);
+
+    if (keyless && found.length > 0) save();
+    return found;
+  }
+
+  return { create, list, get, remove, findMatches };
+}
+
+module.exports = {
+  EVENTS,
+  matchesConditions,
+  validateSearch,
+  createSearchStore
+};
@@ -0,0 +1,329 @@
+// lib/storage.js
+//
+// Storage service for the scraped runs under storage/<domain>/<template>/ (or directly
+// under the domain for runs saved without a template).
+//
+//   - every path is built from validated names and must resolve inside the storage
+//     directory, so request values such as "../" cannot escape it
+//   - listFiles() lists the CSV files per domain and template; usage() reports disk usage
+//     and run metadata (template, scrape time, row count)
+//   - runs, single files, templates and whole domains can be deleted, together with their
+//     rows in the listings database and the listings only they had seen
+//   - retention policies per domain (storage/retention.json) keep the last `keepRuns`
+//     runs and/or the runs of the last `maxAgeDays` days of each template
+//
+// A run is a data_<time>.csv file together with its changes_<time>.json change set.
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const { isDomainEntry } = require('./paths');
+const { NO_TEMPLATE, listRuns, readRows } = require('./exports');
+const { forgetRun } = require('./listings');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const DOMAIN_PATTERN = /^[a-z0-9.-]+$/i;
+const NAME_PATTERN = /^[^/\\\0]+$/;
+
+// Invalid names and paths outside the storage directory; status is the HTTP status to answer with
+function storageError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+function checkName(kind, name) {
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name) || name === '.' || name === '..') {
+    throw storageError(`Invalid ${kind} name.`);
+  }
+  return name;
+}
+
+// Run id of a data file name: data_<id>.csv -> <id>
+function runIdOf(file) {
+  return path.basename(file, '.csv').replace(/^data_/, '');
+}
+
+// Validate retention settings; returns a list of error messages
+function validateRetention(policy) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return ['retention policy must be an object.'];
+  }
+  const errors = [];
+  for (let name in policy) {
+    if (!['keepRuns', 'maxAgeDays'].includes(name)) {
+      errors.push(`Unknown retention setting "${name}". Expected keepRuns and/or maxAgeDays.`);
+    }
+  }
+  if (policy.keepRuns !== undefined && !(Number.isInteger(policy.keepRuns) && policy.keepRuns > 0)) {
+    errors.push('keepRuns must be a positive integer.');
+  }
+  if (policy.maxAgeDays !== undefined && !(typeof policy.maxAgeDays === 'number' && policy.maxAgeDays > 0)) {
+    errors.push('maxAgeDays must be a positive number.');
+  }
+  if (policy.keepRuns === undefined && policy.maxAgeDays === undefined) {
+    errors.push('Set keepRuns and/or maxAgeDays.');
+  }
+  return errors;
+}
+
+// database returns the open listings database (lib/database.js), or null while it is not open
+function createStorage({ storageDir, retentionFile, database = () => null }) {
+  const root = path.resolve(storageDir);
+  const policies = fs.existsSync(retentionFile) ? fs.readJSONSync(retentionFile) : {};
+  const rowCounts = new Map(); // path -> { size, mtimeMs, rows }
+
+  const savePolicies = () => {
+    fs.writeJSONSync(retentionFile, policies, { spaces: 2 });
+  };
+
+  // Join validated names under the storage directory; throws when the result is outside it
+  function confined(...names) {
+    const resolved = path.resolve(root, ...names);
+    if (resolved === root || !resolved.startsWith(`${root}${path.sep}`)) {
+      throw storageError('Path is outside the storage directory.');
+    }
+    return resolved;
+  }
+
+  function domainDir(domain) {
+    if (typeof domain !== 'string' || !DOMAIN_PATTERN.test(domain) || !isDomainEntry(domain) || /^\.+$/.test(domain)) {
+      throw storageError('Invalid domain.');
+    }
+    return confined(domain);
+  }
+
+  // Directory of a template's runs; NO_TEMPLATE (or no template) is the domain directory
+  function templateDir(domain, template) {
+    if (!template || template === NO_TEMPLATE) return domainDir(domain);
+    return confined(domain, checkName('template', template));
+  }
+
+  function filePath(domain, template, file) {
+    return path.join(templateDir(domain, template), checkName('file', file));
+  }
+
+  function listDomains() {
+    if (!fs.existsSync(root)) return [];
+    return fs.readdirSync(root)
+      .filter(isDomainEntry)
+      .filter(entry => fs.statSync(path.join(root, entry)).isDirectory());
+  }
+
+  // Templates of a domain with stored runs, including NO_TEMPLATE for runs directly under it
+  function listTemplates(domain) {
+    const dir = domainDir(domain);
+    if (!fs.existsSync(dir)) return [];
+    const templates = [];
+    fs.readdirSync(dir).forEach(entry => {
+      const entryPath = path.join(dir, entry);
+      if (fs.statSync(entryPath).isDirectory()) {
+        templates.push(entry);
+      } else if (entry.endsWith('.csv') && !templates.includes(NO_TEMPLATE)) {
+        templates.push(NO_TEMPLATE);
+      }
+    });
+    return templates;
+  }
+
+  // CSV files per domain and template: { <domain>: { <template>: [file] } }
+  function listFiles() {
+    const files = {};
+    listDomains().forEach(domain => {
+      files[domain] = {};
+      listTemplates(domain).forEach(template => {
+        files[domain][template] = fs.readdirSync(templateDir(domain, template)).filter(file => file.endsWith('.csv'));
+      });
+    });
+    return files;
+  }
+
+  // Delete stored rows from the listings database (see deleteRows in lib/database.js)
+  function deleteDatabaseRows(where) {
+    const db = database();
+    if (db) db.deleteRows(where);
+  }
+
+  // Rows in a CSV file, cached until the file changes
+  function countRows(file) {
+    const stats = fs.statSync(file);
+    const cached = rowCounts.get(file);
+    if (cached && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs) {
+      return cached.rows;
+    }
+    let rows = null;
+    try {
+      rows = readRows(file).length;
+    } catch (error) {
+      rows = null; // Unreadable CSV
+    }
+    rowCounts.set(file, { size: stats.size, mtimeMs: stats.mtimeMs, rows });
+    return rows;
+  }
+
+  function directoryBytes(dir) {
+    if (!fs.existsSync(dir)) return 0;
+    return fs.readdirSync(dir).reduce((total, entry) => {
+      const entryPath = path.join(dir, entry);
+      const stats = fs.statSync(entryPath);
+      return total + (stats.isDirectory() ? directoryBytes(entryPath) : stats.size);
+    }, 0);
+  }
+
+  // Runs of a template, oldest first: [{ file, template, scrapedAt, rows, bytes }]
+  function templateRuns(domain, template) {
+    templateDir(domain, template); // Validates the names
+    return listRuns(root, domain, template).map(run => ({
+      file: run.file,
+      template,
+      scrapedAt: run.at.toISOString(),
+      rows: countRows(run.path),
+      bytes: fs.statSync(run.path).size
+    }));
+  }
+
+  // Disk usage and runs per domain:
+  // { <domain>: { bytes, runs, retention, templates: { <template>: { bytes, runs: [...] } } } }
+  function usage(domains = listDomains()) {
+    const report = {};
+    domains.forEach(domain => {
+      const templates = {};
+      listTemplates(domain).forEach(template => {
+        const runs = templateRuns(domain, template);
+        templates[template] = {
+          bytes: template === NO_TEMPLATE
+            ? runs.reduce((total, run) => total + run.bytes, 0)
+            : directoryBytes(templateDir(domain, template)),
+          runs
+        };
+      });
+      report[domain] = {
+        bytes: directoryBytes(domainDir(domain)),
+        runs: Object.values(templates).reduce((total, entry) => total + entry.runs.length, 0),
+        retention: policies[domain] || null,
+        templates
+      };
+    });
+    return report;
+  }
+
+  // Delete one file; a data CSV takes its run's change set with it. Resolves the deleted names.
+  function deleteFile(domain, template, file) {
+    const target = filePath(domain, template, file);
+    if (!fs.existsSync(target) || !fs.statSync(target).isFile()) {
+      throw storageError('File not found.', 404);
+    }
+    const deleted = [file];
+    fs.removeSync(target);
+    if (/^data_.+\.csv$/.test(file)) {
+      const runId = Number(runIdOf(file));
+      if (Number.isInteger(runId)) {
+        forgetRun(path.dirname(target), new Date(runId).toISOString());
+        deleteDatabaseRows({ domain, template: template || NO_TEMPLATE, runId });
+      }
+      const changes = `changes_${runIdOf(file)}.json`;
+      const changesPath = path.join(path.dirname(target), changes);
+      if (fs.existsSync(changesPath)) {
+        fs.removeSync(changesPath);
+        deleted.push(changes);
+      }
+    }
+    return deleted;
+  }
+
+  // Delete a template's directory (or the runs saved directly under the domain for NO_TEMPLATE)
+  function deleteTemplate(domain, template) {
+    if (!template || template === NO_TEMPLATE) {
+      const runs = listRuns(root, domain, NO_TEMPLATE);
+      if (runs.length === 0) throw storageError('Template not found.', 404);
+      runs.forEach(run => deleteFile(domain, NO_TEMPLATE, run.file));
+      deleteDatabaseRows({ domain, template: NO_TEMPLATE });
+      return { runs: runs.length };
+    }
+    const dir = templateDir(domain, template);
+    if (!fs.existsSync(dir)) throw storageError('Template not found.', 404);
+    const runs = listRuns(root, domain, template).length;
+    fs.removeSync(dir);
+    deleteDatabaseRows({ domain, template });
+    return { runs };
+  }
+
+  function deleteDomain(domain) {
+    const dir = domainDir(domain);
+    if (!fs.existsSync(dir)) throw storageError('Domain not found.', 404);
+    const runs = listTemplates(domain).reduce((total, template) => total + listRuns(root, domain, template).length, 0);
+    fs.removeSync(dir);
+    deleteDatabaseRows({ domain });
+    return { runs };
+  }
+
+  function setRetention(domain, policy) {
+    domainDir(domain);
+    policies[domain] = policy;
+    savePolicies();
+    return policy;
+  }
+
+  function removeRetention(domain) {
+    if (!policies[domain]) return false;
+    delete policies[domain];
+    savePolicies();
+    return true;
+  }
+
+  // Runs the domain's retention policy would delete (all of them with dryRun) per template:
+  // [{ template, file, scrapedAt }]
+  function applyRetention(domain, { dryRun = false, now = Date.now() } = {}) {
+    const policy = policies[domain];
+    if (!policy || !fs.existsSync(domainDir(domain))) return [];
+
+    const expired = [];
+    listTemplates(domain).forEach(template => {
+      const runs = listRuns(root, domain, template); // Oldest first
+      runs.forEach((run, index) => {
+        const newerRuns = runs.length - 1 - index;
+        const tooMany = policy.keepRuns !== undefined && newerRuns >= policy.keepRuns;
+        const tooOld = policy.maxAgeDays !== undefined && now - run.at.getTime() > policy.maxAgeDays * DAY;
+        if (tooMany || tooOld) {
+          expired.push({ template, file: run.file, scrapedAt: run.at.toISOString() });
+        }
+      });
+    });
+
+    if (!dryRun) {
+      expired.forEach(({ template, file }) => deleteFile(domain, template, file));
+    }
+    return expired;
+  }
+
+  // Apply every domain's policy; resolves { <domain>: deleted runs }
+  function applyAllRetention() {
+    const deleted = {};
+    Object.keys(policies).forEach(domain => {
+      const runs = applyRetention(domain);
+      if (runs.length > 0) deleted[domain] = runs;
+    });
+    return deleted;
+  }
+
+  return {
+    domainDir,
+    templateDir,
+    filePath,
+    listDomains,
+    listFiles,
+    usage,
+    deleteFile,
+    deleteTemplate,
+    deleteDomain,
+    retention: () => policies,
+    setRetention,
+    removeRetention,
+    applyRetention,
+    applyAllRetention
+  };
+}
+
+module.exports = {
+  validateRetention,
+  createStorage
+};
@@ -0,0 +1,48 @@
+// lib/templateFiles.js
+//
+// Templates kept in JSON files rather than in storage/configs.json, for the CLI (cli.js).
+// A template file holds either { "url": <default start URL>, "templates": { <name>: template } }
+// or just the templates object ({ <name>: template }, as sent to POST /scrape).
+// Built-in templates ship in templates/<name>.json in the first form.
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const { BUILTIN_TEMPLATES_DIR } = require('./paths');
+
+// Read a template file; resolves { url, templates } (url is null when the file has none)
+function readTemplateFile(file) {
+  let content;
+  try {
+    content = fs.readJSONSync(file);
+  } catch (error) {
+    throw new Error(`Cannot read template file ${file}: ${error.message}`);
+  }
+  if (!content || typeof content !== 'object' || Array.isArray(content)) {
+    throw new Error(`Template file ${file} must contain a JSON object.`);
+  }
+  if (content.templates && typeof content.templates === 'object') {
+    return { url: content.url || null, templates: content.templates };
+  }
+  return { url: null, templates: content };
+}
+
+// Names of the built-in templates
+function listBuiltins() {
+  if (!fs.existsSync(BUILTIN_TEMPLATES_DIR)) return [];
+  return fs.readdirSync(BUILTIN_TEMPLATES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'));
+}
+
+// A built-in template set ({ url, templates }), or null when there is none by that name
+function readBuiltin(name) {
+  if (!listBuiltins().includes(name)) return null;
+  return readTemplateFile(path.join(BUILTIN_TEMPLATES_DIR, `${name}.json`));
+}
+
+module.exports = {
+  readTemplateFile,
+  listBuiltins,
+  readBuiltin
+};
@@ -0,0 +1,253 @@
+// lib/templateSchema.js
+//
+// JSON Schema for scrape templates plus the checks a schema cannot express
+// (regex and XPath selectors, fallbacks, engine-specific pagination, listing key fields,
+// vehicle mapping columns).
+// validateTemplates() returns readable messages such as
+//   templates.cars.fields.Price.method: must be one of css, class, id, regex, xpath
+
+const Ajv = require('ajv');
+const xpath = require('xpath');
+
+const { ENGINES, templateEngine } = require('./engines');
+const { FIELD_TYPES, validateFieldTransforms } = require('./transforms');
+const { STRATEGIES, validatePagination } = require('./pagination');
+const { validateListingKey } = require('./listings');
+const { MAPPABLE_FIELDS, DICTIONARY_FIELDS, validateVehicleMapping } = require('./vehicles');
+
+const SELECTOR_METHODS = ['css', 'class', 'id', 'regex', 'xpath'];
+const FIELD_KINDS = ['text', 'attribute', 'follow', 'jsonld', 'microdata'];
+const STRUCTURED_KINDS = ['jsonld', 'microdata'];
+
+// Runs are saved under storage/<domain>/<template name>/
+const TEMPLATE_NAME_PATTERN = /^[^/\\\0]+$/;
+
+// Where a field (or one of its fallbacks) finds its value
+const FIELD_SOURCE_PROPERTIES = {
+  type: { enum: FIELD_KINDS },
+  selector: { type: 'string', minLength: 1 },
+  method: { enum: SELECTOR_METHODS },
+  attribute: { type: 'string', minLength: 1 },
+  path: { type: 'string', minLength: 1 },
+  schemaType: { type: 'string', minLength: 1 }
+};
+
+const TEMPLATE_SCHEMA = {
+  $id: 'template',
+  type: 'object',
+  required: ['fields'],
+  properties: {
+    engine: { enum: ENGINES },
+    itemSelector: { type: 'string', minLength: 1 },
+    itemSelectorMethod: { enum: SELECTOR_METHODS },
+    fields: {
+      type: 'object',
+      additionalProperties: { $ref: '#/definitions/field' }
+    },
+    nextPage: {
+      type: 'object',
+      properties: {
+        strategy: { enum: STRATEGIES },
+        selector: { type: 'string', minLength: 1 },
+        method: { enum: SELECTOR_METHODS },
+        pattern: { type: 'string', minLength: 1 },
+        param: { type: 'string', minLength: 1 },
+        start: { type: 'integer' },
+        step: { type: 'integer', minimum: 1 },
+        max: { type: 'integer', minimum: 1 },
+        maxScrolls: { type: 'integer', minimum: 1 },
+        maxClicks: { type: 'integer', minimum: 1 },
+        waitMs: { type: 'integer', minimum: 0 }
+      }
+    },
+    paginationLimit: { type: ['integer', 'null'], minimum: 1 },
+    listingKey: {
+      anyOf: [
+        { type: 'string', minLength: 1 },
+        {
+          type: 'object',
+          required: ['field'],
+          properties: {
+            field: { type: 'string', minLength: 1 },
+            pattern: { type: 'string', minLength: 1 }
+          },
+          additionalProperties: false
+        }
+      ]
+    },
+    priceField: { type: 'string', minLength: 1 },
+    vehicle: {
+      type: 'object',
+      required: ['fields'],
+      properties: {
+        fields: {
+          type: 'object',
+          propertyNames: { enum: MAPPABLE_FIELDS },
+          additionalProperties: { type: 'string', minLength: 1 }
+        },
+        dictionaries: {
+          type: 'object',
+          propertyNames: { enum: DICTIONARY_FIELDS },
+          additionalProperties: {
+            type: 'object',
+            additionalProperties: { type: 'array', items: { type: 'string' } }
+          }
+        }
+      },
+      additionalProperties: false
+    }
+  },
+  definitions: {
+    field: {
+      type: 'object',
+      required: ['type'],
+      properties: Object.assign({}, FIELD_SOURCE_PROPERTIES, {
+        multiple: { type: 'boolean' },
+        required: { type: 'boolean' },
+        fallbacks: {
+          type: 'array',
+          items: { type: 'object', properties: FIELD_SOURCE_PROPERTIES }
+        },
+        fieldType: { enum: FIELD_TYPES },
+        transforms: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['type'],
+            properties: { type: { type: 'string' } }
+          }
+        },
+        template: { $ref: '#' },
+        concurrency: { type: 'integer', minimum: 1 }
+      }),
+      allOf: [
+        {
+          if: { properties: { type: { enum: STRUCTURED_KINDS } } },
+          then: { required: ['path'] },
+          else: { required: ['selector'] }
+        },
+        {
+          if: { properties: { type: { const: 'attribute' } } },
+          then: { required: ['attribute'] }
+        },
+        {
+          if: { properties: { type: { const: 'follow' } } },
+          then: { required: ['template'] }
+        }
+      ]
+    }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validateSchema = ajv.compile(TEMPLATE_SCHEMA);
+
+// "/fields/Price/method" -> ".fields.Price.method"
+function errorPath(instancePath) {
+  return instancePath
+    .split('/')
+    .filter(Boolean)
+    .map(part => `.${part.replace(/~1/g, '/').replace(/~0/g, '~')}`)
+    .join('');
+}
+
+function formatSchemaError(prefix, error) {
+  // propertyNames errors point at the object; name the offending key instead
+  const at = `${prefix}${errorPath(error.instancePath)}${error.propertyName ? `.${error.propertyName}` : ''}`;
+  if (error.keyword === 'enum') {
+    return `${at}: must be one of ${error.params.allowedValues.join(', ')}`;
+  }
+  if (error.keyword === 'required') {
+    return `${at}: missing required property "${error.params.missingProperty}"`;
+  }
+  return `${at}: ${error.message}`;
+}
+
+// Fallbacks must be complete once merged with their field, regex and XPath selectors
+// must parse, and follow fields link to a single detail page
+function validateFieldSources(template) {
+  const errors = [];
+  const fields = template.fields || {};
+
+  for (let field in fields) {
+    const fieldInfo = fields[field];
+    if (fieldInfo.type === 'follow' && fieldInfo.template) {
+      validateFieldSources(fieldInfo.template).forEach(error => errors.push(`Field "${field}" (detail page): ${error}`));
+    }
+    if (fieldInfo.type === 'follow' && fieldInfo.multiple) {
+      errors.push(`Field "${field}": follow fields cannot be multiple.`);
+    }
+
+    const sources = [{ label: `Field "${field}"`, spec: fieldInfo }].concat((fieldInfo.fallbacks || []).map((fallback, index) => ({
+      label: `Field "${field}", fallback ${index}`,
+      spec: Object.assign({}, fieldInfo, fallback)
+    })));
+    sources.forEach(({ label, spec }) => {
+      if (STRUCTURED_KINDS.includes(spec.type)) {
+        if (!spec.path) errors.push(`${label}: "${spec.type}" requires a path.`);
+        return;
+      }
+      if (!spec.selector) {
+        errors.push(`${label}: "${spec.type}" requires a selector.`);
+      } else if (spec.method === 'regex') {
+        try {
+          new RegExp(spec.selector);
+        } catch (error) {
+          errors.push(`${label}: invalid regex selector: ${error.message}`);
+        }
+      } else if (spec.method === 'xpath') {
+        try {
+          xpath.parse(spec.selector);
+        } catch (error) {
+          errors.push(`${label}: invalid XPath selector: ${error.message}`);
+        }
+      }
+      if (spec.type === 'attribute' && !spec.attribute) {
+        errors.push(`${label}: "attribute" requires an attribute name.`);
+      }
+    });
+  }
+  return errors;
+}
+
+// Validate a templates object ({ name: template }); returns a list of error messages
+function validateTemplates(templates) {
+  if (!templates || typeof templates !== 'object' || Array.isArray(templates)) {
+    return ['templates: must be an object of named templates'];
+  }
+  if (Object.keys(templates).length === 0) {
+    return ['templates: at least one template is required'];
+  }
+
+  const errors = [];
+  for (let name in templates) {
+    const prefix = `templates.${name}`;
+    const template = templates[name];
+
+    if (!TEMPLATE_NAME_PATTERN.test(name) || name === '.' || name === '..') {
+      errors.push(`${prefix}: template names cannot contain "/" or "\\" or be "." or ".."`);
+      continue;
+    }
+
+    if (!validateSchema(template)) {
+      validateSchema.errors
+        // Wrapper errors (if/then, anyOf, propertyNames) repeat the underlying one
+        .filter(error => !['if', 'else', 'anyOf', 'propertyNames'].includes(error.keyword))
+        .forEach(error => errors.push(formatSchemaError(prefix, error)));
+      continue;
+    }
+
+    validateFieldSources(template).forEach(message => errors.push(`${prefix}: ${message}`));
+    validateFieldTransforms(template).forEach(message => errors.push(`${prefix}: ${message}`));
+    validatePagination(template, templateEngine(template)).forEach(message => errors.push(`${prefix}.nextPage: ${message}`));
+    validateListingKey(template).forEach(message => errors.push(`${prefix}: ${message}`));
+    validateVehicleMapping(template).forEach(message => errors.push(`${prefix}: ${message}`));
+  }
+  return errors;
+}
+
+module.exports = {
+  TEMPLATE_SCHEMA,
+  SELECTOR_METHODS,
+  validateTemplates
+};
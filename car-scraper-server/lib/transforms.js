@@ -0,0 +1,304 @@
+// lib/transforms.js
+//
+// Declarative per-field transforms, applied in Node after extraction so both
+// engines behave the same. A field may declare:
+//
+//   "transforms": [ { "type": "trim" }, { "type": "currency" }, ... ]  - run in order
+//   "fieldType": "string" | "number" | "integer" | "date" | "boolean"  - final type of the value
+//
+// Transform types:
+//   trim                                         - collapse whitespace and trim
+//   regex    { pattern, group = 1, flags }       - keep a capture group ('' when no match)
+//   replace  { pattern, replacement = '', flags = 'g' }
+//   number   { decimal, thousands }              - parse a number; separators are detected when omitted
+//   currency { field }                           - split "12 500 €" into 12 500 and a currency column
+//                                                  (default column name: <field>Currency)
+//   unit     { units, field }                    - strip a trailing unit ("185 000 km" -> "185 000"),
+//                                                  optionally keeping it in its own column
+//   date     { format }                          - parse a date (tokens YYYY, MM, DD) to YYYY-MM-DD
+//   default  { value }                           - used when the value is empty
+
+const FIELD_TYPES = ['string', 'number', 'integer', 'date', 'boolean'];
+
+// Currency symbols and codes recognised by the currency transform
+const CURRENCIES = {
+  '€': 'EUR',
+  'eur': 'EUR',
+  'eur.': 'EUR',
+  '$': 'USD',
+  'usd': 'USD',
+  '£': 'GBP',
+  'gbp': 'GBP',
+  'zł': 'PLN',
+  'pln': 'PLN',
+  'kr': 'SEK',
+  'sek': 'SEK',
+  'nok': 'NOK',
+  'dkk': 'DKK',
+  'chf': 'CHF',
+  '₽': 'RUB',
+  'rub': 'RUB'
+};
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '' || (typeof value === 'number' && isNaN(value));
+}
+
+// Parse a number written with locale-specific separators: "12 500", "12.500,50", "2.0", "1,234.5".
+// Returns null when the text holds no number.
+function parseNumber(text, { decimal, thousands } = {}) {
+  if (typeof text === 'number') return text;
+  if (isEmpty(text)) return null;
+
+  const match = String(text).match(/[-+]?\d[\d\s.,']*/);
+  if (!match) return null;
+  let raw = match[0].replace(/[\s']/g, '').replace(/[.,]+$/, '');
+
+  if (thousands) {
+    raw = raw.split(thousands).join('');
+  }
+
+  if (!decimal) {
+    const lastDot = raw.lastIndexOf('.');
+    const lastComma = raw.lastIndexOf(',');
+    if (lastDot !== -1 && lastComma !== -1) {
+      // Both present: whichever comes last is the decimal separator
+      decimal = lastDot > lastComma ? '.' : ',';
+    } else if (lastDot !== -1 || lastComma !== -1) {
+      const separator = lastDot !== -1 ? '.' : ',';
+      const parts = raw.split(separator);
+      // "12.500" / "1,234,567" are grouped thousands; "2.0" / "6,5" are decimals
+      const grouped = parts.length > 2 || (parts[1].length === 3 && parts[0].length <= 3 && parts[0] !== '0');
+      decimal = grouped ? null : separator;
+    }
+  }
+
+  const groupSeparators = ['.', ','].filter(separator => separator !== decimal);
+  groupSeparators.forEach(separator => {
+    raw = raw.split(separator).join('');
+  });
+  if (decimal) {
+    raw = raw.replace(decimal, '.');
+  }
+
+  const value = parseFloat(raw);
+  return isNaN(value) ? null : value;
+}
+
+// Parse a date to YYYY-MM-DD. format uses YYYY, MM and DD tokens ("DD.MM.YYYY", "YYYY-MM");
+// missing month or day default to 01. Without a format, ISO dates and bare years are accepted.
+function parseDate(text, format) {
+  if (isEmpty(text)) return null;
+  const value = String(text).trim();
+  const pad = (number) => String(number).padStart(2, '0');
+
+  if (format) {
+    const tokens = [];
+    const pattern = format
+      .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/YYYY|MM|DD/g, (token) => {
+        tokens.push(token);
+        return token === 'YYYY' ? '(\\d{4})' : '(\\d{1,2})';
+      });
+    const match = value.match(new RegExp(pattern));
+    if (!match) return null;
+    const parts = { YYYY: null, MM: 1, DD: 1 };
+    tokens.forEach((token, index) => {
+      parts[token] = parseInt(match[index + 1], 10);
+    });
+    if (!parts.YYYY || parts.MM < 1 || parts.MM > 12 || parts.DD < 1 || parts.DD > 31) return null;
+    return `${parts.YYYY}-${pad(parts.MM)}-${pad(parts.DD)}`;
+  }
+
+  const yearMonth = value.match(/^(\d{4})(?:[-/.](\d{1,2}))?$/);
+  if (yearMonth) {
+    return `${yearMonth[1]}-${pad(yearMonth[2] || 1)}-01`;
+  }
+
+  const parsed = new Date(value);
+  return isNaN(parsed.getTime()) ? null : parsed.toISOString().slice(0, 10);
+}
+
+// Transform implementations: (value, options, context) => value
+// context.extra collects additional columns (currency, unit) for the row.
+const TRANSFORMS = {
+  trim: (value) => (isEmpty(value) ? value : String(value).replace(/\s+/g, ' ').trim()),
+
+  regex: (value, { pattern, group = 1, flags = '' }) => {
+    if (isEmpty(value)) return value;
+    const match = String(value).match(new RegExp(pattern, flags));
+    if (!match) return '';
+    return match[group] !== undefined ? match[group] : match[0];
+  },
+
+  replace: (value, { pattern, replacement = '', flags = 'g' }) => {
+    if (isEmpty(value)) return value;
+    return String(value).replace(new RegExp(pattern, flags), replacement);
+  },
+
+  number: (value, options) => parseNumber(value, options),
+
+  currency: (value, options, context) => {
+    const column = options.field || `${context.field}Currency`;
+    if (isEmpty(value)) {
+      context.extra[column] = '';
+      return value;
+    }
+    let text = String(value);
+    let code = '';
+    const tokens = text.match(/[^\d\s.,'+-]+/g) || [];
+    for (let token of tokens) {
+      const found = CURRENCIES[token.toLowerCase()];
+      if (found) {
+        code = found;
+        text = text.replace(token, '');
+        break;
+      }
+    }
+    context.extra[column] = code;
+    return text.trim();
+  },
+
+  unit: (value, { units, field }, context) => {
+    if (isEmpty(value)) {
+      if (field) context.extra[field] = '';
+      return value;
+    }
+    const text = String(value).trim();
+    const pattern = units && units.length
+      ? new RegExp(`\\s*(${units.map(unit => unit.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})\\.?$`, 'i')
+      : /\s*([^\d\s.,]+)\.?$/;
+    const match = text.match(pattern);
+    if (field) context.extra[field] = match ? match[1] : '';
+    return match ? text.slice(0, match.index).trim() : text;
+  },
+
+  date: (value, { format }) => parseDate(value, format),
+
+  default: (value, { value: fallback }) => (isEmpty(value) ? fallback : value)
+};
+
+// Convert the transformed value to the field's declared type
+function castValue(value, fieldType) {
+  if (!fieldType || fieldType === 'string') {
+    return isEmpty(value) ? '' : String(value);
+  }
+  if (isEmpty(value)) return null;
+
+  if (fieldType === 'number') {
+    return parseNumber(value);
+  } else if (fieldType === 'integer') {
+    const number = parseNumber(value);
+    return number === null ? null : Math.round(number);
+  } else if (fieldType === 'date') {
+    return parseDate(value);
+  } else if (fieldType === 'boolean') {
+    if (typeof value === 'boolean') return value;
+    return ['true', 'yes', 'taip', '1'].includes(String(value).trim().toLowerCase());
+  }
+  return value;
+}
+
+// Transforms that decide what kind of value a field holds; trim and default keep it
+const VALUE_TYPES = { number: 'number', currency: 'number', unit: 'number', date: 'date', regex: 'string', replace: 'string' };
+
+// Type of a field's values: its fieldType, or else what its last value-producing transform
+// leaves (a number from number, currency and unit, a date from date)
+function valueType(fieldInfo) {
+  if (fieldInfo.fieldType) return fieldInfo.fieldType;
+  let type = 'string';
+  (fieldInfo.transforms || []).forEach(transform => {
+    type = VALUE_TYPES[transform && transform.type] || type;
+  });
+  return type;
+}
+
+// Validate the transforms and fieldType of every field, including the nested
+// templates of follow fields; returns a list of error messages
+function validateFieldTransforms(template) {
+  const errors = [];
+  const fields = (template && template.fields) || {};
+
+  for (let field in fields) {
+    const fieldInfo = fields[field];
+    if (fieldInfo.type === 'follow' && fieldInfo.template) {
+      validateFieldTransforms(fieldInfo.template).forEach(error => errors.push(`Field "${field}" (detail page): ${error}`));
+    }
+    if (fieldInfo.fieldType && !FIELD_TYPES.includes(fieldInfo.fieldType)) {
+      errors.push(`Field "${field}": unknown fieldType "${fieldInfo.fieldType}". Expected one of: ${FIELD_TYPES.join(', ')}.`);
+    }
+    if (fieldInfo.transforms === undefined) continue;
+    if (!Array.isArray(fieldInfo.transforms)) {
+      errors.push(`Field "${field}": transforms must be an array.`);
+      continue;
+    }
+    fieldInfo.transforms.forEach((transform, index) => {
+      const type = transform && transform.type;
+      if (!TRANSFORMS[type]) {
+        errors.push(`Field "${field}", transform ${index}: unknown type "${type}". Expected one of: ${Object.keys(TRANSFORMS).join(', ')}.`);
+        return;
+      }
+      if (type === 'regex' || type === 'replace') {
+        if (!transform.pattern) {
+          errors.push(`Field "${field}", transform ${index}: "${type}" requires a pattern.`);
+          return;
+        }
+        try {
+          new RegExp(transform.pattern, transform.flags);
+        } catch (error) {
+          errors.push(`Field "${field}", transform ${index}: invalid pattern (${error.message}).`);
+        }
+      }
+    });
+  }
+
+  return errors;
+}
+
+// Apply a field's transforms and type; returns the value plus any extra columns
+function transformValue(field, fieldInfo, value) {
+  if (Array.isArray(value)) {
+    // Multi-value fields: each element is transformed on its own; extra columns
+    // (such as the currency) come from the first element
+    const results = value.map(element => transformValue(field, fieldInfo, element));
+    return { value: results.map(result => result.value), extra: results.length ? results[0].extra : {} };
+  }
+  const context = { field, extra: {} };
+  for (let transform of fieldInfo.transforms || []) {
+    value = TRANSFORMS[transform.type](value, transform, context);
+  }
+  return { value: castValue(value, fieldInfo.fieldType), extra: context.extra };
+}
+
+// Apply field transforms to extracted rows. Extra columns follow the field they came from.
+function applyTransforms(template, rows) {
+  const fields = template.fields || {};
+  const hasTransforms = Object.keys(fields).some(field => fields[field].transforms || fields[field].fieldType);
+  if (!hasTransforms) return rows;
+
+  return rows.map(row => {
+    const output = {};
+    for (let field in row) {
+      const fieldInfo = fields[field];
+      if (!fieldInfo) {
+        output[field] = row[field];
+        continue;
+      }
+      const { value, extra } = transformValue(field, fieldInfo, row[field]);
+      output[field] = value;
+      Object.assign(output, extra);
+    }
+    return output;
+  });
+}
+
+module.exports = {
+  FIELD_TYPES,
+  CURRENCIES,
+  parseNumber,
+  parseDate,
+  transformValue,
+  valueType,
+  applyTransforms,
+  validateFieldTransforms
+};
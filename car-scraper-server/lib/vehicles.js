@@ -0,0 +1,275 @@
+// lib/vehicles.js
+//
+// Canonical car listing, so rows from different sites can be compared and exported
+// in one format. A template maps its row columns onto the canonical fields:
+//
+//   "vehicle": {
+//     "fields": { "title": "Title", "price": "Price", "year": "Metai", "fuel": "Kuro tipas", ... },
+//     "dictionaries": { "fuel": { "lpg": ["Benzinas / dujos"] } }   - optional, extends the built-in ones
+//   }
+//
+// Mappable fields:
+//   title                - "Audi A4, 2.0 l." -> make and model, unless those are mapped themselves
+//   make, model          - make names go through the make dictionary ("VW" -> "Volkswagen")
+//   year                 - the first 19xx/20xx year in the value
+//   price, currency      - "12 500 €" -> 12500 and EUR; currency may come from its own column
+//   mileage              - in km; values in miles ("mi", "miles") are converted
+//   fuel, gearbox        - normalized through dictionaries ("Dyzelinas" / "Diesel" -> "diesel")
+//   engine               - a combined value such as "2.0 l., 110 kW" -> engine size and power
+//   engineSize, power    - litres (cm³ above 100 are converted) and kW (hp/AG/PS are converted)
+//   city, url, images    - url and images are resolved against the scraped page
+//
+// The canonical record (VEHICLE_FIELDS) is stored next to each row in the listings database.
+
+const { CURRENCIES, parseNumber } = require('./transforms');
+const { followFields } = require('./follow');
+
+const VEHICLE_FIELDS = ['make', 'model', 'year', 'price', 'currency', 'mileageKm', 'fuel', 'gearbox', 'engineSizeL', 'powerKw', 'city', 'url', 'images'];
+
+const MAPPABLE_FIELDS = ['title', 'make', 'model', 'year', 'price', 'currency', 'mileage', 'fuel', 'gearbox', 'engine', 'engineSize', 'power', 'city', 'url', 'images'];
+
+// Canonical value -> spellings seen on sites. Matching ignores case and diacritics.
+const DICTIONARIES = {
+  fuel: {
+    petrol: ['benzinas', 'petrol', 'gasoline', 'benzin', 'benzine', 'essence'],
+    diesel: ['dyzelinas', 'diesel', 'dizelis', 'dyzelis'],
+    lpg: ['dujos', 'benzinas / dujos', 'benzinas/dujos', 'dujos / benzinas', 'lpg', 'petrol / lpg', 'autogas'],
+    hybrid: ['hibridas', 'benzinas / elektra', 'dyzelinas / elektra', 'hybrid', 'petrol / electric', 'diesel / electric'],
+    plug_in_hybrid: ['plug-in hibridas', 'plug-in hybrid', 'phev'],
+    electric: ['elektra', 'elektrinis', 'electric', 'ev'],
+    cng: ['gamtines dujos', 'cng'],
+    hydrogen: ['vandenilis', 'hydrogen']
+  },
+  gearbox: {
+    manual: ['mechanine', 'manual', 'rankine', 'mechanical'],
+    automatic: ['automatine', 'automatic', 'automatas', 'auto', 'pusiau automatine', 'semi-automatic', 'robotizuota']
+  },
+  make: {
+    'Alfa Romeo': ['alfa romeo', 'alfa'],
+    'Aston Martin': ['aston martin'],
+    BMW: ['bmw'],
+    Citroen: ['citroen'],
+    'Land Rover': ['land rover', 'range rover'],
+    'Mercedes-Benz': ['mercedes-benz', 'mercedes benz', 'mercedes', 'mb'],
+    Mini: ['mini'],
+    Skoda: ['skoda'],
+    Volkswagen: ['volkswagen', 'vw'],
+    Volvo: ['volvo']
+  }
+};
+
+const DICTIONARY_FIELDS = Object.keys(DICTIONARIES);
+
+const ENGINE_SIZE_PATTERN = /\d+(?:[.,]\d+)?\s*l(?![a-z])|\d[\d\s]*\s*(?:cm3|cm³|ccm|cc)(?![a-z])/i;
+const POWER_PATTERN = /\d+(?:[.,]\d+)?\s*(?:kw|ag|hp|bhp|ps|zs|cv)(?![a-z])/i;
+
+const MILES_TO_KM = 1.609344;
+const HP_TO_KW = 0.7355;
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+// "Automatinė " -> "automatine"
+function dictionaryKey(value) {
+  return String(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+const dictionaryCache = new WeakMap();
+
+// Built-in dictionaries extended with the template's own: { field: Map(spelling -> canonical) }
+function buildDictionaries(vehicleConfig) {
+  if (dictionaryCache.has(vehicleConfig)) return dictionaryCache.get(vehicleConfig);
+  const extra = vehicleConfig.dictionaries || {};
+  const lookups = {};
+  DICTIONARY_FIELDS.forEach(field => {
+    const lookup = new Map();
+    [DICTIONARIES[field], extra[field] || {}].forEach(dictionary => {
+      for (let canonical in dictionary) {
+        lookup.set(dictionaryKey(canonical), canonical);
+        dictionary[canonical].forEach(spelling => lookup.set(dictionaryKey(spelling), canonical));
+      }
+    });
+    lookups[field] = lookup;
+  });
+  dictionaryCache.set(vehicleConfig, lookups);
+  return lookups;
+}
+
+// Dictionary value, or the original (trimmed) value when the dictionary has no entry
+function lookup(dictionary, value) {
+  if (isEmpty(value)) return null;
+  const found = dictionary.get(dictionaryKey(value));
+  return found !== undefined ? found : String(value).trim();
+}
+
+function parseYear(value) {
+  const match = String(value).match(/\b(19|20)\d{2}\b/);
+  return match ? parseInt(match[0], 10) : null;
+}
+
+function detectCurrency(value) {
+  const tokens = String(value).match(/[^\d\s.,'+-]+/g) || [];
+  for (let token of tokens) {
+    const code = CURRENCIES[token.toLowerCase()];
+    if (code) return code;
+  }
+  return null;
+}
+
+function parseMileage(value) {
+  const number = parseNumber(value);
+  if (number === null) return null;
+  return Math.round(/\bmi(les)?\b/i.test(String(value)) ? number * MILES_TO_KM : number);
+}
+
+// Litres from "2.0 l", "1998 cm3" or a bare number
+function parseEngineSize(value) {
+  const text = String(value);
+  const litres = text.match(/(\d+(?:[.,]\d+)?)\s*l(?![a-z])/i);
+  if (litres) return parseNumber(litres[1]);
+  const cc = text.match(/(\d[\d\s]*)\s*(cm3|cm³|ccm|cc)(?![a-z])/i);
+  const number = cc ? parseNumber(cc[1]) : parseNumber(text);
+  if (number === null) return null;
+  return number > 100 ? Math.round(number / 100) / 10 : number;
+}
+
+// kW from "110 kW", "150 AG" / "150 hp" / "150 PS" or a bare number (kW)
+function parsePower(value) {
+  const text = String(value);
+  const kw = text.match(/(\d+(?:[.,]\d+)?)\s*kw(?![a-z])/i);
+  if (kw) return Math.round(parseNumber(kw[1]));
+  const hp = text.match(/(\d+(?:[.,]\d+)?)\s*(ag|hp|bhp|ps|zs|cv)(?![a-z])/i);
+  if (hp) return Math.round(parseNumber(hp[1]) * HP_TO_KW);
+  if (/[a-z]/i.test(text.replace(/\s/g, ''))) return null; // Not a power value (e.g. "2.0 l")
+  const number = parseNumber(text);
+  return number === null ? null : Math.round(number);
+}
+
+// "Audi A4, 2.0 l., universalas" -> { make: 'Audi', model: 'A4' }
+function splitTitle(title, makes) {
+  const text = String(title).split(',')[0].replace(/\s+/g, ' ').trim();
+  if (!text) return { make: null, model: null };
+
+  const words = text.split(' ');
+  // Longest known make at the start of the title ("Land Rover", "Alfa Romeo")
+  for (let length = Math.min(3, words.length); length > 0; length--) {
+    const candidate = words.slice(0, length).join(' ');
+    const make = makes.get(dictionaryKey(candidate));
+    if (make) {
+      return { make, model: words.slice(length).join(' ') || null };
+    }
+  }
+  return { make: words[0], model: words.slice(1).join(' ') || null };
+}
+
+function resolveUrl(value, baseUrl) {
+  if (isEmpty(value)) return null;
+  try {
+    return new URL(String(value).trim(), baseUrl).href;
+  } catch (error) {
+    return String(value).trim();
+  }
+}
+
+// Canonical record of one row; fields the template does not map are null
+function toVehicle(template, row, { baseUrl } = {}) {
+  const vehicleConfig = template.vehicle || {};
+  const mapping = vehicleConfig.fields || {};
+  const dictionaries = buildDictionaries(vehicleConfig);
+  const value = (field) => (mapping[field] ? row[mapping[field]] : undefined);
+  const has = (field) => !isEmpty(value(field));
+
+  const vehicle = {};
+  VEHICLE_FIELDS.forEach(field => {
+    vehicle[field] = null;
+  });
+
+  if (has('title')) {
+    const { make, model } = splitTitle(value('title'), dictionaries.make);
+    vehicle.make = make;
+    vehicle.model = model;
+  }
+  if (has('make')) vehicle.make = lookup(dictionaries.make, value('make'));
+  if (has('model')) vehicle.model = String(value('model')).trim();
+
+  if (has('year')) vehicle.year = parseYear(value('year'));
+
+  if (has('price')) {
+    vehicle.price = parseNumber(value('price'));
+    vehicle.currency = detectCurrency(value('price'));
+  }
+  if (has('currency')) vehicle.currency = detectCurrency(value('currency')) || String(value('currency')).trim().toUpperCase();
+
+  if (has('mileage')) vehicle.mileageKm = parseMileage(value('mileage'));
+  if (has('fuel')) vehicle.fuel = lookup(dictionaries.fuel, value('fuel'));
+  if (has('gearbox')) vehicle.gearbox = lookup(dictionaries.gearbox, value('gearbox'));
+
+  if (has('engine')) {
+    // Only values with a unit: a bare number could be either
+    const engine = String(value('engine'));
+    const size = engine.match(ENGINE_SIZE_PATTERN);
+    const power = engine.match(POWER_PATTERN);
+    vehicle.engineSizeL = size ? parseEngineSize(size[0]) : null;
+    vehicle.powerKw = power ? parsePower(power[0]) : null;
+  }
+  if (has('engineSize')) vehicle.engineSizeL = parseEngineSize(value('engineSize'));
+  if (has('power')) vehicle.powerKw = parsePower(value('power'));
+
+  if (has('city')) vehicle.city = String(value('city')).replace(/\s+/g, ' ').trim();
+  if (has('url')) vehicle.url = resolveUrl(value('url'), baseUrl);
+  if (has('images')) {
+    const images = Array.isArray(value('images')) ? value('images') : String(value('images')).split(/\s*\|\s*/);
+    vehicle.images = images.filter(image => !isEmpty(image)).map(image => resolveUrl(image, baseUrl));
+  }
+
+  return vehicle;
+}
+
+// Columns a template's rows have: its fields, detail page fields and transform columns
+function rowColumns(template) {
+  const fields = (template && template.fields) || {};
+  const columns = [];
+  for (let field in fields) {
+    columns.push(field);
+    (fields[field].transforms || []).forEach(transform => {
+      if (transform && transform.type === 'currency') columns.push(transform.field || `${field}Currency`);
+      if (transform && transform.type === 'unit' && transform.field) columns.push(transform.field);
+    });
+  }
+  followFields(template).forEach(field => {
+    columns.push(...rowColumns(fields[field].template));
+  });
+  return columns;
+}
+
+// Validate a template's vehicle mapping; returns a list of error messages
+function validateVehicleMapping(template) {
+  if (!template.vehicle) return [];
+  const errors = [];
+  const mapping = template.vehicle.fields || {};
+  const columns = rowColumns(template);
+
+  for (let field in mapping) {
+    if (!MAPPABLE_FIELDS.includes(field)) {
+      errors.push(`vehicle field "${field}" is not a canonical field. Expected one of: ${MAPPABLE_FIELDS.join(', ')}.`);
+    } else if (!columns.includes(mapping[field])) {
+      errors.push(`vehicle field "${field}" maps to "${mapping[field]}", which is not one of the template's columns.`);
+    }
+  }
+  for (let field in template.vehicle.dictionaries || {}) {
+    if (!DICTIONARY_FIELDS.includes(field)) {
+      errors.push(`vehicle dictionary "${field}" is not supported. Expected one of: ${DICTIONARY_FIELDS.join(', ')}.`);
+    }
+  }
+  return errors;
+}
+
+module.exports = {
+  VEHICLE_FIELDS,
+  MAPPABLE_FIELDS,
+  DICTIONARIES,
+  DICTIONARY_FIELDS,
+  toVehicle,
+  validateVehicleMapping
+};
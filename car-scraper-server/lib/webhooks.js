@@ -0,0 +1,90 @@
+// lib/webhooks.js
+//
+// Webhook delivery with retries. Each delivery is POSTed as JSON; network errors,
+// 429 and 5xx responses are retried with exponential backoff. Every finished delivery
+// (delivered or failed, with all attempts) is appended to a newline-delimited JSON log.
+
+const fs = require('fs-extra');
+const crypto = require('crypto');
+const axios = require('axios');
+
+const { promisify } = require('util');
+const sleep = promisify(setTimeout);
+
+const DEFAULT_OPTIONS = {
+  maxAttempts: 5,
+  baseDelay: 1000, // 1s, 2s, 4s, 8s between attempts
+  timeout: 10 * 1000
+};
+
+function isRetryable(error) {
+  if (!error.response) return true; // Network error or timeout
+  const status = error.response.status;
+  return status === 429 || status >= 500;
+}
+
+function createWebhookDispatcher({ logFile, ...options }) {
+  const settings = Object.assign({}, DEFAULT_OPTIONS, options);
+
+  const writeLog = (entry) => {
+    fs.appendFileSync(logFile, `${JSON.stringify(entry)}\n`);
+  };
+
+  // POST payload to url; resolves with the delivery log entry once delivered or given up
+  async function deliver(url, payload, meta = {}) {
+    const delivery = Object.assign({
+      id: crypto.randomUUID(),
+      url,
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      attempts: []
+    }, meta);
+
+    for (let attempt = 1; attempt <= settings.maxAttempts; attempt++) {
+      const startedAt = new Date().toISOString();
+      try {
+        const response = await axios.post(url, payload, {
+          timeout: settings.timeout,
+          headers: { 'Content-Type': 'application/json', 'X-Delivery-Id': delivery.id }
+        });
+        delivery.attempts.push({ at: startedAt, statusCode: response.status });
+        delivery.status = 'delivered';
+        break;
+      } catch (error) {
+        delivery.attempts.push({
+          at: startedAt,
+          statusCode: error.response ? error.response.status : null,
+          error: error.message
+        });
+        if (!isRetryable(error) || attempt === settings.maxAttempts) {
+          delivery.status = 'failed';
+          break;
+        }
+        await sleep(settings.baseDelay * Math.pow(2, attempt - 1));
+      }
+    }
+
+    delivery.finishedAt = new Date().toISOString();
+    writeLog(delivery);
+    if (delivery.status === 'failed') {
+      console.error(`Webhook delivery ${delivery.id} to ${url} failed after ${delivery.attempts.length} attempt(s).`);
+    }
+    return delivery;
+  }
+
+  // Logged deliveries, newest first, optionally for one search
+  function readLog({ searchId, limit = 100 } = {}) {
+    if (!fs.existsSync(logFile)) return [];
+    return fs.readFileSync(logFile, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => JSON.parse(line))
+      .filter(entry => !searchId || entry.searchId === searchId)
+      .reverse()
+      .slice(0, limit);
+  }
+
+  return { deliver, readLog };
+}
+
+module.exports = { createWebhookDispatcher };
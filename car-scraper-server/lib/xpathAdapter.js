@@ -0,0 +1,112 @@
+// lib/xpathAdapter.js
+//
+// XPath for the static engine. cheerio's nodes (domhandler) are not DOM nodes, so
+// they are wrapped in the small part of the DOM interface the xpath package reads.
+// Wrappers are cached per node: xpath compares nodes by identity to keep document order.
+
+const xpath = require('xpath');
+
+const NODE_NAMES = { 3: '#text', 4: '#cdata-section', 8: '#comment', 9: '#document' };
+
+const wrappers = new WeakMap();
+
+function wrap(node) {
+  if (!node) return null;
+  let wrapper = wrappers.get(node);
+  if (!wrapper) {
+    wrapper = createWrapper(node);
+    wrappers.set(node, wrapper);
+  }
+  return wrapper;
+}
+
+function unwrap(wrapper) {
+  return wrapper && wrapper.sourceNode;
+}
+
+function createAttribute(owner, name, value) {
+  return {
+    nodeType: 2,
+    nodeName: name,
+    localName: name,
+    name,
+    value,
+    nodeValue: value,
+    prefix: null,
+    namespaceURI: null,
+    parentNode: null,
+    ownerElement: owner,
+    get ownerDocument() {
+      return owner.ownerDocument;
+    }
+  };
+}
+
+function createWrapper(node) {
+  const isElement = node.nodeType === 1;
+  let attributes = null;
+
+  const wrapper = {
+    sourceNode: node,
+    nodeType: node.nodeType,
+    nodeName: isElement ? node.name : (NODE_NAMES[node.nodeType] || '#node'),
+    localName: isElement ? node.name : null,
+    prefix: null,
+    namespaceURI: null,
+    nodeValue: node.nodeType === 3 || node.nodeType === 4 || node.nodeType === 8 ? node.data : null,
+    get parentNode() {
+      return wrap(node.parent);
+    },
+    get firstChild() {
+      return wrap(node.children && node.children[0]);
+    },
+    get nextSibling() {
+      return wrap(node.next);
+    },
+    get previousSibling() {
+      return wrap(node.prev);
+    },
+    get childNodes() {
+      return (node.children || []).map(wrap);
+    },
+    get attributes() {
+      if (!isElement) return null;
+      if (!attributes) {
+        attributes = Object.keys(node.attribs || {}).map(name => createAttribute(wrapper, name, node.attribs[name]));
+        attributes.item = (index) => attributes[index];
+      }
+      return attributes;
+    },
+    get ownerDocument() {
+      let root = node;
+      while (root.parent) root = root.parent;
+      return node.nodeType === 9 ? null : wrap(root);
+    },
+    get documentElement() {
+      return wrap((node.children || []).find(child => child.nodeType === 1));
+    },
+    getElementById(id) {
+      const stack = (node.children || []).slice();
+      while (stack.length) {
+        const current = stack.shift();
+        if (current.attribs && current.attribs.id === id) return wrap(current);
+        if (current.children) stack.unshift(...current.children);
+      }
+      return null;
+    }
+  };
+
+  return wrapper;
+}
+
+// Evaluate an XPath expression under a cheerio node. Elements come back as cheerio
+// nodes; attribute and text results come back as { xpathValue } objects.
+function selectXPath(scope, expression) {
+  const result = xpath.parse(expression).select({ node: wrap(scope), isHtml: true });
+  return result.map(item => {
+    if (item.nodeType === 1) return unwrap(item);
+    return { xpathValue: item.nodeType === 2 ? item.value : item.nodeValue };
+  });
+}
+
+module.exports = { selectXPath };
@@ -1,6 +1,9 @@
 // server.js
 
-require('dotenv').config(); // Load environment variables
+// Load environment variables from .env (see server.env.example). server.env, where older
+// installs keep their settings, fills in whatever .env does not set.
+require('dotenv').config({ path: require('path').join(__dirname, '.env') });
+require('dotenv').config({ path: require('path').join(__dirname, 'server.env') });
 
 const express = require('express');
 const cors = require('cors');
@@ -8,88 +11,164 @@ const bodyParser = require('body-parser');
 const fs = require('fs-extra');
 const path = require('path');
 const puppeteer = require('puppeteer');
-const rateLimit = require('express-rate-limit');
-const { createObjectCsvWriter } = require('csv-writer'); // Using 'csv-writer'
 
-const { promisify } = require('util');
-const sleep = promisify(setTimeout);
+const {
+  STORAGE_DIR,
+  JOBS_DIR,
+  DATABASE_PATH,
+  SCHEDULES_PATH,
+  SEARCHES_PATH,
+  DELIVERIES_LOG,
+  CRAWL_SETTINGS_PATH,
+  API_KEYS_PATH,
+  AUDIT_LOG,
+  RETENTION_PATH,
+  FIXTURES_DIR
+} = require('./lib/paths');
+const { normalizeDomain, runScrape } = require('./lib/scraper');
+const { createJobStore } = require('./lib/jobs');
+const {
+  isValidDomain,
+  readConfigs,
+  getDomainTemplates,
+  saveDomainTemplates,
+  migrateConfigs,
+  listVersions,
+  getVersion,
+  diffObjects,
+  rollback
+} = require('./lib/configs');
+const { validateTemplates: templateErrors } = require('./lib/templateSchema');
+const { cronError, createScheduler } = require('./lib/scheduler');
+const { validateSearch, createSearchStore } = require('./lib/searches');
+const { createWebhookDispatcher } = require('./lib/webhooks');
+const { listChangeSets } = require('./lib/listings');
+const { VEHICLE_FIELDS } = require('./lib/vehicles');
+const { GROUP_FIELDS, DEFAULT_OPTIONS: ANALYTICS_DEFAULTS, groupStats, createMarket } = require('./lib/analytics');
+const { openDatabase } = require('./lib/database');
+const { previewTemplate } = require('./lib/preview');
+const { createRecorder } = require('./lib/fixtures');
+const { validateKey, createKeyStore, authenticateRequests, requireScope, createKeyRateLimit } = require('./lib/apiKeys');
+const { createAuditLog } = require('./lib/audit');
+const { validateRetention, createStorage } = require('./lib/storage');
+const { DEFAULT_SIZE: DEFAULT_POOL_SIZE, DEFAULT_MAX_NAVIGATIONS, createBrowserPool } = require('./lib/browserPool');
+const { DEFAULT_SETTINGS: CRAWL_DEFAULTS, validateCrawlSettings, createCrawlPolicy } = require('./lib/crawl');
+const {
+  FORMATS: EXPORT_FORMATS,
+  NO_TEMPLATE,
+  listRuns,
+  readRows,
+  mergeRuns,
+  serialize: serializeExport
+} = require('./lib/exports');
 
 const app = express(); // Initialize Express app
 
 // Environment Variables
 const PORT = process.env.PORT || 4000;
 const API_KEY = process.env.API_KEY;
+// Origins allowed to use API_KEY (comma-separated); defaults to the Chrome extension
+const API_KEY_ORIGINS = (process.env.API_KEY_ORIGINS || 'chrome-extension://hcbbpjnoeokbejadnhibgigolaibiemb')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
 
 // Middleware
 
-// CORS Configuration: Allow only your Chrome extension to access the server
+// API keys (storage/api-keys.json) and the audit log of what they were used for
+const apiKeys = createKeyStore(API_KEYS_PATH, {
+  envKey: API_KEY ? { token: API_KEY, origins: API_KEY_ORIGINS } : null
+});
+const audit = createAuditLog(AUDIT_LOG);
+
+// CORS Configuration: allow the origins listed on the API keys
 app.use(cors({
-  origin: 'chrome-extension://hcbbpjnoeokbejadnhibgigolaibiemb', // Replace with your actual extension ID
-  methods: ['GET', 'POST'],
+  origin: (origin, callback) => callback(null, !origin || apiKeys.allowedOrigins().includes(origin)),
+  methods: ['GET', 'POST', 'DELETE'],
   allowedHeaders: ['Content-Type', 'x-api-key']
 }));
 
 app.use(bodyParser.json());
 
-// Rate Limiter for /scrape Endpoint
-const scrapeLimiter = rateLimit({
-  windowMs: 60 * 1000, // 1 minute
-  max: 5, // limit each IP to 5 requests per windowMs
-  message: 'Too many scraping requests from this IP, please try again after a minute.'
-});
+// API Key Verification Middleware (x-api-key header, or ?key= on /download; see lib/apiKeys.js)
+app.use(authenticateRequests(apiKeys));
 
-// API Key Verification Middleware
-app.use((req, res, next) => {
-  // Allow unrestricted access to the root and download endpoints
-  if (req.path === '/' || req.path.startsWith('/download')) {
-    return next();
-  }
+// Rate Limiter for /scrape and /preview, per API key (the key's rateLimit settings)
+const keyRateLimit = createKeyRateLimit();
+
+// Storage Directory
+fs.ensureDirSync(STORAGE_DIR);
+
+// Scraped runs: confined paths, deletion and per-domain retention policies
+const storage = createStorage({ storageDir: STORAGE_DIR, retentionFile: RETENTION_PATH, database: () => database });
+const RETENTION_INTERVAL = 60 * 60 * 1000; // Retention policies are also applied hourly
+
+// Log and audit the runs a retention policy deleted
+function recordRetention(domain, runs) {
+  if (runs.length === 0) return;
+  console.log(`Retention: deleted ${runs.length} run(s) of ${domain}.`);
+  audit.record(null, 'storage.retention', { domain, runs });
+}
 
-  const apiKey = req.headers['x-api-key'];
-  if (apiKey !== API_KEY) {
-    return res.status(403).json({ error: 'Forbidden: Invalid API Key.' });
+// Apply every domain's retention policy
+function applyRetention() {
+  try {
+    const deleted = storage.applyAllRetention();
+    for (let domain in deleted) {
+      recordRetention(domain, deleted[domain]);
+    }
+  } catch (error) {
+    console.error('Retention Error:', error);
   }
-  next();
-});
+}
 
-// Helper function to normalize domain
-function normalizeDomain(domain) {
-  return domain.replace(/^www\./, '');
+// Send a storage error (invalid name, path outside storage, not found) as JSON
+function sendStorageError(res, error) {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error('Storage Error:', error);
+  res.status(500).json({ error: 'Storage operation failed.' });
 }
 
-// Storage Directory
-const STORAGE_DIR = path.join(__dirname, 'storage');
-fs.ensureDirSync(STORAGE_DIR);
+// Convert legacy "selectors" configs into templates (recorded in the config history)
+migrateConfigs().forEach(domain => {
+  console.log(`Migrated legacy selectors config for ${domain} to templates.`);
+});
+
+// Scrape jobs (persisted under storage/jobs so restarts keep their history)
+const jobs = createJobStore(JOBS_DIR);
 
 // POST /addConfig Endpoint
-app.post('/addConfig', (req, res) => {
+app.post('/addConfig', requireScope('configs:write'), (req, res) => {
   const { domain, templates } = req.body;
   if (!domain || !templates) {
     return res.status(400).json({ error: 'Domain and templates are required.' });
   }
   const normalizedDomain = normalizeDomain(domain);
-  const configPath = path.join(STORAGE_DIR, 'configs.json');
-  let configs = {};
-  if (fs.existsSync(configPath)) {
-    configs = fs.readJSONSync(configPath);
+  if (!isValidDomain(normalizedDomain)) {
+    return res.status(400).json({ error: 'Invalid domain.' });
+  }
+  const invalid = validateTemplates(templates);
+  if (invalid) {
+    return res.status(400).json(invalid);
   }
-  configs[normalizedDomain] = { templates };
-  fs.writeJSONSync(configPath, configs, { spaces: 2 });
-  res.json({ message: `Configuration for ${normalizedDomain} saved.` });
+  const { version } = saveDomainTemplates(normalizedDomain, templates);
+  audit.record(req, 'config.save', { domain: normalizedDomain, version, templates: Object.keys(templates) });
+  res.json({ message: `Configuration for ${normalizedDomain} saved.`, version });
 });
 
 // POST /getConfig Endpoint
-app.post('/getConfig', (req, res) => {
+app.post('/getConfig', requireScope('configs:read'), (req, res) => {
   const { domain } = req.body;
   if (!domain) {
     return res.status(400).json({ error: 'Domain is required.' });
   }
   const normalizedDomain = normalizeDomain(domain);
-  const configPath = path.join(STORAGE_DIR, 'configs.json');
-  if (!fs.existsSync(configPath)) {
+  const configs = readConfigs();
+  if (!configs) {
     return res.status(404).json({ error: 'No configurations found.' });
   }
-  const configs = fs.readJSONSync(configPath);
   if (configs[normalizedDomain] && configs[normalizedDomain].templates) {
     res.json({ templates: configs[normalizedDomain].templates });
   } else {
@@ -98,314 +177,901 @@ app.post('/getConfig', (req, res) => {
 });
 
 // ✅ **Newly Added: GET /getDomains Endpoint**
-app.get('/getDomains', (req, res) => {
-  const configPath = path.join(STORAGE_DIR, 'configs.json');
-  if (!fs.existsSync(configPath)) {
+app.get('/getDomains', requireScope('configs:read'), (req, res) => {
+  const configs = readConfigs();
+  if (!configs) {
     return res.status(404).json({ error: 'No configurations found.' });
   }
-  const configs = fs.readJSONSync(configPath);
   const domains = Object.keys(configs);
   res.json({ domains });
 });
 
-// Initialize Puppeteer Browser Instance
-let browser;
-(async () => {
+// GET /configs/:domain/versions Endpoint
+app.get('/configs/:domain/versions', requireScope('configs:read'), (req, res) => {
+  const domain = normalizeDomain(req.params.domain);
+  if (!isValidDomain(domain)) {
+    return res.status(400).json({ error: 'Invalid domain.' });
+  }
+  res.json({ domain, versions: listVersions(domain) });
+});
+
+// GET /configs/:domain/versions/:version Endpoint
+app.get('/configs/:domain/versions/:version', requireScope('configs:read'), (req, res) => {
+  const domain = normalizeDomain(req.params.domain);
+  if (!isValidDomain(domain)) {
+    return res.status(400).json({ error: 'Invalid domain.' });
+  }
+  const version = getVersion(domain, parseInt(req.params.version, 10));
+  if (!version) {
+    return res.status(404).json({ error: 'Version not found.' });
+  }
+  res.json(version);
+});
+
+// GET /configs/:domain/diff?from=1&to=2 Endpoint (to defaults to the latest version)
+app.get('/configs/:domain/diff', requireScope('configs:read'), (req, res) => {
+  const domain = normalizeDomain(req.params.domain);
+  if (!isValidDomain(domain)) {
+    return res.status(400).json({ error: 'Invalid domain.' });
+  }
+  const versions = listVersions(domain);
+  const fromVersion = getVersion(domain, parseInt(req.query.from, 10));
+  const toVersion = getVersion(domain, req.query.to ? parseInt(req.query.to, 10) : versions.length);
+  if (!fromVersion || !toVersion) {
+    return res.status(404).json({ error: 'Version not found.' });
+  }
+  res.json({
+    domain,
+    from: fromVersion.version,
+    to: toVersion.version,
+    changes: diffObjects(fromVersion.config, toVersion.config)
+  });
+});
+
+// POST /configs/:domain/rollback Endpoint
+// Body: { version }; the restored config is saved as a new version
+app.post('/configs/:domain/rollback', requireScope('configs:write'), (req, res) => {
+  const domain = normalizeDomain(req.params.domain);
+  if (!isValidDomain(domain)) {
+    return res.status(400).json({ error: 'Invalid domain.' });
+  }
+  try {
+    const restored = rollback(domain, parseInt(req.body.version, 10));
+    if (!restored) {
+      return res.status(404).json({ error: 'Version not found.' });
+    }
+    audit.record(req, 'config.rollback', { domain, to: parseInt(req.body.version, 10), version: restored.version });
+    res.json({ message: `Configuration for ${domain} rolled back to version ${req.body.version}.`, version: restored.version });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Crawl politeness (robots.txt, per-domain throttling, retries) for every page load
+const crawlPolicy = createCrawlPolicy({ settingsFile: CRAWL_SETTINGS_PATH });
+
+// GET /crawl-settings Endpoint (defaults and per-domain overrides)
+app.get('/crawl-settings', requireScope('configs:read'), (req, res) => {
+  res.json({ defaults: CRAWL_DEFAULTS, domains: crawlPolicy.overrides() });
+});
+
+// GET /crawl-settings/:domain?url= Endpoint
+// Effective settings of a domain and its robots.txt (of url, default https://<domain>/)
+app.get('/crawl-settings/:domain', requireScope('configs:read'), async (req, res) => {
+  const domain = normalizeDomain(req.params.domain);
+  if (!isValidDomain(domain)) {
+    return res.status(400).json({ error: 'Invalid domain.' });
+  }
+  let robotsUrl;
   try {
-    browser = await puppeteer.launch({ headless: true });
-    console.log('Puppeteer launched successfully.');
+    robotsUrl = new URL(req.query.url || `https://${domain}/`);
   } catch (error) {
-    console.error('Failed to launch Puppeteer:', error);
+    return res.status(400).json({ error: 'Invalid URL.' });
+  }
+  if (normalizeDomain(robotsUrl.hostname) !== domain) {
+    return res.status(400).json({ error: `URL must be on ${domain}.` });
+  }
+
+  const robots = await crawlPolicy.robotsFor(robotsUrl.href);
+  res.json({
+    domain,
+    settings: crawlPolicy.settingsFor(domain),
+    overrides: crawlPolicy.overrides()[domain] || null,
+    robots: {
+      url: robots.url,
+      status: robots.status,
+      fetchedAt: robots.fetchedAt,
+      unreachable: Boolean(robots.unreachable),
+      error: robots.error || null,
+      crawlDelay: robots.crawlDelay,
+      rules: robots.rules.map(({ allow, path }) => ({ allow, path }))
+    }
+  });
+});
+
+// POST /crawl-settings/:domain Endpoint
+// Body: any of { respectRobots, crawlDelayMs, concurrency, maxRetries, backoffMs, blockPatterns }
+app.post('/crawl-settings/:domain', requireScope('configs:write'), (req, res) => {
+  const domain = normalizeDomain(req.params.domain);
+  if (!isValidDomain(domain)) {
+    return res.status(400).json({ error: 'Invalid domain.' });
+  }
+  const errors = validateCrawlSettings(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid crawl settings.', details: errors });
+  }
+  const settings = crawlPolicy.setSettings(domain, req.body);
+  audit.record(req, 'crawlSettings.save', { domain, changes: req.body });
+  res.json({ domain, settings });
+});
+
+// DELETE /crawl-settings/:domain Endpoint (back to the defaults)
+app.delete('/crawl-settings/:domain', requireScope('configs:write'), (req, res) => {
+  const domain = normalizeDomain(req.params.domain);
+  if (!isValidDomain(domain)) {
+    return res.status(400).json({ error: 'Invalid domain.' });
+  }
+  if (!crawlPolicy.removeSettings(domain)) {
+    return res.status(404).json({ error: `No crawl settings saved for ${domain}.` });
   }
-})();
+  audit.record(req, 'crawlSettings.reset', { domain });
+  res.json({ message: `Crawl settings for ${domain} reset to the defaults.`, settings: crawlPolicy.settingsFor(domain) });
+});
+
+// Puppeteer page pool: one shared browser, relaunched when it crashes
+const browserPool = createBrowserPool({
+  launch: () => puppeteer.launch({ headless: true }),
+  size: parseInt(process.env.BROWSER_POOL_SIZE, 10) || DEFAULT_POOL_SIZE,
+  maxNavigations: parseInt(process.env.BROWSER_PAGE_MAX_NAVIGATIONS, 10) || DEFAULT_MAX_NAVIGATIONS
+});
+browserPool.launch()
+  .then(() => console.log('Puppeteer launched successfully.'))
+  .catch((error) => console.error('Failed to launch Puppeteer:', error.message));
+
+// GET /browser Endpoint (page pool health and usage)
+app.get('/browser', requireScope('scrape'), (req, res) => {
+  res.json(browserPool.stats());
+});
+
+// Open the listings database (storage/listings.sqlite). Retention is first applied once it
+// is open, so the rows of expired runs leave the database too.
+let database;
+openDatabase(DATABASE_PATH)
+  .then((db) => {
+    database = db;
+    console.log('Listings database opened successfully.');
+  })
+  .catch((error) => {
+    console.error('Failed to open listings database:', error);
+  })
+  .then(applyRetention);
+
+// Check templates against the template schema; returns an error response body or null
+function validateTemplates(templates) {
+  const errors = templateErrors(templates);
+  return errors.length > 0 ? { error: 'Invalid templates.', details: errors } : null;
+}
+
+// Saved searches and their webhook deliveries
+const searches = createSearchStore(SEARCHES_PATH);
+const webhooks = createWebhookDispatcher({ logFile: DELIVERIES_LOG });
+
+// Send new and updated listings of a finished scrape to the webhooks of matching searches
+function notifySearches({ domain, results }) {
+  results.forEach(result => {
+    searches.findMatches(domain, result).forEach(({ search, matches }) => {
+      const payload = {
+        search: { id: search.id, name: search.name },
+        domain,
+        template: result.template,
+        file: result.file,
+        matches
+      };
+      webhooks.deliver(search.webhookUrl, payload, { searchId: search.id, matches: matches.length })
+        .catch(error => console.error(`Webhook delivery for search ${search.id} failed:`, error));
+    });
+  });
+}
+
+// Create and start a scrape job; done resolves with the finished job.
+// With record, the pages and rows of a run that completes cleanly replace the domain's test fixture.
+// req is the request that started it (none for scheduled runs), for the audit log.
+function startScrapeJob({ url, templates, scheduleId, record = false, req = null }) {
+  const domain = normalizeDomain(new URL(url).hostname);
+  const job = jobs.create({ url, domain, templates, scheduleId });
+  audit.record(req, 'scrape.start', {
+    jobId: job.id,
+    url,
+    templates: Object.keys(templates),
+    scheduleId: scheduleId || null,
+    record
+  });
+  const done = jobs.start(job, async (job, hooks) => {
+    const recorder = record ? createRecorder({ dir: path.join(FIXTURES_DIR, domain), url }) : null;
+    const result = await runScrape(browserPool, { url, templates, database, policy: crawlPolicy, recorder }, hooks);
+    if (recorder) {
+      const fixture = recorder.finish(result);
+      if (fixture.discarded) {
+        console.warn(`Test fixtures of ${domain} not recorded: ${fixture.discarded}.`);
+      } else {
+        console.log(`Recorded ${fixture.pages} page(s) of ${domain} as test fixtures in ${fixture.dir}.`);
+      }
+    }
+    notifySearches(result);
+    recordRetention(domain, storage.applyRetention(domain));
+    return result;
+  });
+  return { job, done };
+}
 
 // POST /scrape Endpoint with Rate Limiting
-app.post('/scrape', scrapeLimiter, async (req, res) => {
-  const { url, templates } = req.body;
+// Starts a background job and returns its ID right away; poll GET /jobs/:id for progress.
+// Body: { url, templates, record? }; record: true saves the run as test fixtures (test/replay.js)
+app.post('/scrape', requireScope('scrape'), keyRateLimit, (req, res) => {
+  const { url, templates, record } = req.body;
   if (!url || !templates) {
     return res.status(400).json({ error: 'URL and templates are required.' });
   }
 
-  const domain = normalizeDomain(new URL(url).hostname);
-  const domainDir = path.join(STORAGE_DIR, domain);
-  fs.ensureDirSync(domainDir);
+  try {
+    new URL(url);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid URL.' });
+  }
+
+  const invalid = validateTemplates(templates);
+  if (invalid) {
+    return res.status(400).json(invalid);
+  }
+
+  if (record !== undefined && typeof record !== 'boolean') {
+    return res.status(400).json({ error: 'record must be true or false.' });
+  }
+
+  const { job } = startScrapeJob({ url, templates, record, req });
+
+  res.status(202).json({ message: 'Scraping started.', jobId: job.id });
+});
+
+// POST /preview Endpoint (dry run of one template on one page; nothing is saved)
+// Body: { url, template, limit? }
+app.post('/preview', requireScope('scrape'), keyRateLimit, async (req, res) => {
+  const { url, template, limit } = req.body;
+  if (!url || !template) {
+    return res.status(400).json({ error: 'URL and template are required.' });
+  }
 
   try {
-    const page = await browser.newPage();
-
-    // Randomize User-Agent
-    const userAgentList = [
-      // Add User-Agent strings
-      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/115.0.0.0 Safari/537.36',
-      'Mozilla/5.0 (Macintosh; Intel Mac OS X 13_4_1) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/115.0.5790.171 Safari/537.36',
-      'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/115.0.0.0 Safari/537.36',
-      // ... [Add more User-Agent strings as needed]
-    ];
-    const randomUserAgent = userAgentList[Math.floor(Math.random() * userAgentList.length)];
-    await page.setUserAgent(randomUserAgent);
-
-    // Optimize memory usage by blocking unnecessary resources
-    await page.setRequestInterception(true);
-    page.on('request', (req) => {
-      const resourceType = req.resourceType();
-      if (['image', 'stylesheet', 'font', 'media'].includes(resourceType)) {
-        req.abort();
-      } else {
-        req.continue();
-      }
-    });
+    new URL(url);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid URL.' });
+  }
 
-    for (let templateName in templates) {
-      const template = templates[templateName];
-      let currentPageUrl = url;
-      let currentPage = 1;
-      let hasNextPage = true;
-      let aggregatedData = [];
-
-      const paginationLimit = template.paginationLimit || null; // Get pagination limit
-
-      while (hasNextPage) {
-        console.log(`Scraping ${templateName} page ${currentPage}: ${currentPageUrl}`);
-
-        await page.goto(currentPageUrl, { waitUntil: 'networkidle2' });
-
-        // Introduce a random delay between 2 to 5 seconds
-        await sleep(getRandomDelay());
-
-        // Scrape data based on template
-        const scrapedData = await page.evaluate((template) => {
-          const extractText = (element, selector, method) => {
-            try {
-              let el;
-              if (method === 'css') {
-                el = element.querySelector(selector);
-              } else if (method === 'class') {
-                el = element.getElementsByClassName(selector.replace('.', ''))[0];
-              } else if (method === 'id') {
-                el = element.querySelector(`#${selector.replace('#', '')}`);
-              } else if (method === 'regex') {
-                const regex = new RegExp(selector, 'i');
-                el = Array.from(element.querySelectorAll('*')).find(el => regex.test(el.textContent.trim()));
-              }
-              return el ? el.textContent.trim() : '';
-            } catch (error) {
-              console.error(`Error extracting text with selector "${selector}" and method "${method}":`, error);
-              return '';
-            }
-          };
-
-          const extractAttribute = (element, selector, attribute, method) => {
-            try {
-              let el;
-              if (method === 'css') {
-                el = element.querySelector(selector);
-              } else if (method === 'class') {
-                el = element.getElementsByClassName(selector.replace('.', ''))[0];
-              } else if (method === 'id') {
-                el = element.querySelector(`#${selector.replace('#', '')}`);
-              } else if (method === 'regex') {
-                const regex = new RegExp(selector, 'i');
-                el = Array.from(element.querySelectorAll('*')).find(el => regex.test(el.textContent.trim()));
-              }
-              return el ? el.getAttribute(attribute) : '';
-            } catch (error) {
-              console.error(`Error extracting attribute "${attribute}" with selector "${selector}" and method "${method}":`, error);
-              return '';
-            }
-          };
-
-          let data = [];
-          let items = [];
-          const itemMethod = template.itemSelectorMethod || 'css';
-
-          if (itemMethod === 'css') {
-            items = document.querySelectorAll(template.itemSelector);
-          } else if (itemMethod === 'class') {
-            items = document.getElementsByClassName(template.itemSelector.replace('.', ''));
-          } else if (itemMethod === 'id') {
-            const el = document.querySelector(`#${template.itemSelector.replace('#', '')}`);
-            if (el) items = [el];
-          } else if (itemMethod === 'regex') {
-            const regex = new RegExp(template.itemSelector, 'i');
-            items = Array.from(document.querySelectorAll('*')).filter(el => regex.test(el.textContent.trim()));
-          }
-
-          if (items.length === 0) {
-            console.warn(`No items found with selector "${template.itemSelector}" using method "${itemMethod}"`);
-          }
-
-          items.forEach(item => {
-            let itemData = {};
-            for (let field in template.fields) {
-              const fieldInfo = template.fields[field];
-              let value = '';
-              if (fieldInfo.type === 'text') {
-                value = extractText(item, fieldInfo.selector, fieldInfo.method || 'css');
-              } else if (fieldInfo.type === 'attribute') {
-                value = extractAttribute(item, fieldInfo.selector, fieldInfo.attribute, fieldInfo.method || 'css');
-              }
-              itemData[field] = value;
-            }
-            data.push(itemData);
-          });
-
-          return data;
-        }, template);
-
-        console.log(`Scraped ${scrapedData.length} items from page ${currentPage}`);
-
-        // Aggregate scraped data
-        aggregatedData = aggregatedData.concat(scrapedData);
-
-        // Check pagination limit
-        if (paginationLimit && currentPage >= paginationLimit) {
-          hasNextPage = false;
-          console.log(`Pagination limit of ${paginationLimit} pages reached.`);
-          break;
-        }
+  const invalid = validateTemplates({ preview: template });
+  if (invalid) {
+    return res.status(400).json(invalid);
+  }
 
-        // Check for the next page
-        if (template.nextPage && template.nextPage.selector) {
-          const nextPageSelector = template.nextPage.selector;
-          const nextPageMethod = template.nextPage.method || 'css';
-          let nextPageExists = false;
-          let nextPageHref = '';
-
-          if (nextPageMethod === 'css') {
-            nextPageExists = await page.$(nextPageSelector) !== null;
-            if (nextPageExists) {
-              nextPageHref = await page.$eval(nextPageSelector, el => el.getAttribute('href'));
-            }
-          } else if (nextPageMethod === 'class') {
-            nextPageExists = await page.$(`.${nextPageSelector.replace('.', '')}`) !== null;
-            if (nextPageExists) {
-              nextPageHref = await page.$eval(`.${nextPageSelector.replace('.', '')}`, el => el.getAttribute('href'));
-            }
-          } else if (nextPageMethod === 'id') {
-            nextPageExists = await page.$(`#${nextPageSelector.replace('#', '')}`) !== null;
-            if (nextPageExists) {
-              nextPageHref = await page.$eval(`#${nextPageSelector.replace('#', '')}`, el => el.getAttribute('href'));
-            }
-          } else if (nextPageMethod === 'regex') {
-            const links = await page.$$eval('a', anchors => anchors.map(a => ({ href: a.href, text: a.textContent.trim() })));
-            const regex = new RegExp(nextPageSelector, 'i');
-            const nextLink = links.find(link => regex.test(link.text));
-            if (nextLink) {
-              nextPageExists = true;
-              nextPageHref = nextLink.href;
-            }
-          }
-
-          if (nextPageExists && nextPageHref) {
-            // Construct absolute URL if necessary
-            currentPageUrl = new URL(nextPageHref, currentPageUrl).href;
-            currentPage++;
-          } else {
-            hasNextPage = false;
-          }
-        } else {
-          hasNextPage = false;
-        }
-      }
+  audit.record(req, 'scrape.preview', { url });
+  try {
+    res.json(await previewTemplate(browserPool, { url, template, limit, policy: crawlPolicy }));
+  } catch (error) {
+    console.error('Preview Error:', error);
+    res.status(502).json({ error: `Preview failed: ${error.message}` });
+  }
+});
 
-      // Save data to CSV
-      if (aggregatedData.length > 0) {
-        const templateDir = path.join(domainDir, templateName);
-        fs.ensureDirSync(templateDir);
+// GET /jobs Endpoint
+app.get('/jobs', requireScope('scrape'), (req, res) => {
+  res.json({ jobs: jobs.list() });
+});
 
-        const headers = Object.keys(aggregatedData[0]).map(key => ({ id: key, title: key }));
+// GET /jobs/:id Endpoint
+app.get('/jobs/:id', requireScope('scrape'), (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found.' });
+  }
+  res.json(job);
+});
 
-        const csvWriter = createObjectCsvWriter({
-          path: path.join(templateDir, `data_${Date.now()}.csv`),
-          header: headers,
-        });
+// DELETE /jobs/:id Endpoint (cancels the job between pages)
+app.delete('/jobs/:id', requireScope('scrape'), (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found.' });
+  }
+  if (!jobs.isActive(job)) {
+    return res.status(409).json({ error: `Job is already ${job.status}.` });
+  }
+  audit.record(req, 'scrape.cancel', { jobId: job.id, url: job.url });
+  res.json(jobs.cancel(job.id));
+});
 
-        await csvWriter.writeRecords(aggregatedData);
-        console.log(`Data saved to CSV file for template "${templateName}".`);
-      } else {
-        console.warn(`No data collected for template "${templateName}". CSV file will not be created.`);
-      }
-    }
+// GET /files Endpoint
+// CSV files per domain and template: { <domain>: { <template>: [file] } }
+app.get('/files', requireScope('download'), (req, res) => {
+  try {
+    res.json(storage.listFiles());
+  } catch (error) {
+    console.error('Files Retrieval Error:', error);
+    res.status(500).json({ error: 'Failed to retrieve files.' });
+  }
+});
+
+// GET /storage Endpoint
+// Disk usage and runs per domain and template, oldest run first:
+//   { <domain>: { bytes, runs, retention, templates: { <template>: { bytes, runs: [{ file, template, scrapedAt, rows, bytes }] } } } }
+app.get('/storage', requireScope('download'), (req, res) => {
+  try {
+    res.json(storage.usage());
+  } catch (error) {
+    console.error('Storage Usage Error:', error);
+    res.status(500).json({ error: 'Failed to retrieve storage usage.' });
+  }
+});
 
-    await page.close();
+// GET /listings Endpoint
+// Query stored rows across runs. Any other query parameter filters on a field:
+//   ?Fuel=Dyzelinas&Price[lte]=10000&Year[gte]=2015&Title[like]=golf&Gearbox[in]=Automatinė,Automatic
+// plus sort=-Price,Year, page, pageSize and fields=Title,Price (projection)
+app.get('/listings', requireScope('download'), (req, res) => {
+  if (!database) {
+    return res.status(503).json({ error: 'Listings database is not available.' });
+  }
 
-    res.json({ message: 'Scraping completed successfully.' });
+  const { domain, template, sort, page, pageSize, fields, ...filters } = req.query;
+
+  try {
+    res.json(database.queryListings({
+      domain: domain ? normalizeDomain(domain) : undefined,
+      template,
+      filters,
+      sort,
+      page,
+      pageSize,
+      fields
+    }));
   } catch (error) {
-    console.error('Scraping Error:', error);
-    res.status(500).json({ error: 'Scraping failed.' });
+    res.status(400).json({ error: error.message });
   }
 });
 
-function getRandomDelay() {
-  return Math.floor(Math.random() * (5000 - 2000 + 1)) + 2000;
+// GET /vehicles Endpoint
+// Canonical vehicle records of every site with a vehicle mapping, in one format.
+// Filters and sort use the canonical fields: ?make=Volkswagen&fuel=diesel&price[lte]=10000&sort=-year
+// plus domain, page and pageSize
+app.get('/vehicles', requireScope('download'), (req, res) => {
+  if (!database) {
+    return res.status(503).json({ error: 'Listings database is not available.' });
+  }
+
+  const { domain, sort, page, pageSize, ...filters } = req.query;
+  const unknown = Object.keys(filters).filter(field => !VEHICLE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    return res.status(400).json({ error: `Unknown vehicle field(s): ${unknown.join(', ')}. Expected: ${VEHICLE_FIELDS.join(', ')}.` });
+  }
+
+  try {
+    res.json(database.queryVehicles({
+      domain: domain ? normalizeDomain(domain) : undefined,
+      filters,
+      sort,
+      page,
+      pageSize
+    }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Vehicle records and analytics options shared by the /analytics endpoints:
+//   domain, days (only listings seen in the last N days), currency, yearBandSize,
+//   mileageBandSize, minPeers, threshold. make, model and fuel narrow down the result
+//   (selects); the market estimates always use every record.
+function analyticsInput(query) {
+  const options = {};
+  ['yearBandSize', 'mileageBandSize', 'minPeers'].forEach(name => {
+    if (query[name] !== undefined) {
+      const value = parseInt(query[name], 10);
+      if (!(value >= 1)) throw new Error(`${name} must be a positive integer.`);
+      options[name] = value;
+    }
+  });
+  if (query.threshold !== undefined) {
+    const threshold = parseFloat(query.threshold);
+    if (!(threshold > 0 && threshold < 1)) throw new Error('threshold must be between 0 and 1 (e.g. 0.15).');
+    options.threshold = threshold;
+  }
+  if (query.currency) options.currency = String(query.currency).toUpperCase();
+
+  let since;
+  if (query.days !== undefined) {
+    const days = parseInt(query.days, 10);
+    if (!(days >= 1)) throw new Error('days must be a positive integer.');
+    since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  const matches = (value, expected) => !expected || Boolean(value && String(value).toLowerCase() === String(expected).toLowerCase());
+  const selects = (vehicle) => matches(vehicle.make, query.make) && matches(vehicle.model, query.model) && matches(vehicle.fuel, query.fuel);
+  const entries = database.listVehicles({ domain: query.domain ? normalizeDomain(query.domain) : undefined, since });
+
+  return { entries, options, selects };
 }
 
-// GET /files Endpoint
-app.get('/files', (req, res) => {
+// GET /analytics/prices Endpoint
+// Price statistics (count, min, p10, p25, median, p75, p90, max, mean) per group.
+// groupBy picks the grouping fields (default: make,model,yearBand,fuel,mileageBand); minCount drops small groups
+app.get('/analytics/prices', requireScope('download'), (req, res) => {
+  if (!database) {
+    return res.status(503).json({ error: 'Listings database is not available.' });
+  }
+
+  const groupBy = req.query.groupBy ? String(req.query.groupBy).split(',').filter(Boolean) : GROUP_FIELDS;
+  const unknown = groupBy.filter(field => !GROUP_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    return res.status(400).json({ error: `Unknown groupBy field(s): ${unknown.join(', ')}. Expected: ${GROUP_FIELDS.join(', ')}.` });
+  }
+
   try {
-    const domains = fs.readdirSync(STORAGE_DIR).filter(dir => dir !== 'configs.json');
-    let filesList = {};
-
-    domains.forEach(domain => {
-      const domainPath = path.join(STORAGE_DIR, domain);
-      const entries = fs.readdirSync(domainPath);
-
-      filesList[domain] = {};
-
-      entries.forEach(entry => {
-        const entryPath = path.join(domainPath, entry);
-        const stats = fs.statSync(entryPath);
-
-        if (stats.isDirectory()) {
-          // Entry is a template directory
-          const template = entry;
-          const templatePath = entryPath;
-          const files = fs.readdirSync(templatePath).filter(file => file.endsWith('.csv'));
-          filesList[domain][template] = files;
-        } else if (stats.isFile() && entry.endsWith('.csv')) {
-          // Entry is a CSV file directly under the domain
-          const template = '_no_template_';
-          if (!filesList[domain][template]) {
-            filesList[domain][template] = [];
-          }
-          filesList[domain][template].push(entry);
+    const { entries, options, selects } = analyticsInput(req.query);
+    const groups = groupStats(entries.filter(({ vehicle }) => selects(vehicle)), Object.assign({ groupBy, minCount: parseInt(req.query.minCount, 10) || 1 }, options));
+    res.json({ currency: options.currency || ANALYTICS_DEFAULTS.currency, groupBy, groups });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// GET /analytics/depreciation Endpoint
+// Depreciation model for ?make=&model= (or a make, or the whole market)
+app.get('/analytics/depreciation', requireScope('download'), (req, res) => {
+  if (!database) {
+    return res.status(503).json({ error: 'Listings database is not available.' });
+  }
+
+  try {
+    const { entries, options } = analyticsInput(req.query);
+    const model = createMarket(entries, options).depreciation({ make: req.query.make, model: req.query.model });
+    if (!model) {
+      return res.status(404).json({ error: 'Not enough listings with a year and mileage to fit a depreciation model.' });
+    }
+    res.json(model);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// GET /analytics/deals Endpoint
+// Stored listings priced at least threshold (default 0.15) below their market estimate,
+// best deals first; limit caps the list (default 50)
+app.get('/analytics/deals', requireScope('download'), (req, res) => {
+  if (!database) {
+    return res.status(503).json({ error: 'Listings database is not available.' });
+  }
+
+  try {
+    const { entries, options, selects } = analyticsInput(req.query);
+    const deals = createMarket(entries, options).deals().filter(({ vehicle }) => selects(vehicle));
+    const limit = Math.max(1, parseInt(req.query.limit, 10) || 50);
+    res.json({ total: deals.length, deals: deals.slice(0, limit) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// POST /analytics/score Endpoint
+// Body: { vehicles: [ { make, model, year, price, mileageKm, fuel, ... } | { url } ] } plus the
+// query options above. A { url } entry is looked up among the stored vehicle records.
+// Returns one score per vehicle: { estimate, deviation, underpriced, market }
+app.post('/analytics/score', requireScope('download'), (req, res) => {
+  if (!database) {
+    return res.status(503).json({ error: 'Listings database is not available.' });
+  }
+
+  const vehicles = req.body.vehicles;
+  if (!Array.isArray(vehicles) || vehicles.length === 0) {
+    return res.status(400).json({ error: 'vehicles must be a non-empty array.' });
+  }
+
+  try {
+    const { entries, options } = analyticsInput(req.query);
+    const market = createMarket(entries, options);
+    const byUrl = new Map(entries.filter(({ vehicle }) => vehicle.url).map(({ vehicle }) => [vehicle.url, vehicle]));
+
+    res.json({
+      currency: market.currency,
+      marketSize: market.size,
+      scores: vehicles.map(input => {
+        const stored = !(input && input.make);
+        const vehicle = stored ? byUrl.get(input && input.url) : input;
+        if (!vehicle) {
+          return { url: (input && input.url) || null, error: 'Vehicle not found.' };
         }
-      });
+        return Object.assign({ url: vehicle.url || null, vehicle }, market.score(vehicle, { stored }));
+      })
     });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
 
-    res.json(filesList);
+// Recurring scrapes (storage/schedules.json)
+const scheduler = createScheduler({
+  file: SCHEDULES_PATH,
+  loadTemplates: getDomainTemplates,
+  startJob: startScrapeJob,
+  isJobActive: (jobId) => {
+    const job = jobs.get(jobId);
+    return Boolean(job && jobs.isActive(job));
+  }
+});
+
+// POST /schedules Endpoint
+// Body: { url, cron, template?, paginationLimit?, name? }; templates come from the saved domain config
+app.post('/schedules', requireScope('scrape'), (req, res) => {
+  const { url, cron, template, paginationLimit, name } = req.body;
+  if (!url || !cron) {
+    return res.status(400).json({ error: 'URL and cron are required.' });
+  }
+
+  let domain;
+  try {
+    domain = normalizeDomain(new URL(url).hostname);
   } catch (error) {
-    console.error('Files Retrieval Error:', error);
-    res.status(500).json({ error: 'Failed to retrieve files.' });
+    return res.status(400).json({ error: 'Invalid URL.' });
+  }
+
+  const invalidCron = cronError(cron);
+  if (invalidCron) {
+    return res.status(400).json({ error: invalidCron });
+  }
+
+  const templates = getDomainTemplates(domain);
+  if (!templates) {
+    return res.status(404).json({ error: `No templates saved for ${domain}.` });
+  }
+  if (template && !templates[template]) {
+    return res.status(404).json({ error: `Template "${template}" is not saved for ${domain}.` });
+  }
+  if (paginationLimit !== undefined && !(Number.isInteger(paginationLimit) && paginationLimit > 0)) {
+    return res.status(400).json({ error: 'paginationLimit must be a positive integer.' });
+  }
+
+  const invalid = validateTemplates(template ? { [template]: templates[template] } : templates);
+  if (invalid) {
+    return res.status(400).json(invalid);
+  }
+
+  const schedule = scheduler.create({ name, url, domain, cron, template, paginationLimit });
+  audit.record(req, 'schedule.create', { scheduleId: schedule.id, url, cron, template: template || null });
+  res.status(201).json(schedule);
+});
+
+// GET /schedules Endpoint
+app.get('/schedules', requireScope('scrape'), (req, res) => {
+  res.json({ schedules: scheduler.list() });
+});
+
+// POST /schedules/:id/pause Endpoint
+app.post('/schedules/:id/pause', requireScope('scrape'), (req, res) => {
+  const schedule = scheduler.pause(req.params.id);
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found.' });
+  }
+  audit.record(req, 'schedule.pause', { scheduleId: schedule.id });
+  res.json(schedule);
+});
+
+// POST /schedules/:id/resume Endpoint
+app.post('/schedules/:id/resume', requireScope('scrape'), (req, res) => {
+  const schedule = scheduler.resume(req.params.id);
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found.' });
+  }
+  audit.record(req, 'schedule.resume', { scheduleId: schedule.id });
+  res.json(schedule);
+});
+
+// DELETE /schedules/:id Endpoint (a run in progress is not cancelled)
+app.delete('/schedules/:id', requireScope('scrape'), (req, res) => {
+  const schedule = scheduler.remove(req.params.id);
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found.' });
+  }
+  audit.record(req, 'schedule.delete', { scheduleId: schedule.id });
+  res.json({ message: 'Schedule deleted.', schedule });
+});
+
+// POST /searches Endpoint
+// Body: { domain, template?, conditions, webhookUrl, events?, name? }
+app.post('/searches', requireScope('configs:write'), (req, res) => {
+  const { name, domain, template, conditions, webhookUrl, events } = req.body;
+  const errors = validateSearch({ domain, webhookUrl, conditions, events });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid saved search.', details: errors });
+  }
+  const search = searches.create({
+    name,
+    domain: normalizeDomain(domain),
+    template,
+    conditions,
+    webhookUrl,
+    events
+  });
+  audit.record(req, 'search.create', { searchId: search.id, domain: search.domain, webhookUrl });
+  res.status(201).json(search);
+});
+
+// GET /searches Endpoint
+app.get('/searches', requireScope('configs:read'), (req, res) => {
+  res.json({ searches: searches.list() });
+});
+
+// DELETE /searches/:id Endpoint
+app.delete('/searches/:id', requireScope('configs:write'), (req, res) => {
+  const search = searches.remove(req.params.id);
+  if (!search) {
+    return res.status(404).json({ error: 'Saved search not found.' });
+  }
+  audit.record(req, 'search.delete', { searchId: search.id });
+  res.json({ message: 'Saved search deleted.', search });
+});
+
+// GET /searches/:id/deliveries Endpoint (webhook delivery log, newest first)
+app.get('/searches/:id/deliveries', requireScope('configs:read'), (req, res) => {
+  if (!searches.get(req.params.id)) {
+    return res.status(404).json({ error: 'Saved search not found.' });
+  }
+  res.json({ deliveries: webhooks.readLog({ searchId: req.params.id, limit: parseInt(req.query.limit, 10) || 100 }) });
+});
+
+// GET /changes Endpoint
+// Change sets (new, updated, disappeared listings) of a template; the latest run unless ?run= is given
+app.get('/changes', requireScope('download'), (req, res) => {
+  const { domain, template, run } = req.query;
+
+  if (!domain || !template) {
+    return res.status(400).json({ error: 'Domain and template parameters are required.' });
+  }
+
+  let templateDir;
+  try {
+    templateDir = storage.templateDir(normalizeDomain(domain), template);
+  } catch (error) {
+    return sendStorageError(res, error);
+  }
+  const files = listChangeSets(templateDir);
+  const file = run ? `changes_${run}.json` : files[0];
+
+  if (!file || !files.includes(file)) {
+    return res.status(404).json({ error: 'No change set found.' });
   }
+
+  res.json({
+    runs: files.map(name => parseInt(name.slice(8), 10)),
+    changes: fs.readJSONSync(path.join(templateDir, file))
+  });
 });
 
 // GET /download Endpoint
-app.get('/download', (req, res) => {
-  const { domain, template, file } = req.query;
+// ?domain&template&file              - the run's CSV file as it was saved
+// ?domain&template&file&format=      - one run as json, ndjson, csv (RFC 4180 with BOM) or xlsx
+// ?domain&template&merge=true        - all runs of the template in one export (format defaults to csv),
+//                                      optionally &from=&to= (ISO dates, by run time) and &dedupe=true
+app.get('/download', requireScope('download'), async (req, res) => {
+  const { domain, template, file, format, merge, from, to, dedupe } = req.query;
+  const merging = merge === 'true';
 
-  if (!domain || !file) {
-    return res.status(400).send('Domain and file parameters are required.');
+  if (!domain || (!file && !merging)) {
+    return res.status(400).send('Domain and file parameters are required (or merge=true).');
   }
 
   const normalizedDomain = normalizeDomain(domain);
-  let filePath;
 
-  if (template && template !== '_no_template_') {
-    // File is under a template directory
-    filePath = path.join(STORAGE_DIR, normalizedDomain, template, file);
-  } else {
-    // File is directly under the domain directory
-    filePath = path.join(STORAGE_DIR, normalizedDomain, file);
+  // Without a template (or with _no_template_) the file is directly under the domain directory
+  let filePath = null;
+  try {
+    storage.templateDir(normalizedDomain, template);
+    if (file) filePath = storage.filePath(normalizedDomain, template, file);
+  } catch (error) {
+    return sendStorageError(res, error);
   }
 
-  if (fs.existsSync(filePath)) {
-    res.download(filePath);
-  } else {
-    res.status(404).send('File not found.');
+  if (!merging && !format) {
+    if (fs.existsSync(filePath)) {
+      audit.record(req, 'download', { domain: normalizedDomain, template: template || null, file });
+      return res.download(filePath);
+    }
+    return res.status(404).send('File not found.');
+  }
+
+  const exportFormat = format || 'csv';
+  if (!EXPORT_FORMATS[exportFormat]) {
+    return res.status(400).json({ error: `Unknown format "${exportFormat}". Expected one of: ${Object.keys(EXPORT_FORMATS).join(', ')}.` });
+  }
+
+  const range = {};
+  for (let [name, value] of [['from', from], ['to', to]]) {
+    if (!value) continue;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      return res.status(400).json({ error: `Invalid ${name} date.` });
+    }
+    range[name] = date;
+  }
+  // A date without a time includes the whole "to" day
+  if (range.to && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+    range.to = new Date(range.to.getTime() + 24 * 60 * 60 * 1000 - 1);
+  }
+
+  try {
+    const templates = getDomainTemplates(normalizedDomain) || {};
+    let rows;
+    let name;
+    if (merging) {
+      const merged = mergeRuns(STORAGE_DIR, normalizedDomain, template, Object.assign({
+        dedupe: dedupe === 'true',
+        templateConfig: templates[template]
+      }, range));
+      if (merged.runs.length === 0) {
+        return res.status(404).json({ error: 'No runs found for this template and date range.' });
+      }
+      rows = merged.rows;
+      name = `${normalizedDomain}_${template || NO_TEMPLATE}_merged`;
+    } else {
+      const run = listRuns(STORAGE_DIR, normalizedDomain, template).find(entry => entry.file === file);
+      if (!run) {
+        return res.status(404).send('File not found.');
+      }
+      rows = readRows(run.path);
+      name = path.basename(file, '.csv');
+    }
+
+    const { body, contentType, extension } = await serializeExport(rows, exportFormat, {
+      sheetName: template || normalizedDomain,
+      template: template ? templates[template] : undefined
+    });
+    audit.record(req, 'download', {
+      domain: normalizedDomain,
+      template: template || null,
+      file: merging ? null : file,
+      format: exportFormat,
+      merge: merging,
+      rows: rows.length
+    });
+    res.set('Content-Type', contentType);
+    res.attachment(`${name}.${extension}`);
+    res.send(body);
+  } catch (error) {
+    console.error('Export Error:', error);
+    res.status(500).json({ error: 'Failed to export data.' });
   }
 });
 
+// DELETE /storage/:domain Endpoint (every run of the domain)
+app.delete('/storage/:domain', requireScope('storage'), (req, res) => {
+  const domain = normalizeDomain(req.params.domain);
+  try {
+    const { runs } = storage.deleteDomain(domain);
+    audit.record(req, 'storage.delete', { domain, template: null, file: null, runs });
+    res.json({ message: `Deleted ${runs} run(s) of ${domain}.`, runs });
+  } catch (error) {
+    sendStorageError(res, error);
+  }
+});
+
+// DELETE /storage/:domain/:template Endpoint (every run of the template; _no_template_ for
+// the runs saved directly under the domain)
+app.delete('/storage/:domain/:template', requireScope('storage'), (req, res) => {
+  const domain = normalizeDomain(req.params.domain);
+  const { template } = req.params;
+  try {
+    const { runs } = storage.deleteTemplate(domain, template);
+    audit.record(req, 'storage.delete', { domain, template, file: null, runs });
+    res.json({ message: `Deleted ${runs} run(s) of ${domain} / ${template}.`, runs });
+  } catch (error) {
+    sendStorageError(res, error);
+  }
+});
+
+// DELETE /storage/:domain/:template/:file Endpoint (one file; a run's CSV also removes its change set)
+app.delete('/storage/:domain/:template/:file', requireScope('storage'), (req, res) => {
+  const domain = normalizeDomain(req.params.domain);
+  const { template, file } = req.params;
+  try {
+    const deleted = storage.deleteFile(domain, template, file);
+    audit.record(req, 'storage.delete', { domain, template, file, deleted });
+    res.json({ message: `Deleted ${deleted.join(', ')}.`, deleted });
+  } catch (error) {
+    sendStorageError(res, error);
+  }
+});
+
+// GET /retention Endpoint (retention policies per domain)
+app.get('/retention', requireScope('storage'), (req, res) => {
+  res.json({ domains: storage.retention() });
+});
+
+// POST /retention/:domain Endpoint
+// Body: { keepRuns?, maxAgeDays? }; applied per template after each scrape of the domain and hourly
+app.post('/retention/:domain', requireScope('storage'), (req, res) => {
+  const domain = normalizeDomain(req.params.domain);
+  const errors = validateRetention(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid retention policy.', details: errors });
+  }
+  try {
+    const policy = storage.setRetention(domain, req.body);
+    audit.record(req, 'storage.retentionSave', { domain, policy });
+    res.json({ domain, policy });
+  } catch (error) {
+    sendStorageError(res, error);
+  }
+});
+
+// DELETE /retention/:domain Endpoint (keeps every run again)
+app.delete('/retention/:domain', requireScope('storage'), (req, res) => {
+  const domain = normalizeDomain(req.params.domain);
+  if (!storage.removeRetention(domain)) {
+    return res.status(404).json({ error: `No retention policy saved for ${domain}.` });
+  }
+  audit.record(req, 'storage.retentionReset', { domain });
+  res.json({ message: `Retention policy for ${domain} removed.` });
+});
+
+// POST /retention/:domain/apply?dryRun=true Endpoint
+// Applies the domain's policy now; with dryRun only lists the runs it would delete
+app.post('/retention/:domain/apply', requireScope('storage'), (req, res) => {
+  const domain = normalizeDomain(req.params.domain);
+  const dryRun = req.query.dryRun === 'true';
+  if (!storage.retention()[domain]) {
+    return res.status(404).json({ error: `No retention policy saved for ${domain}.` });
+  }
+  try {
+    const runs = storage.applyRetention(domain, { dryRun });
+    if (!dryRun && runs.length > 0) {
+      audit.record(req, 'storage.retention', { domain, runs });
+    }
+    res.json({ domain, dryRun, runs });
+  } catch (error) {
+    sendStorageError(res, error);
+  }
+});
+
+// POST /admin/keys Endpoint
+// Body: { name, scopes, rateLimit?: { windowMs, max }, origins? }; the key is only shown in this response
+app.post('/admin/keys', requireScope('admin'), (req, res) => {
+  const { name, scopes, rateLimit: keyLimit, origins } = req.body;
+  const errors = validateKey({ name, scopes, rateLimit: keyLimit, origins });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid API key.', details: errors });
+  }
+  const created = apiKeys.create({ name, scopes, rateLimit: keyLimit, origins });
+  audit.record(req, 'key.create', { keyId: created.id, name, scopes, origins: created.origins });
+  res.status(201).json(created);
+});
+
+// GET /admin/keys Endpoint (without the keys themselves)
+app.get('/admin/keys', requireScope('admin'), (req, res) => {
+  res.json({ keys: apiKeys.list() });
+});
+
+// DELETE /admin/keys/:id Endpoint (revokes the key; it stays listed with revokedAt)
+app.delete('/admin/keys/:id', requireScope('admin'), (req, res) => {
+  const key = apiKeys.revoke(req.params.id);
+  if (!key) {
+    return res.status(404).json({ error: 'API key not found.' });
+  }
+  audit.record(req, 'key.revoke', { keyId: key.id, name: key.name });
+  res.json({ message: `API key "${key.name}" revoked.`, key });
+});
+
+// GET /admin/audit?action=&keyId=&limit= Endpoint (newest first; action may be a prefix such as "config.")
+app.get('/admin/audit', requireScope('admin'), (req, res) => {
+  const { action, keyId } = req.query;
+  res.json({ entries: audit.read({ action, keyId, limit: parseInt(req.query.limit, 10) || 100 }) });
+});
+
 // Root Endpoint (Optional: For testing server status)
 app.get('/', (req, res) => {
   res.send(`Server is running on http://localhost:${PORT}`);
@@ -414,4 +1080,9 @@ app.get('/', (req, res) => {
 // Start Server
 app.listen(PORT, () => {
   console.log(`Server is running on http://localhost:${PORT}`);
+  if (!apiKeys.list().some(key => !key.revokedAt)) {
+    console.warn('No API key is configured, so every request will be refused. Set API_KEY in .env or create a key with: node cli.js keys create --name <name> --scope admin');
+  }
+  scheduler.start();
+  setInterval(applyRetention, RETENTION_INTERVAL);
 });
@@ -0,0 +1,260 @@
+// test/replay.js
+//
+// Offline template regression tests. Every stored domain config is replayed against its
+// fixture (test/fixtures/<domain>/, see lib/fixtures.js) and every built-in template set
+// (templates/<name>.json) against test/fixtures/builtins/<name>/: each template is run on
+// the page snapshots through a local static server and its rows are compared with the
+// expected rows. The autogidas.lt built-in fixture also checks the root scraper's
+// scrapeCarData.
+//
+// A missing fixture or missing expected rows fail, unless listed in
+// test/fixtures/pending.json ({ "<domain>" or "<domain>/<template>": "<reason>", with
+// "builtins/<name>" for built-ins }), which reports them as PENDING. A synthetic
+// (hand-written) fixture is replayed only while its real recording is listed there; its
+// outcomes say so.
+//
+// Usage: node test/replay.js [--update] [--static] [--verbose] [domain or builtins/<name> ...]
+//   --update   rewrite the expected rows from this replay (after an intended change)
+//   --static   replay browser templates on the static engine, against the rendered
+//              snapshots (for machines without Chrome); both engines match selectors the
+//              same way, but scroll and click pagination cannot be replayed like this
+//   --verbose  show the scraper's own logging
+// By default every template is replayed on its own engine, browser templates in headless Chrome.
+//
+// Exits with 1 when any template's rows differ from the expected rows, its replay fails or
+// its fixture or expected rows are missing without being pending, or its fixture is synthetic
+// without a pending recording.
+
+const fs = require('fs-extra');
+const path = require('path');
+const puppeteer = require('puppeteer');
+
+const { FIXTURES_DIR } = require('../lib/paths');
+const { readConfigs, migrateLegacySelectors, diffObjects } = require('../lib/configs');
+const { normalizeDomain, randomUserAgent, collectTemplate } = require('../lib/scraper');
+const { listBuiltins, readBuiltin } = require('../lib/templateFiles');
+const { openSession } = require('../lib/engines');
+const { paginationStrategy } = require('../lib/pagination');
+const { createBrowserPool } = require('../lib/browserPool');
+const {
+  readFixture,
+  readExpected,
+  writeExpected,
+  startFixtureServer,
+  replaySession,
+  localPath
+} = require('../lib/fixtures');
+const { BASE_URL: CAR_DATA_URL, scrapeCarData } = require('../../scraper');
+
+const BROWSER_STRATEGIES = ['scroll', 'click'];
+const MAX_REPORTED_CHANGES = 10;
+const CAR_DATA = 'scrapeCarData';
+const BUILTINS = 'builtins';
+const PENDING_PATH = path.join(FIXTURES_DIR, 'pending.json');
+
+const args = process.argv.slice(2);
+const options = {
+  update: args.includes('--update'),
+  static: args.includes('--static'),
+  verbose: args.includes('--verbose'),
+  domains: args.filter(arg => !arg.startsWith('--'))
+};
+
+// The scraper's progress logging is only shown with --verbose; errors always are
+const logger = options.verbose ? console : { log: () => {}, warn: () => {}, error: (...args) => console.error(...args) };
+
+// Rows as plain JSON, with links into the fixture server pointed back at the original site
+function normalizeRows(rows, origin, siteOrigin) {
+  const text = JSON.stringify(rows).split(origin).join(siteOrigin);
+  return JSON.parse(text);
+}
+
+// Differences between expected and actual rows: [{ path, change, from, to }]
+function compareRows(expected, actual) {
+  const changes = [];
+  if (expected.length !== actual.length) {
+    changes.push({ path: 'rows.length', change: 'changed', from: expected.length, to: actual.length });
+  }
+  for (let index = 0; index < Math.min(expected.length, actual.length); index++) {
+    changes.push(...diffObjects(expected[index], actual[index], `rows[${index}]`));
+  }
+  return changes;
+}
+
+function describeChange({ path: changePath, change, from, to }) {
+  const show = (value) => JSON.stringify(value);
+  if (change === 'added') return `${changePath}: added ${show(to)}`;
+  if (change === 'removed') return `${changePath}: removed (was ${show(from)})`;
+  return `${changePath}: expected ${show(from)}, got ${show(to)}`;
+}
+
+// Fixtures and expected rows known to be missing: { <label>: <reason> }
+function readPending() {
+  return fs.existsSync(PENDING_PATH) ? fs.readJSONSync(PENDING_PATH) : {};
+}
+
+// Outcome of something that was not recorded: PENDING when listed in pending.json
+// (under its own label or its fixture's), FAIL otherwise
+function missing(labels, detail) {
+  const pending = readPending();
+  const label = labels.find(candidate => pending[candidate]);
+  if (label) return { status: 'PENDING', detail: `${detail} (pending: ${pending[label]})` };
+  return { status: 'FAIL', detail: `${detail} (record it, or list it in test/fixtures/pending.json)` };
+}
+
+// Compare (or, with --update, store) one set of rows; returns the outcome.
+// Rows are compared as stored, so undefined values count as missing.
+function check(fixture, name, rows) {
+  rows = JSON.parse(JSON.stringify(rows));
+  const expected = readExpected(fixture.dir, name);
+  if (options.update) {
+    writeExpected(fixture.dir, name, rows);
+    return { status: 'UPDATED', detail: `${rows.length} rows` };
+  }
+  if (!expected) {
+    return missing([`${fixture.label}/${name}`, fixture.label], 'no expected rows recorded (run with --update to store them)');
+  }
+  const changes = compareRows(expected, rows);
+  if (changes.length === 0) {
+    return { status: 'PASS', detail: `${rows.length} rows` };
+  }
+  const shown = changes.slice(0, MAX_REPORTED_CHANGES).map(describeChange);
+  if (changes.length > shown.length) shown.push(`... and ${changes.length - shown.length} more`);
+  return { status: 'FAIL', detail: `${changes.length} difference(s)`, changes: shown };
+}
+
+async function replayTemplate(fixture, server, name, template, pool) {
+  if (options.static && BROWSER_STRATEGIES.includes(paginationStrategy(template))) {
+    return { status: 'SKIP', detail: `"${paginationStrategy(template)}" pagination cannot be replayed with --static` };
+  }
+
+  const userAgent = randomUserAgent();
+  const { rows, failure, failedUrl } = await collectTemplate(name, template, {
+    url: fixture.manifest.url,
+    openSession: async (engine, { detail = false } = {}) => replaySession(
+      await openSession(options.static ? 'static' : engine, { pool, userAgent, detail }),
+      server.origin
+    ),
+    logger
+  });
+
+  // Rows of a replay that stopped early never become the expected rows
+  if (failure && options.update) {
+    return { status: 'FAIL', detail: `not updated, replay stopped at ${failedUrl}: ${failure.message}` };
+  }
+  const outcome = check(fixture, name, normalizeRows(rows, server.origin, new URL(fixture.manifest.url).origin));
+  if (failure && outcome.status !== 'PASS') {
+    outcome.detail += `; replay stopped at ${failedUrl}: ${failure.message}`;
+  }
+  return outcome;
+}
+
+// The root scraper (scraper.js) against the listing pages of its site's fixture, loaded
+// with the static engine
+async function replayCarData(fixture, server) {
+  const urls = [];
+  Object.values(fixture.manifest.templates).forEach(({ pages }) => {
+    pages.forEach(url => {
+      if (!urls.includes(url)) urls.push(url);
+    });
+  });
+
+  const session = await openSession('static', { userAgent: randomUserAgent() });
+  let rows = [];
+  try {
+    for (let url of urls) {
+      const { body } = await session.load(`${server.origin}${localPath(url)}`);
+      rows = rows.concat(scrapeCarData(body, logger));
+    }
+  } finally {
+    await session.close();
+  }
+  return check(fixture, CAR_DATA, rows);
+}
+
+function report(label, name, { status, detail, changes = [] }) {
+  console.log(`${status.padEnd(7)} ${label} / ${name} - ${detail}`);
+  changes.forEach(change => console.log(`          ${change}`));
+}
+
+// Template sets to replay: [{ label, dir, templates }], the stored configs first
+function templateSets() {
+  const configs = readConfigs() || {};
+  const sets = Object.keys(configs).map(domain => ({
+    label: domain,
+    dir: path.join(FIXTURES_DIR, domain),
+    templates: configs[domain].templates || migrateLegacySelectors(configs[domain].selectors || {})
+  }));
+  listBuiltins().forEach(name => {
+    sets.push({
+      label: `${BUILTINS}/${name}`,
+      dir: path.join(FIXTURES_DIR, BUILTINS, name),
+      templates: readBuiltin(name).templates
+    });
+  });
+  return sets.filter(({ label }) => options.domains.length === 0 || options.domains.includes(label));
+}
+
+async function main() {
+  const carDataLabel = `${BUILTINS}/${normalizeDomain(new URL(CAR_DATA_URL).hostname)}`;
+  // Chrome is only launched when a browser template is replayed
+  const pool = options.static ? null : createBrowserPool({ launch: () => puppeteer.launch({ headless: true }), logger });
+  const totals = { PASS: 0, FAIL: 0, PENDING: 0, SKIP: 0, UPDATED: 0 };
+  const tally = (label, name, outcome) => {
+    totals[outcome.status]++;
+    report(label, name, outcome);
+  };
+
+  try {
+    for (let { label, dir, templates } of templateSets()) {
+      const fixture = readFixture(dir);
+      if (!fixture) {
+        tally(label, '*', missing([label], `no fixture in ${path.relative(process.cwd(), dir)}`));
+        continue;
+      }
+      fixture.label = label;
+      const recording = readPending()[label];
+      if (fixture.manifest.synthetic && !recording) {
+        tally(label, '*', { status: 'FAIL', detail: 'synthetic fixture (record it, or list it in test/fixtures/pending.json)' });
+        continue;
+      }
+      const note = fixture.manifest.synthetic ? `synthetic fixture; real recording pending: ${recording}` : null;
+
+      const server = await startFixtureServer(fixture);
+      try {
+        for (let name in templates) {
+          let outcome;
+          try {
+            outcome = await replayTemplate(fixture, server, name, templates[name], pool);
+          } catch (error) {
+            outcome = { status: 'FAIL', detail: `replay failed: ${error.message}` };
+          }
+          if (note) outcome.detail += ` (${note})`;
+          tally(label, name, outcome);
+        }
+        if (label === carDataLabel) {
+          let outcome;
+          try {
+            outcome = await replayCarData(fixture, server);
+          } catch (error) {
+            outcome = { status: 'FAIL', detail: `replay failed: ${error.message}` };
+          }
+          if (note) outcome.detail += ` (${note})`;
+          tally(label, CAR_DATA, outcome);
+        }
+      } finally {
+        await server.close();
+      }
+    }
+  } finally {
+    if (pool) await pool.close();
+  }
+
+  console.log(`\n${totals.PASS} passed, ${totals.FAIL} failed, ${totals.PENDING} pending, ${totals.SKIP} skipped${options.update ? `, ${totals.UPDATED} updated` : ''}`);
+  process.exitCode = totals.FAIL > 0 ? 1 : 0;
+}
+
+main().catch((error) => {
+  console.error('Replay failed:', error);
+  process.exitCode = 1;
+});
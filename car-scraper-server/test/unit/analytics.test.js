@@ -0,0 +1,50 @@
+// test/unit/analytics.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { yearBand, mileageBand, groupStats, createMarket } = require('../../lib/analytics');
+
+function entry(price, overrides = {}) {
+  return {
+    vehicle: Object.assign({ make: 'Audi', model: 'A4', year: 2014, fuel: 'diesel', mileageKm: 180000, price, currency: 'EUR' }, overrides)
+  };
+}
+
+const PEERS = [10000, 11000, 12000, 13000, 14000, 15000].map(price => entry(price));
+
+test('year and mileage bands', () => {
+  assert.strictEqual(yearBand(2014, 3), '2013-2015');
+  assert.strictEqual(yearBand(2012, 3), '2010-2012');
+  assert.strictEqual(yearBand(2014, 1), '2014');
+  assert.strictEqual(yearBand(null, 3), null);
+  assert.strictEqual(mileageBand(123456, 50000), '100k-150k');
+  assert.strictEqual(mileageBand(0, 50000), '0k-50k');
+});
+
+test('group statistics leave out other currencies', () => {
+  const [stats] = groupStats(PEERS.concat(entry(500000, { currency: 'PLN' })), { groupBy: ['make', 'model'] });
+  assert.deepStrictEqual(stats.group, { make: 'Audi', model: 'A4' });
+  assert.strictEqual(stats.count, 6);
+  assert.strictEqual(stats.median, 12500);
+});
+
+test('a stored listing is left out of its own peer group', () => {
+  const market = createMarket(PEERS);
+  assert.strictEqual(market.estimate(PEERS[0].vehicle).estimate, 12500);
+  // Without 10 000: 11 000 ... 15 000
+  assert.strictEqual(market.estimate(PEERS[0].vehicle, { stored: true }).estimate, 13000);
+  // A price that is not among the peers leaves the group as it is
+  assert.strictEqual(market.estimate(entry(99999).vehicle, { stored: true }).estimate, 12500);
+});
+
+test('prices in another currency are not scored', () => {
+  const market = createMarket(PEERS);
+  const scored = market.score(entry(5000, { currency: 'PLN' }).vehicle, { stored: true });
+  assert.deepStrictEqual(scored, { estimate: null, deviation: null, underpriced: false, market: null });
+
+  const deal = market.score(entry(9000).vehicle);
+  assert.strictEqual(deal.estimate, 12500);
+  assert.strictEqual(deal.deviation, -0.28);
+  assert.strictEqual(deal.underpriced, true);
+});
@@ -0,0 +1,135 @@
+// test/unit/apiKeys.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const fs = require('fs-extra');
+const path = require('path');
+
+const { validateKey, createKeyStore, authenticateRequests, requireScope, createKeyRateLimit } = require('../../lib/apiKeys');
+const { createAuditLog } = require('../../lib/audit');
+const { tempDir } = require('./helpers');
+
+const EXTENSION = 'chrome-extension://abcdef';
+
+// App with the server's key middleware: /configs needs configs:read, /scrape is also rate limited
+async function startApp(t, keyStore) {
+  const app = express();
+  app.use(authenticateRequests(keyStore));
+  app.get('/', (req, res) => res.send('ok'));
+  app.get('/configs', requireScope('configs:read'), (req, res) => res.json({ key: req.apiKey.name }));
+  app.post('/scrape', requireScope('scrape'), createKeyRateLimit(), (req, res) => res.json({ queued: true }));
+  app.get('/download', requireScope('download'), (req, res) => res.json({ ok: true }));
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  t.after(() => server.close());
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  return async (method, url, headers = {}) => {
+    const response = await fetch(`${origin}${url}`, { method, headers });
+    const type = response.headers.get('content-type') || '';
+    return { status: response.status, body: type.includes('json') ? await response.json() : await response.text() };
+  };
+}
+
+test('new keys are validated', () => {
+  assert.deepStrictEqual(validateKey({ name: 'crm', scopes: ['download'] }), []);
+  assert.deepStrictEqual(validateKey({ scopes: ['download', 'root'], rateLimit: { windowMs: 0, max: 5 }, origins: ['https://a.lt/path'] }), [
+    'name is required.',
+    'Unknown scope "root". Expected one of: configs:read, configs:write, scrape, download, storage, admin.',
+    'rateLimit must be { windowMs, max } with positive integers.',
+    'origins[0] must be an origin such as "https://example.com" or "chrome-extension://<id>".'
+  ]);
+});
+
+test('only a hash of each key is stored, revoked keys stop working', (t) => {
+  const file = path.join(tempDir(t), 'api-keys.json');
+  const keys = createKeyStore(file, { envKey: { token: 'env-secret', origins: [EXTENSION] } });
+  const created = keys.create({ name: 'crm', scopes: ['download'], origins: ['https://crm.example'] });
+
+  assert.match(created.key, /^csk_/);
+  assert.ok(!fs.readFileSync(file, 'utf8').includes(created.key));
+  assert.strictEqual(keys.authenticate(created.key).name, 'crm');
+  assert.strictEqual(keys.authenticate('env-secret').builtIn, true);
+  assert.strictEqual(keys.authenticate('csk_wrong'), null);
+  assert.deepStrictEqual(keys.allowedOrigins(), [EXTENSION, 'https://crm.example']);
+
+  // A new store reads the saved keys
+  const reloaded = createKeyStore(file);
+  assert.strictEqual(reloaded.authenticate(created.key).id, created.id);
+  assert.ok(reloaded.revoke(created.id).revokedAt);
+  assert.strictEqual(reloaded.authenticate(created.key), null);
+  assert.deepStrictEqual(reloaded.allowedOrigins(), []);
+  assert.strictEqual(reloaded.revoke('missing'), null);
+});
+
+test('keys created by another process are picked up without a restart', (t) => {
+  const file = path.join(tempDir(t), 'api-keys.json');
+  const server = createKeyStore(file);
+  assert.deepStrictEqual(server.list(), []);
+
+  // What cli.js keys create does
+  const admin = createKeyStore(file).create({ name: 'first admin', scopes: ['admin'] });
+  // Keep the change visible on file systems with coarse modification times
+  fs.utimesSync(file, new Date(), new Date(Date.now() + 2000));
+
+  assert.strictEqual(server.authenticate(admin.key).name, 'first admin');
+  const other = server.create({ name: 'reader', scopes: ['configs:read'] });
+  assert.deepStrictEqual(createKeyStore(file).list().map(key => key.id), [admin.id, other.id]);
+});
+
+test('requests need a key with the scope and an allowed origin', async (t) => {
+  const keys = createKeyStore(path.join(tempDir(t), 'api-keys.json'));
+  const reader = keys.create({ name: 'reader', scopes: ['configs:read'], origins: [EXTENSION] });
+  const downloader = keys.create({ name: 'downloader', scopes: ['download'] });
+  const request = await startApp(t, keys);
+
+  assert.deepStrictEqual(await request('GET', '/'), { status: 200, body: 'ok' });
+  assert.deepStrictEqual(await request('GET', '/configs'), { status: 403, body: { error: 'Forbidden: Invalid API Key.' } });
+  assert.deepStrictEqual(await request('GET', '/configs', { 'x-api-key': reader.key }), { status: 200, body: { key: 'reader' } });
+  assert.deepStrictEqual(await request('GET', '/configs', { 'x-api-key': reader.key, origin: EXTENSION }), { status: 200, body: { key: 'reader' } });
+  assert.deepStrictEqual(await request('GET', '/configs', { 'x-api-key': reader.key, origin: 'https://evil.example' }), {
+    status: 403,
+    body: { error: 'Forbidden: origin https://evil.example is not allowed for this API key.' }
+  });
+  assert.deepStrictEqual(await request('POST', '/scrape', { 'x-api-key': reader.key }), {
+    status: 403,
+    body: { error: 'Forbidden: this API key lacks the "scrape" scope.' }
+  });
+
+  // ?key= is only accepted on /download
+  assert.strictEqual((await request('GET', `/download?key=${downloader.key}`)).status, 200);
+  assert.strictEqual((await request('GET', `/configs?key=${reader.key}`)).status, 403);
+});
+
+test('scrape requests are rate limited per key', async (t) => {
+  const keys = createKeyStore(path.join(tempDir(t), 'api-keys.json'));
+  const limited = keys.create({ name: 'limited', scopes: ['scrape'], rateLimit: { windowMs: 60 * 1000, max: 2 } });
+  const other = keys.create({ name: 'other', scopes: ['scrape'] });
+  const request = await startApp(t, keys);
+
+  assert.strictEqual((await request('POST', '/scrape', { 'x-api-key': limited.key })).status, 200);
+  assert.strictEqual((await request('POST', '/scrape', { 'x-api-key': limited.key })).status, 200);
+  assert.deepStrictEqual(await request('POST', '/scrape', { 'x-api-key': limited.key }), {
+    status: 429,
+    body: { error: 'Too many scraping requests for this API key, please try again later.' }
+  });
+  // Each key has its own window
+  assert.strictEqual((await request('POST', '/scrape', { 'x-api-key': other.key })).status, 200);
+});
+
+test('audit entries name the key and are read newest first', (t) => {
+  const audit = createAuditLog(path.join(tempDir(t), 'audit.log'));
+  const req = { apiKey: { id: 'k1', name: 'crm', scopes: [] }, ip: '127.0.0.1', method: 'POST', path: '/addConfig' };
+  audit.record(req, 'config.save', { domain: 'cars.lt' });
+  audit.record(Object.assign({}, req, { apiKey: { id: 'k2', name: 'ops' } }), 'scrape.start', { domain: 'cars.lt' });
+  audit.record(null, 'storage.retention', { domain: 'cars.lt', runs: [] });
+
+  assert.deepStrictEqual(audit.read().map(({ action }) => action), ['storage.retention', 'scrape.start', 'config.save']);
+  assert.deepStrictEqual(audit.read({ action: 'config.' }).map(({ key, ip, method, path: entryPath, details }) => [key, ip, method, entryPath, details]), [
+    [{ id: 'k1', name: 'crm' }, '127.0.0.1', 'POST', '/addConfig', { domain: 'cars.lt' }]
+  ]);
+  assert.deepStrictEqual(audit.read({ keyId: 'k2' }).map(({ action }) => action), ['scrape.start']);
+  assert.strictEqual(audit.read({ limit: 1 })[0].key, null);
+});
@@ -0,0 +1,146 @@
+// test/unit/browserPool.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createBrowserPool } = require('../../lib/browserPool');
+const { resolveFollowFields } = require('../../lib/follow');
+
+// Puppeteer stand-in: pages that only track whether they were closed
+function fakeLaunch() {
+  return async () => ({
+    isConnected: () => true,
+    on: () => {},
+    version: async () => 'fake',
+    close: async () => {},
+    newPage: async () => {
+      let closed = false;
+      return {
+        setRequestInterception: async () => {},
+        setUserAgent: async () => {},
+        on: () => {},
+        isClosed: () => closed,
+        close: async () => {
+          closed = true;
+        }
+      };
+    }
+  });
+}
+
+test('detail leases get a page while every listing lease is held', async () => {
+  const pool = createBrowserPool({ launch: fakeLaunch(), size: 2, acquireTimeoutMs: 200 });
+  try {
+    const listing = await pool.acquire();
+    // A second template's listing page waits: the last page is kept for detail pages
+    await assert.rejects(pool.acquire({ timeoutMs: 50 }), /Timed out/);
+    const detail = await pool.acquire({ detail: true });
+    assert.strictEqual(pool.stats().activePages, 2);
+    await detail.release();
+    await listing.release();
+    assert.strictEqual(pool.stats().activePages, 0);
+  } finally {
+    await pool.close();
+  }
+});
+
+test('templates with follow fields running side by side all finish', async () => {
+  const pool = createBrowserPool({ launch: fakeLaunch(), size: 2, acquireTimeoutMs: 2000 });
+  // Each template holds its listing page while it loads two detail pages
+  const template = async () => {
+    const listing = await pool.acquire();
+    for (let i = 0; i < 2; i++) {
+      const detail = await pool.acquire({ detail: true });
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await detail.release();
+    }
+    await listing.release();
+    return true;
+  };
+  try {
+    const finished = await Promise.all([template(), template(), template()]);
+    assert.deepStrictEqual(finished, [true, true, true]);
+  } finally {
+    await pool.close();
+  }
+});
+
+test('nested follow fields get detail pages while every page is leased', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  // A listing page plus the two default follow workers lease all three pages
+  const pool = createBrowserPool({ launch: fakeLaunch(), size: 3, acquireTimeoutMs: 500 });
+  const pages = {
+    'https://cars.example/audi': { Seller: '/sellers/1' },
+    'https://cars.example/bmw': { Seller: '/sellers/2' },
+    'https://cars.example/sellers/1': { Phone: '1' },
+    'https://cars.example/sellers/2': { Phone: '2' }
+  };
+  const openSession = async () => {
+    const lease = await pool.acquire({ detail: true });
+    let current = null;
+    return {
+      load: async (url) => {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        current = pages[url];
+      },
+      extract: async () => ({ items: [Object.assign({}, current)] }),
+      close: () => lease.release()
+    };
+  };
+  const template = {
+    fields: {
+      Link: {
+        type: 'follow',
+        selector: 'a',
+        template: { fields: { Seller: { type: 'follow', selector: 'a.seller', template: { fields: { Phone: { type: 'text', selector: '.phone' } } } } } }
+      }
+    }
+  };
+  const errors = [];
+  try {
+    const listing = await pool.acquire();
+    const rows = [{ Link: '/audi' }, { Link: '/bmw' }];
+    await resolveFollowFields(template, rows, { pageUrl: 'https://cars.example/', openSession, onError: (error) => errors.push(error) });
+    await listing.release();
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(rows.map(row => row.Phone), ['1', '2']);
+    assert.strictEqual(pool.stats().activePages, 0);
+  } finally {
+    await pool.close();
+  }
+});
+
+test('a waiting lease gives up when the run is cancelled', async () => {
+  const pool = createBrowserPool({ launch: fakeLaunch(), size: 1 });
+  let cancelled = false;
+  try {
+    const held = await pool.acquire();
+    const waiting = pool.acquire({ isCancelled: () => cancelled });
+    setTimeout(() => {
+      cancelled = true;
+    }, 20);
+    await assert.rejects(waiting, /Cancelled/);
+    assert.strictEqual(pool.stats().waiting, 0);
+    await held.release();
+  } finally {
+    await pool.close();
+  }
+});
+
+test('pages are replaced after maxNavigations', async () => {
+  const pool = createBrowserPool({ launch: fakeLaunch(), size: 1, maxNavigations: 2 });
+  try {
+    const lease = await pool.acquire();
+    const first = await lease.navigate();
+    assert.strictEqual(await lease.navigate(), first);
+    const third = await lease.navigate();
+    assert.notStrictEqual(third, first);
+    assert.ok(first.isClosed());
+    await lease.release();
+    assert.strictEqual(pool.stats().recycledPages, 1);
+  } finally {
+    await pool.close();
+  }
+});
@@ -0,0 +1,156 @@
+// test/unit/cli.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const http = require('http');
+const path = require('path');
+
+const { run } = require('../../cli');
+const { listBuiltins } = require('../../lib/templateFiles');
+const { createKeyStore } = require('../../lib/apiKeys');
+const { tempDir } = require('./helpers');
+
+const PAGES = {
+  '/robots.txt': 'User-agent: *\nDisallow: /private\nCrawl-delay: 0\n',
+  '/cars': `<div class="item"><h2>Audi A4</h2><span class="price">9 500 €</span></div>
+    <div class="item"><h2>BMW 320</h2><span class="price">14 500 €</span></div>
+    <div class="item"><span class="price">Reklama</span></div>
+    <a class="next" href="/cars?page=2">Kitas</a>`,
+  '/cars?page=2': `<div class="item"><h2>Opel Astra</h2><span class="price">4 300 €</span></div>
+    <a class="next" href="/cars?page=3">Kitas</a>`,
+  '/cars?page=3': '<div class="item"><h2>Fiat Punto</h2></div>'
+};
+
+const TEMPLATES = {
+  cars: {
+    engine: 'static',
+    itemSelector: '.item',
+    fields: {
+      Title: { type: 'text', selector: 'h2', required: true },
+      Price: { type: 'text', selector: '.price' }
+    },
+    nextPage: { selector: 'a.next' }
+  }
+};
+
+async function startSite(t) {
+  const server = http.createServer((req, res) => {
+    const page = PAGES[req.url];
+    res.statusCode = page === undefined ? 404 : 200;
+    res.end(page || '');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+// Run the CLI with console output captured: resolves { code, errors, logs }
+async function runCli(t, argv, paths) {
+  const logs = [];
+  const errors = [];
+  t.mock.method(console, 'log', (...args) => logs.push(args.join(' ')));
+  t.mock.method(console, 'error', (...args) => errors.push(args.join(' ')));
+  const code = await run(argv, paths);
+  t.mock.restoreAll();
+  return { code, logs, errors };
+}
+
+test('invalid arguments exit with 2', async (t) => {
+  const cases = [
+    [['--pages', '0', 'https://cars.example/'], '--pages must be a positive integer.'],
+    [['--format', 'xml', 'https://cars.example/'], 'Unknown format "xml". Expected one of: json, ndjson, csv, xlsx.'],
+    [['--engine', 'curl'], 'Unknown engine "curl". Expected one of: browser, static.'],
+    [['--template-file', 'a.json', '--builtin', 'autogidas.lt'], 'Use either --template-file or --builtin.'],
+    [['--output'], '--output needs a value.'],
+    [['--verbose'], 'Unknown option --verbose.'],
+    [['https://a.example/', 'https://b.example/'], 'Unexpected argument "https://b.example/".'],
+    [['--builtin', 'nope'], `Unknown built-in template "nope". Available: ${listBuiltins().join(', ')}.`]
+  ];
+  for (let [argv, message] of cases) {
+    const { code, errors } = await runCli(t, argv);
+    assert.strictEqual(code, 2, argv.join(' '));
+    assert.strictEqual(errors[0], message);
+  }
+});
+
+test('--list names the built-in templates', async (t) => {
+  const { code, logs } = await runCli(t, ['--list']);
+  assert.strictEqual(code, 0);
+  assert.strictEqual(logs[0], `Built-in templates: ${listBuiltins().join(', ')}`);
+  assert.match(logs[1], /^Domains in configs.json: /);
+});
+
+test('a template file is scraped page by page into a file', async (t) => {
+  const origin = await startSite(t);
+  const dir = tempDir(t);
+  const templateFile = path.join(dir, 'cars.json');
+  fs.writeJSONSync(templateFile, { url: `${origin}/cars`, templates: TEMPLATES });
+  const output = path.join(dir, 'cars.json.out');
+
+  const unknown = await runCli(t, ['--template-file', templateFile, '--template', 'vans']);
+  assert.deepStrictEqual([unknown.code, unknown.errors[0]], [2, 'Unknown template "vans". Available: cars.']);
+
+  const { code, logs } = await runCli(t, ['--template-file', templateFile, '--pages', '2', '--format', 'json', '--output', output]);
+  assert.strictEqual(code, 0);
+  // The item without a title is skipped; --pages 2 stops before page 3
+  assert.deepStrictEqual(fs.readJSONSync(output), [
+    { Title: 'Audi A4', Price: '9 500 €' },
+    { Title: 'BMW 320', Price: '14 500 €' },
+    { Title: 'Opel Astra', Price: '4 300 €' }
+  ]);
+  assert.ok(logs.includes(`Saved 3 row(s) of template "cars" to ${output}`));
+});
+
+test('a page disallowed by robots.txt fails the run with 1', async (t) => {
+  const origin = await startSite(t);
+  const dir = tempDir(t);
+  const templateFile = path.join(dir, 'cars.json');
+  fs.writeJSONSync(templateFile, TEMPLATES);
+
+  const { code, errors } = await runCli(t, [`${origin}/private/cars`, '--template-file', templateFile, '--quiet', '--output', path.join(dir, 'out.csv')]);
+  assert.strictEqual(code, 1);
+  assert.match(errors[0], /^Template "cars" stopped at .*\/private\/cars: Not loading .*: disallowed by robots.txt.$/);
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'out.csv'), 'utf8'), '\uFEFF\r\n');
+});
+
+test('progress goes to stderr with --output - and is dropped with --quiet', async (t) => {
+  const origin = await startSite(t);
+  const dir = tempDir(t);
+  const templateFile = path.join(dir, 'cars.json');
+  fs.writeJSONSync(templateFile, { url: `${origin}/cars`, templates: TEMPLATES });
+  const { log } = console;
+
+  const quiet = await runCli(t, ['--template-file', templateFile, '--pages', '1', '--quiet', '--output', path.join(dir, 'out.csv')]);
+  assert.deepStrictEqual([quiet.code, quiet.logs, quiet.errors], [0, [], []]);
+
+  const written = [];
+  t.mock.method(process.stdout, 'write', (chunk) => written.push(String(chunk)));
+  const piped = await runCli(t, ['--template-file', templateFile, '--pages', '1', '--format', 'ndjson', '--output', '-']);
+  assert.strictEqual(piped.code, 0);
+  assert.deepStrictEqual(piped.logs, []);
+  assert.ok(piped.errors.some(line => line.startsWith('Scraping cars page 1')));
+  assert.strictEqual(written.join(''), '{"Title":"Audi A4","Price":"9 500 €"}\n{"Title":"BMW 320","Price":"14 500 €"}\n');
+
+  // The global console is left alone
+  assert.strictEqual(console.log, log);
+});
+
+test('keys create adds a key to the key store and prints it once', async (t) => {
+  const dir = tempDir(t);
+  const paths = { keysFile: path.join(dir, 'api-keys.json'), auditLog: path.join(dir, 'audit.log') };
+  const runKeys = (argv) => runCli(t, argv, paths);
+
+  const invalid = await runKeys(['keys', 'create', '--name', 'ops', '--scope', 'root']);
+  assert.strictEqual(invalid.code, 2);
+  assert.match(invalid.errors[0], /Unknown scope "root"/);
+  assert.strictEqual((await runKeys(['keys', 'list'])).code, 2);
+  assert.ok(!fs.existsSync(paths.keysFile));
+
+  const { code, logs } = await runKeys(['keys', 'create', '--name', 'ops', '--scope', 'admin', '--scope', 'download']);
+  assert.strictEqual(code, 0);
+  assert.strictEqual(logs[0], 'Created API key "ops" (admin, download). It is not shown again:');
+  const key = createKeyStore(paths.keysFile).authenticate(logs[1]);
+  assert.deepStrictEqual([key.name, key.scopes], ['ops', ['admin', 'download']]);
+  assert.strictEqual(JSON.parse(fs.readFileSync(paths.auditLog, 'utf8')).action, 'key.create');
+});
@@ -0,0 +1,130 @@
+// test/unit/crawl.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const { parseRobots, robotsAllows, isBlockPage, createCrawlPolicy } = require('../../lib/crawl');
+
+const ROBOTS = `
+# Comments are ignored
+User-agent: Googlebot
+Disallow: /
+
+User-agent: *
+User-agent: car-scraper
+Disallow: /search
+Allow: /search/cars
+Disallow: /*.pdf$
+Crawl-delay: 4
+`;
+
+test('robots.txt rules of our group, longest match wins', () => {
+  const { rules, crawlDelay } = parseRobots(ROBOTS);
+  assert.strictEqual(crawlDelay, 4);
+  assert.deepStrictEqual(rules.map(({ allow, path: rulePath }) => [allow, rulePath]), [
+    [false, '/search'],
+    [true, '/search/cars'],
+    [false, '/*.pdf$']
+  ]);
+
+  const allows = (url) => robotsAllows(rules, url);
+  assert.strictEqual(allows('https://cars.example/'), true);
+  assert.strictEqual(allows('https://cars.example/search?q=audi'), false);
+  assert.strictEqual(allows('https://cars.example/search/cars?page=2'), true);
+  assert.strictEqual(allows('https://cars.example/files/price-list.pdf'), false);
+  assert.strictEqual(allows('https://cars.example/files/price-list.pdf?v=2'), true);
+  assert.deepStrictEqual(parseRobots('User-agent: other\nDisallow: /'), { rules: [], crawlDelay: null });
+});
+
+test('block pages are recognised', () => {
+  assert.strictEqual(isBlockPage('<title>Just a moment...</title>'), true);
+  assert.strictEqual(isBlockPage('<p>Please verify you are a human</p>'), true);
+  assert.strictEqual(isBlockPage('<p>Sorry, rate limited</p>', ['rate limited']), true);
+  assert.strictEqual(isBlockPage('<title>Audi A4</title>'), false);
+});
+
+// Site answering robots.txt with the next status of robotsStatuses (the last one repeats)
+async function startSite(t, robotsStatuses) {
+  const site = { robotsRequests: 0 };
+  const server = http.createServer((req, res) => {
+    site.robotsRequests++;
+    res.statusCode = robotsStatuses[Math.min(site.robotsRequests - 1, robotsStatuses.length - 1)];
+    res.end(res.statusCode === 200 ? 'User-agent: *\nDisallow: /private\n' : '');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  site.origin = `http://127.0.0.1:${server.address().port}`;
+  return site;
+}
+
+function createPolicy(t, settings = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'crawl-'));
+  t.after(() => fs.removeSync(dir));
+  const settingsFile = path.join(dir, 'crawl-settings.json');
+  fs.writeJSONSync(settingsFile, { '127.0.0.1': Object.assign({ crawlDelayMs: 0, backoffMs: 0 }, settings) });
+  return createCrawlPolicy({ settingsFile, robotsBackoffMs: 5 });
+}
+
+test('an unreachable robots.txt is retried', async (t) => {
+  const site = await startSite(t, [503, 200]);
+  const robots = await createPolicy(t).robotsFor(`${site.origin}/cars`);
+  assert.strictEqual(site.robotsRequests, 2);
+  assert.strictEqual(robots.unreachable, undefined);
+  assert.strictEqual(robotsAllows(robots.rules, `${site.origin}/private/1`), false);
+});
+
+test('an unreachable robots.txt is cached for a minute, a fetched one for an hour', async (t) => {
+  const site = await startSite(t, [500, 500, 500, 200]);
+  const policy = createPolicy(t);
+  const now = Date.now();
+  const clock = t.mock.method(Date, 'now', () => now);
+
+  const failed = await policy.robotsFor(`${site.origin}/`);
+  assert.strictEqual(failed.unreachable, true);
+  assert.strictEqual(site.robotsRequests, 3);
+
+  // Nothing is loaded while it stays unreachable
+  const session = { load: async () => ({ status: 200, body: '' }) };
+  await assert.rejects(policy.wrap(session).load(`${site.origin}/cars`), { code: 'ROBOTS_DISALLOWED' });
+
+  clock.mock.mockImplementation(() => now + 61 * 1000);
+  const fetched = await policy.robotsFor(`${site.origin}/`);
+  assert.strictEqual(fetched.unreachable, undefined);
+  assert.strictEqual(site.robotsRequests, 4);
+
+  clock.mock.mockImplementation(() => now + 30 * 60 * 1000);
+  await policy.robotsFor(`${site.origin}/`);
+  assert.strictEqual(site.robotsRequests, 4);
+});
+
+test('loads are retried on 5xx and block pages but not on 4xx', async (t) => {
+  const site = await startSite(t, [404]);
+  const policy = createPolicy(t, { maxRetries: 2 });
+  t.mock.method(console, 'warn', () => {});
+
+  const responses = [
+    () => {
+      throw Object.assign(new Error('HTTP 503'), { status: 503 });
+    },
+    () => ({ status: 200, body: '<title>Attention Required! | Cloudflare</title>' }),
+    () => ({ status: 200, body: '<p>cars</p>' })
+  ];
+  let loads = 0;
+  const flaky = policy.wrap({ load: async () => responses[loads++]() });
+  assert.deepStrictEqual(await flaky.load(`${site.origin}/cars`), { status: 200, body: '<p>cars</p>' });
+  assert.strictEqual(loads, 3);
+
+  let missingLoads = 0;
+  const missing = policy.wrap({
+    load: async () => {
+      missingLoads++;
+      throw Object.assign(new Error('HTTP 404'), { status: 404 });
+    }
+  });
+  await assert.rejects(missing.load(`${site.origin}/gone`), /HTTP 404/);
+  assert.strictEqual(missingLoads, 1);
+});
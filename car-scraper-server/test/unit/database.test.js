@@ -0,0 +1,102 @@
+// test/unit/database.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const { openDatabase } = require('../../lib/database');
+
+const TEMPLATE = { listingKey: 'Link' };
+const FIRST = '2026-01-01T00:00:00.000Z';
+const SECOND = '2026-01-02T00:00:00.000Z';
+
+// Rows as saved from CSV text (strings) and from typed fields (numbers)
+const ROWS = [
+  { Link: '/a', Title: 'Audi A4 Avant', Price: '9500', Year: 2015, Fuel: 'Dyzelinas' },
+  { Link: '/b', Title: 'BMW 320d', Price: '14500', Year: 2017, Fuel: 'dyzelinas' },
+  { Link: '/c', Title: 'Opel Astra', Price: '4300', Year: 2012, Fuel: 'Benzinas' },
+  { Link: '/d', Title: 'Audi A6', Price: 'Sutartinė', Year: 2011, Fuel: 'Benzinas' }
+];
+
+async function open(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'database-'));
+  const database = await openDatabase(path.join(dir, 'listings.sqlite'));
+  t.after(() => {
+    database.close();
+    fs.removeSync(dir);
+  });
+  database.insertRows('cars.lt', 'cars', TEMPLATE, ROWS, { runId: 1, at: FIRST });
+  return database;
+}
+
+function titles(result) {
+  return result.listings.map(({ data }) => data.Title);
+}
+
+test('field filters on the stored JSON', async (t) => {
+  const database = await open(t);
+  const query = (filters) => titles(database.queryListings({ filters, sort: 'Title' }));
+
+  assert.deepStrictEqual(query({ Fuel: 'DYZELINAS' }), ['Audi A4 Avant', 'BMW 320d']);
+  // Numeric text compares as a number; text that is no number never matches a range
+  assert.deepStrictEqual(query({ Price: { lte: '10000' } }), ['Audi A4 Avant', 'Opel Astra']);
+  assert.deepStrictEqual(query({ Price: { gt: '5000', lt: '15000' } }), ['Audi A4 Avant', 'BMW 320d']);
+  assert.deepStrictEqual(query({ Year: { gte: '2015' } }), ['Audi A4 Avant', 'BMW 320d']);
+  assert.deepStrictEqual(query({ Title: { like: 'audi' } }), ['Audi A4 Avant', 'Audi A6']);
+  assert.deepStrictEqual(query({ Year: { in: '2011,2012' } }), ['Audi A6', 'Opel Astra']);
+  assert.deepStrictEqual(query({ Price: { ne: '9500' }, Fuel: 'Benzinas' }), ['Audi A6', 'Opel Astra']);
+  assert.deepStrictEqual(query({ "Ti'tle": 'x' }), []);
+  assert.throws(() => query({ Price: { between: '1,2' } }), /Unknown filter operator "between" on field "Price"/);
+});
+
+test('fields with quotes, backslashes and dots in their names', async (t) => {
+  const database = await open(t);
+  const row = { Link: '/e', Title: 'Škoda Superb', 'Kaina "su PVM"': '12000', "Owner's\\note": 'ok', 'Engine.size': '2.0' };
+  database.insertRows('cars.lt', 'cars', TEMPLATE, [row], { runId: 2, at: SECOND });
+  const query = (filters) => titles(database.queryListings({ filters }));
+
+  assert.deepStrictEqual(query({ 'Kaina "su PVM"': { gte: '10000' } }), ['Škoda Superb']);
+  assert.deepStrictEqual(query({ "Owner's\\note": 'OK' }), ['Škoda Superb']);
+  assert.deepStrictEqual(query({ 'Engine.size': '2.0' }), ['Škoda Superb']);
+});
+
+test('sorting, paging and projection', async (t) => {
+  const database = await open(t);
+  const sorted = database.queryListings({ sort: '-Price', fields: 'Title,Price' });
+  // Numbers sort numerically, before text
+  assert.deepStrictEqual(sorted.listings.map(({ data }) => data), [
+    { Title: 'Audi A6', Price: 'Sutartinė' },
+    { Title: 'BMW 320d', Price: '14500' },
+    { Title: 'Audi A4 Avant', Price: '9500' },
+    { Title: 'Opel Astra', Price: '4300' }
+  ]);
+
+  const page = database.queryListings({ sort: 'Year', page: '2', pageSize: '3' });
+  assert.deepStrictEqual([page.total, page.page, page.pageSize, titles(page)], [4, 2, 3, ['BMW 320d']]);
+  assert.strictEqual(database.queryListings({ pageSize: '100000' }).pageSize, 500);
+});
+
+test('listings with a key are upserted, rows without one are added', async (t) => {
+  const database = await open(t);
+  database.insertRows('cars.lt', 'cars', TEMPLATE, [Object.assign({}, ROWS[0], { Price: '8900' })], { runId: 2, at: SECOND });
+  database.insertRows('cars.lt', 'unkeyed', {}, [ROWS[0]], { runId: 1, at: FIRST });
+  database.insertRows('cars.lt', 'unkeyed', {}, [ROWS[0]], { runId: 2, at: SECOND });
+
+  const [audi] = database.queryListings({ template: 'cars', filters: { Link: '/a' } }).listings;
+  assert.deepStrictEqual([audi.key, audi.firstSeen, audi.lastSeen, audi.runId, audi.data.Price], ['/a', FIRST, SECOND, 2, '8900']);
+  assert.strictEqual(database.queryListings({ template: 'cars' }).total, 4);
+  assert.strictEqual(database.queryListings({ template: 'unkeyed' }).total, 2);
+});
+
+test('vehicle records are queried across sites', async (t) => {
+  const database = await open(t);
+  const vehicles = [{ make: 'Audi', price: 9500, year: 2015 }, { make: 'BMW', price: 14500, year: 2017 }];
+  database.insertRows('other.lt', 'cars', TEMPLATE, ROWS.slice(0, 2), { runId: 1, at: FIRST, vehicles });
+
+  const result = database.queryVehicles({ filters: { price: { lt: '10000' } } });
+  assert.deepStrictEqual(result.vehicles.map(({ domain, vehicle }) => [domain, vehicle.make]), [['other.lt', 'Audi']]);
+  assert.strictEqual(database.listVehicles({ domain: 'cars.lt' }).length, 0);
+  assert.strictEqual(database.listVehicles({ since: FIRST }).length, 2);
+});
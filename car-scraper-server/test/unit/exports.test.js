@@ -0,0 +1,140 @@
+// test/unit/exports.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+
+const { listRuns, mergeRuns, serialize } = require('../../lib/exports');
+
+const ROWS = [
+  { Title: 'Škoda Octavia', Price: '9 500 €', Note: 'Tvarkinga, "be defektų"' },
+  { Title: 'Audi A4', Price: '12 000 €', Tags: ['Dyzelinas', 'Automatinė'], Note: 'Eilutė\nantra' }
+];
+
+const RUN_1 = Date.UTC(2026, 0, 1);
+const RUN_2 = Date.UTC(2026, 0, 2);
+
+test('csv has a BOM, CRLF line breaks and RFC 4180 quoting', async () => {
+  const { body, contentType, extension } = await serialize(ROWS, 'csv');
+  assert.strictEqual(contentType, 'text/csv; charset=utf-8');
+  assert.strictEqual(extension, 'csv');
+  assert.strictEqual(body, '\uFEFFTitle,Price,Note,Tags\r\n' +
+    'Škoda Octavia,9 500 €,"Tvarkinga, ""be defektų""",\r\n' +
+    'Audi A4,12 000 €,"Eilutė\nantra",Dyzelinas | Automatinė\r\n');
+});
+
+test('json and ndjson', async () => {
+  assert.deepStrictEqual(JSON.parse((await serialize(ROWS, 'json')).body), ROWS);
+  const { body } = await serialize(ROWS, 'ndjson');
+  assert.deepStrictEqual(body.trimEnd().split('\n').map(line => JSON.parse(line)), ROWS);
+  assert.strictEqual((await serialize([], 'ndjson')).body, '');
+  await assert.rejects(serialize(ROWS, 'xml'), /Unknown export format "xml". Expected one of: json, ndjson, csv, xlsx./);
+});
+
+test('xlsx has one worksheet named after the template', async () => {
+  const { body } = await serialize(ROWS, 'xlsx', { sheetName: 'cars/used: [2026] and a name longer than 31' });
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(body);
+
+  assert.strictEqual(workbook.worksheets.length, 1);
+  const sheet = workbook.worksheets[0];
+  assert.strictEqual(sheet.name, 'cars_used_ _2026_ and a name lo');
+  assert.deepStrictEqual(sheet.getRow(1).values.slice(1), ['Title', 'Price', 'Note', 'Tags']);
+  assert.deepStrictEqual(sheet.getRow(3).values.slice(1), ['Audi A4', '12 000 €', 'Eilutė\nantra', 'Dyzelinas | Automatinė']);
+  assert.strictEqual(sheet.getRow(1).font.bold, true);
+});
+
+function saveRuns(t) {
+  const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'exports-'));
+  t.after(() => fs.removeSync(storageDir));
+  const dir = path.join(storageDir, 'cars.lt', 'cars');
+  fs.outputFileSync(path.join(dir, `data_${RUN_1}.csv`), '\uFEFFLink,Price\r\n/a,9500\r\n/b,14500\r\n');
+  fs.outputFileSync(path.join(dir, `data_${RUN_2}.csv`), 'Link,Price\n/a,8900\n');
+  fs.outputFileSync(path.join(dir, 'data_2025-12-31T10-00-00-000Z.csv'), 'Link,Price\n/c,4300\n');
+  return storageDir;
+}
+
+test('runs are merged oldest first with their run time', (t) => {
+  const storageDir = saveRuns(t);
+  assert.deepStrictEqual(listRuns(storageDir, 'cars.lt', 'cars').map(({ file }) => file), [
+    'data_2025-12-31T10-00-00-000Z.csv',
+    `data_${RUN_1}.csv`,
+    `data_${RUN_2}.csv`
+  ]);
+
+  const { runs, rows } = mergeRuns(storageDir, 'cars.lt', 'cars', { from: new Date(RUN_1) });
+  assert.deepStrictEqual(runs.map(({ at }) => at), [new Date(RUN_1).toISOString(), new Date(RUN_2).toISOString()]);
+  assert.deepStrictEqual(rows, [
+    { _scrapedAt: new Date(RUN_1).toISOString(), Link: '/a', Price: '9500' },
+    { _scrapedAt: new Date(RUN_1).toISOString(), Link: '/b', Price: '14500' },
+    { _scrapedAt: new Date(RUN_2).toISOString(), Link: '/a', Price: '8900' }
+  ]);
+});
+
+test('deduplicated rows keep each listing from its latest run', (t) => {
+  const storageDir = saveRuns(t);
+  const { rows } = mergeRuns(storageDir, 'cars.lt', 'cars', { dedupe: true, templateConfig: { listingKey: 'Link' } });
+  assert.deepStrictEqual(rows.map(({ Link, Price }) => [Link, Price]), [['/c', '4300'], ['/b', '14500'], ['/a', '8900']]);
+  assert.deepStrictEqual(mergeRuns(storageDir, 'cars.lt', 'missing'), { runs: [], rows: [] });
+});
+
+test('json and xlsx values are typed by the template, csv stays as scraped', async () => {
+  const template = {
+    fields: {
+      Title: { type: 'text', selector: 'h2' },
+      Price: { type: 'text', selector: '.price', fieldType: 'number' },
+      Year: { type: 'text', selector: '.year', fieldType: 'integer' },
+      Listed: { type: 'text', selector: '.date', fieldType: 'date' },
+      Link: { type: 'follow', selector: 'a', template: { fields: { Sold: { type: 'text', selector: '.sold', fieldType: 'boolean' } } } }
+    }
+  };
+  // Rows as read back from a run's CSV
+  const rows = [
+    { Title: 'Audi A4', Price: '9500', Year: '2015', Listed: '2026-01-02', Link: '/a', Sold: 'true' },
+    { Title: 'BMW 320', Price: '', Year: 'n/a', Listed: '', Link: '/b', Sold: 'false' }
+  ];
+
+  assert.deepStrictEqual(JSON.parse((await serialize(rows, 'json', { template })).body), [
+    { Title: 'Audi A4', Price: 9500, Year: 2015, Listed: '2026-01-02', Link: '/a', Sold: true },
+    { Title: 'BMW 320', Price: null, Year: 'n/a', Listed: null, Link: '/b', Sold: false }
+  ]);
+  const { body: ndjson } = await serialize(rows, 'ndjson', { template });
+  assert.strictEqual(JSON.parse(ndjson.split('\n')[0]).Price, 9500);
+  assert.strictEqual((await serialize(rows, 'csv', { template })).body, (await serialize(rows, 'csv')).body);
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load((await serialize(rows, 'xlsx', { template })).body);
+  const sheet = workbook.worksheets[0];
+  assert.deepStrictEqual(sheet.getRow(2).values.slice(1), ['Audi A4', 9500, 2015, new Date('2026-01-02T00:00:00Z'), '/a', true]);
+  assert.strictEqual(sheet.getCell('D2').numFmt, 'yyyy-mm-dd');
+  // Empty cells stay empty
+  assert.deepStrictEqual(['A3', 'B3', 'C3', 'D3', 'F3'].map(cell => sheet.getCell(cell).value), ['BMW 320', null, 'n/a', null, false]);
+});
+
+test('fields without a fieldType are typed by their number, currency, unit and date transforms', async () => {
+  const template = {
+    fields: {
+      Price: { type: 'text', selector: '.price', transforms: [{ type: 'currency' }] },
+      Mileage: { type: 'text', selector: '.km', transforms: [{ type: 'unit' }, { type: 'number' }] },
+      Listed: { type: 'text', selector: '.date', transforms: [{ type: 'date' }] },
+      Code: { type: 'text', selector: '.code', transforms: [{ type: 'number' }, { type: 'regex', pattern: '(\\d+)' }] }
+    }
+  };
+  const rows = [
+    { Price: '12 500', PriceCurrency: 'EUR', Mileage: '185000', Listed: '2026-01-02', Code: '0042' },
+    { Price: 'Kaina sutartinė', PriceCurrency: '', Mileage: '', Listed: '', Code: '7' }
+  ];
+
+  assert.deepStrictEqual(JSON.parse((await serialize(rows, 'json', { template })).body), [
+    { Price: 12500, PriceCurrency: 'EUR', Mileage: 185000, Listed: '2026-01-02', Code: '0042' },
+    { Price: 'Kaina sutartinė', PriceCurrency: '', Mileage: null, Listed: null, Code: '7' }
+  ]);
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load((await serialize(rows, 'xlsx', { template })).body);
+  const sheet = workbook.worksheets[0];
+  assert.deepStrictEqual(sheet.getRow(2).values.slice(1), [12500, 'EUR', 185000, new Date('2026-01-02T00:00:00Z'), '0042']);
+});
@@ -0,0 +1,217 @@
+// test/unit/extractor.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const cheerio = require('cheerio');
+
+const { extractPage, countItems, readJsonLd, readMicrodata, createCheerioAdapter } = require('../../lib/extractor');
+const { selectXPath } = require('../../lib/xpathAdapter');
+const { migrateLegacySelectors } = require('../../lib/configs');
+
+const PAGE = `<html><body><div id="wrapper"><div id="container">
+  <div class="list">
+    <div class="item"><a href="/a"><h2>Audi A4</h2></a><span class="price">12 500 €</span></div>
+    <div class="item"><a href="/b"><h2>BMW 320</h2></a><span class="price">9 900 €</span></div>
+  </div>
+  <div class="paging"><a href="?page=2">Next</a></div>
+</div></div></body></html>`;
+
+const LISTING = `
+<html><body>
+  <div class="item" id="first">
+    <h2>Audi A4</h2>
+    <a href="/audi-a4.html">Details</a>
+    <span class="price">9 500 €</span>
+    <ul><li class="tag">Dyzelinas</li><li class="tag">Automatinė</li></ul>
+  </div>
+  <div class="item">
+    <h2>BMW 320</h2>
+    <a href="/bmw-320.html">Details</a>
+    <span class="old-price">15 000 €</span>
+  </div>
+  <div class="paging"><a href="/list?page=2">Kitas puslapis</a></div>
+</body></html>`;
+
+const DETAIL = `
+<html><head>
+  <script type="application/ld+json">{ broken</script>
+  <script type="application/ld+json">
+    { "@context": "https://schema.org", "@graph": [
+      { "@type": "BreadcrumbList", "name": "Automobiliai" },
+      { "@type": "Car", "name": "Audi A4 Avant", "vehicleIdentificationNumber": "WAUZZZ8K",
+        "image": [{ "@type": "ImageObject", "url": "/1.jpg" }, "/2.jpg"],
+        "offers": { "@type": "Offer", "price": 9500, "priceCurrency": "EUR" } }
+    ] }
+  </script>
+</head><body>
+  <div itemscope itemtype="https://schema.org/Car">
+    <span itemprop="name">Audi A4 Avant</span>
+    <meta itemprop="mileageFromOdometer" content="185000">
+    <div itemprop="offers" itemscope itemtype="https://schema.org/Offer">
+      <span itemprop="price" content="9500">9 500 €</span>
+      <span itemprop="name">Kaina</span>
+    </div>
+  </div>
+</body></html>`;
+
+function staticDom(html) {
+  return createCheerioAdapter(cheerio.load(html), selectXPath);
+}
+
+test('css fields are found inside each item', () => {
+  const { items, itemCount, nextPageHref, errors } = extractPage({
+    itemSelector: '.item',
+    fields: {
+      Title: { type: 'text', selector: 'h2' },
+      Link: { type: 'attribute', selector: 'a', attribute: 'href' }
+    },
+    nextPage: { selector: '.paging a' }
+  }, staticDom(PAGE));
+
+  assert.strictEqual(itemCount, 2);
+  assert.deepStrictEqual(items, [{ Title: 'Audi A4', Link: '/a' }, { Title: 'BMW 320', Link: '/b' }]);
+  assert.strictEqual(nextPageHref, '?page=2');
+  assert.deepStrictEqual(errors, []);
+});
+
+test('absolute selectors match inside items like querySelectorAll does', () => {
+  const dom = staticDom(PAGE);
+  const template = {
+    itemSelector: 'html > body > #wrapper > #container > div.list > div',
+    fields: {
+      Title: { type: 'text', selector: 'html > body > #wrapper > #container > div.list > div > a > h2' },
+      // Ancestors outside the item may appear in the selector
+      Price: { type: 'text', selector: '#container .item .price' }
+    }
+  };
+
+  assert.strictEqual(countItems(template, dom), 2);
+  assert.deepStrictEqual(extractPage(template, dom).items, [
+    { Title: 'Audi A4', Price: '12 500 €' },
+    { Title: 'BMW 320', Price: '9 900 €' }
+  ]);
+});
+
+test('selectors in attribute values and selector lists are scoped to each item', () => {
+  const { items } = extractPage({
+    itemSelector: '.item',
+    fields: {
+      Link: { type: 'attribute', selector: 'a[href="/b"], a[href="/a"]', attribute: 'href' },
+      Price: { type: 'text', selector: 'span[class="price"]' }
+    }
+  }, staticDom(PAGE));
+
+  assert.deepStrictEqual(items, [{ Link: '/a', Price: '12 500 €' }, { Link: '/b', Price: '9 900 €' }]);
+});
+
+test('an item is not a match of its own selectors', () => {
+  const { items } = extractPage({
+    itemSelector: '.item',
+    fields: { Nested: { type: 'text', selector: '.item', multiple: true } }
+  }, staticDom(PAGE));
+
+  assert.deepStrictEqual(items, [{ Nested: [] }, { Nested: [] }]);
+});
+
+test('migrated legacy selectors extract on the static engine', () => {
+  const { default: template } = migrateLegacySelectors({
+    listing: { selector: 'html > body > #wrapper > #container > div:nth-child(1) > div', type: 'text' },
+    Title: { selector: 'html > body > #wrapper > #container > div:nth-child(1) > div > a > h2', type: 'text' },
+    nextPage: { selector: '#container > div.paging > a', type: 'attribute', attribute: 'href' }
+  });
+  const { items, nextPageHref } = extractPage(template, staticDom(PAGE));
+
+  assert.deepStrictEqual(items, [{ Title: 'Audi A4' }, { Title: 'BMW 320' }]);
+  assert.strictEqual(nextPageHref, '?page=2');
+});
+
+test('css, class, id, regex and xpath selectors', () => {
+  const { items, itemCount, nextPageHref, errors } = extractPage({
+    itemSelector: '//div[@class="item"]',
+    itemSelectorMethod: 'xpath',
+    fields: {
+      Title: { type: 'text', selector: 'h2' },
+      Link: { type: 'attribute', selector: './/a/@href', method: 'xpath', attribute: 'href' },
+      Price: { type: 'text', selector: 'price', method: 'class' },
+      Details: { type: 'text', selector: '^details$', method: 'regex' },
+      Tags: { type: 'text', selector: './/li[@class="tag"]/text()', method: 'xpath', multiple: true }
+    },
+    nextPage: { selector: 'kitas', method: 'regex' }
+  }, staticDom(LISTING));
+
+  assert.strictEqual(itemCount, 2);
+  assert.deepStrictEqual(items, [
+    { Title: 'Audi A4', Link: '/audi-a4.html', Price: '9 500 €', Details: 'Details', Tags: ['Dyzelinas', 'Automatinė'] },
+    { Title: 'BMW 320', Link: '/bmw-320.html', Price: '', Details: 'Details', Tags: [] }
+  ]);
+  assert.strictEqual(nextPageHref, '/list?page=2');
+  assert.deepStrictEqual(errors, []);
+
+  const byId = extractPage({ fields: { Title: { type: 'text', selector: '#first', method: 'id' } } }, staticDom(LISTING));
+  assert.match(byId.items[0].Title, /^Audi A4/);
+});
+
+test('fallbacks are tried in order when the field finds nothing', () => {
+  const { items } = extractPage({
+    itemSelector: '.item',
+    fields: {
+      Price: {
+        type: 'text',
+        selector: '.price',
+        fallbacks: [{ selector: '.discount' }, { selector: '.old-price' }]
+      }
+    }
+  }, staticDom(LISTING));
+  assert.deepStrictEqual(items.map(item => item.Price), ['9 500 €', '15 000 €']);
+});
+
+test('items missing a required field are skipped', () => {
+  const { items, itemCount } = extractPage({
+    itemSelector: '.item, .paging',
+    fields: {
+      Title: { type: 'text', selector: 'h2', required: true },
+      Price: { type: 'text', selector: '.price' }
+    }
+  }, staticDom(PAGE));
+
+  assert.strictEqual(itemCount, 3);
+  assert.deepStrictEqual(items.map(item => item.Title), ['Audi A4', 'BMW 320']);
+});
+
+test('selector errors are collected per field and item', () => {
+  const { items, errors } = extractPage({
+    itemSelector: '.item',
+    fields: { Title: { type: 'text', selector: './/h2[', method: 'xpath' } }
+  }, staticDom(LISTING));
+  assert.deepStrictEqual(items, [{ Title: '' }, { Title: '' }]);
+  assert.deepStrictEqual(errors.map(({ field, method, count }) => [field, method, count]), [['Title', 'xpath', 2]]);
+});
+
+test('JSON-LD paths, types and broken blocks', () => {
+  const dom = staticDom(DETAIL);
+  assert.deepStrictEqual(readJsonLd(dom, dom.root, 'offers.price'), ['9500']);
+  assert.deepStrictEqual(readJsonLd(dom, dom.root, 'name'), ['Automobiliai', 'Audi A4 Avant']);
+  assert.deepStrictEqual(readJsonLd(dom, dom.root, 'name', 'Car'), ['Audi A4 Avant']);
+  assert.deepStrictEqual(readJsonLd(dom, dom.root, 'image'), ['/1.jpg', '/2.jpg']);
+  assert.deepStrictEqual(readJsonLd(dom, dom.root, 'offers.missing'), []);
+});
+
+test('microdata paths stop at nested items', () => {
+  const dom = staticDom(DETAIL);
+  assert.deepStrictEqual(readMicrodata(dom, dom.root, 'name', 'Car'), ['Audi A4 Avant']);
+  assert.deepStrictEqual(readMicrodata(dom, dom.root, 'offers.price', 'Car'), ['9500']);
+  assert.deepStrictEqual(readMicrodata(dom, dom.root, 'mileageFromOdometer', 'Car'), ['185000']);
+  assert.deepStrictEqual(readMicrodata(dom, dom.root, 'price', 'Offer'), ['9500']);
+});
+
+test('jsonld and microdata fields on a detail page', () => {
+  const { items } = extractPage({
+    fields: {
+      Vin: { type: 'jsonld', path: 'vehicleIdentificationNumber', schemaType: 'Car' },
+      Price: { type: 'microdata', path: 'offers.price', schemaType: 'Car' },
+      Images: { type: 'jsonld', path: 'image', multiple: true },
+      Color: { type: 'jsonld', path: 'color', fallbacks: [{ type: 'text', selector: '.color' }] }
+    }
+  }, staticDom(DETAIL));
+  assert.deepStrictEqual(items, [{ Vin: 'WAUZZZ8K', Price: '9500', Images: ['/1.jpg', '/2.jpg'], Color: '' }]);
+});
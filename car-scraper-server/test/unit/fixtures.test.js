@@ -0,0 +1,75 @@
+// test/unit/fixtures.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+
+const { createRecorder, readFixture, readExpected, startFixtureServer } = require('../../lib/fixtures');
+const { tempDir } = require('./helpers');
+
+const URL_1 = 'https://cars.example/list?page=1';
+const URL_2 = 'https://cars.example/list?page=2';
+
+// Session whose loads answer from pages ({ url: body }) and reject other URLs
+function fakeSession(pages) {
+  return {
+    load: async (url) => {
+      if (!(url in pages)) throw new Error(`HTTP 404 for ${url}`);
+      return { status: 200, body: pages[url] };
+    }
+  };
+}
+
+async function record(dir, run, pages, urls) {
+  const recorder = createRecorder({ dir, url: URL_1 });
+  const session = recorder.wrap(fakeSession(pages), { template: 'cars' });
+  for (let url of urls) {
+    await session.load(url).catch(() => {});
+  }
+  return recorder.finish(run);
+}
+
+const rows = [{ Title: 'Audi A4' }];
+const cleanRun = { cancelled: false, failures: [], results: [{ template: 'cars', rows }] };
+
+test('a clean run becomes the fixture', async (t) => {
+  const dir = tempDir(t);
+  const fixture = await record(dir, cleanRun, { [URL_1]: '<p>1</p>', [URL_2]: '<p>2</p>' }, [URL_1, URL_2]);
+
+  assert.strictEqual(fixture.pages, 2);
+  const { manifest } = readFixture(dir);
+  assert.deepStrictEqual(manifest.templates, { cars: { pages: [URL_1, URL_2] } });
+  assert.deepStrictEqual(readExpected(dir, 'cars'), rows);
+
+  const server = await startFixtureServer(readFixture(dir));
+  try {
+    const response = await fetch(`${server.origin}/list?page=2`);
+    assert.strictEqual(await response.text(), '<p>2</p>');
+    assert.strictEqual((await fetch(`${server.origin}/list?page=3`)).status, 404);
+  } finally {
+    await server.close();
+  }
+});
+
+test('failed, cancelled and empty runs keep the previous fixture', async (t) => {
+  const dir = tempDir(t);
+  await record(dir, cleanRun, { [URL_1]: '<p>good</p>' }, [URL_1]);
+
+  const runs = [
+    [{ cancelled: true, failures: [], results: cleanRun.results }, /cancelled/],
+    [{ cancelled: false, failures: [{ template: 'cars', url: URL_2 }], results: cleanRun.results }, /failed at/],
+    [{ cancelled: false, failures: [], results: [] }, /no rows/]
+  ];
+  for (let [run, reason] of runs) {
+    const fixture = await record(dir, run, { [URL_1]: '<p>bad</p>' }, [URL_1]);
+    assert.match(fixture.discarded, reason);
+  }
+
+  // A page that could not be loaded (a robots.txt block, an error after retries)
+  const fixture = await record(dir, cleanRun, { [URL_1]: '<p>bad</p>' }, [URL_1, URL_2]);
+  assert.match(fixture.discarded, /could not be loaded/);
+
+  const { manifest } = readFixture(dir);
+  assert.strictEqual(fs.readFileSync(path.join(dir, manifest.pages[URL_1]), 'utf8'), '<p>good</p>');
+});
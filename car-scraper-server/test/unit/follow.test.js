@@ -0,0 +1,154 @@
+// test/unit/follow.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { followFields, failedDetailFields, resolveFollowFields } = require('../../lib/follow');
+
+// Detail pages by URL: { items } to extract, or an Error to fail the load with
+const PAGES = {
+  'https://cars.example/audi': { items: [{ Mileage: '180 000 km', Seller: '/sellers/1' }] },
+  'https://cars.example/bmw': { items: [{ Mileage: '95 000 km', Seller: '/sellers/2' }] },
+  'https://cars.example/opel': { items: [{ Seller: '/vw' }] },
+  'https://cars.example/vw': new Error('Request failed with status code 404'),
+  'https://cars.example/sellers/1': { items: [{ Phone: '+370 600 00001' }] },
+  'https://cars.example/sellers/2': { items: [{ Phone: '+370 600 00002' }] }
+};
+
+const TEMPLATE = {
+  fields: {
+    Title: { type: 'text', selector: 'h2' },
+    Link: {
+      type: 'follow',
+      selector: 'a',
+      concurrency: 2,
+      template: {
+        fields: {
+          Mileage: { type: 'text', selector: '.mileage' },
+          Seller: { type: 'follow', selector: 'a.seller', template: { fields: { Phone: { type: 'text', selector: '.phone' } } } }
+        }
+      }
+    }
+  }
+};
+
+// Fake sessions that serve PAGES and track how many detail pages load at once
+function fakeSessions() {
+  const stats = { open: 0, loading: 0, maxLoading: 0, loaded: [] };
+  const openSession = async () => {
+    stats.open++;
+    let current = null;
+    return {
+      load: async (url) => {
+        stats.loading++;
+        stats.maxLoading = Math.max(stats.maxLoading, stats.loading);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        stats.loading--;
+        stats.loaded.push(url);
+        if (PAGES[url] instanceof Error) throw PAGES[url];
+        current = PAGES[url];
+      },
+      extract: async () => ({ items: current ? current.items.map(item => Object.assign({}, item)) : [] }),
+      close: async () => {
+        stats.open--;
+      }
+    };
+  };
+  return { stats, openSession };
+}
+
+function quiet(t) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+}
+
+test('follow fields are the fields of type follow', () => {
+  assert.deepStrictEqual(followFields(TEMPLATE), ['Link']);
+  assert.deepStrictEqual(followFields(TEMPLATE.fields.Link.template), ['Seller']);
+});
+
+test('detail pages are merged into their rows, nested follow fields included', async (t) => {
+  quiet(t);
+  const { stats, openSession } = fakeSessions();
+  const rows = [{ Title: 'Audi A4', Link: '/audi' }, { Title: 'BMW 320', Link: 'bmw' }];
+
+  await resolveFollowFields(TEMPLATE, rows, { pageUrl: 'https://cars.example/list', parentEngine: 'static', openSession });
+
+  assert.deepStrictEqual(rows, [
+    { Title: 'Audi A4', Link: 'https://cars.example/audi', Mileage: '180 000 km', Seller: 'https://cars.example/sellers/1', Phone: '+370 600 00001' },
+    { Title: 'BMW 320', Link: 'https://cars.example/bmw', Mileage: '95 000 km', Seller: 'https://cars.example/sellers/2', Phone: '+370 600 00002' }
+  ]);
+  assert.strictEqual(stats.open, 0);
+});
+
+test('no more detail pages load at once than the field allows', async (t) => {
+  quiet(t);
+  const { stats, openSession } = fakeSessions();
+  const template = { fields: { Link: { type: 'follow', selector: 'a', concurrency: 2, template: { fields: { Mileage: { type: 'text', selector: '.mileage' } } } } } };
+  const rows = ['/audi', '/bmw', '/audi', '/bmw', '/audi'].map(Link => ({ Link }));
+
+  await resolveFollowFields(template, rows, { pageUrl: 'https://cars.example/', openSession });
+
+  assert.strictEqual(stats.loaded.length, 5);
+  assert.strictEqual(stats.maxLoading, 2);
+  assert.strictEqual(stats.open, 0);
+});
+
+test('a failed detail page leaves its fields empty, is reported and does not stop the run', async (t) => {
+  quiet(t);
+  const { openSession } = fakeSessions();
+  const errors = [];
+  const rows = [{ Title: 'VW Golf', Link: '/vw' }, { Title: 'Audi A4', Link: '/audi' }, { Title: 'No link', Link: '' }];
+
+  await resolveFollowFields(TEMPLATE, rows, {
+    pageUrl: 'https://cars.example/',
+    openSession,
+    onError: (error) => errors.push(error)
+  });
+
+  // Fields of nested follow fields are empty too, so every row has the same columns
+  assert.deepStrictEqual(rows[0], { Title: 'VW Golf', Link: 'https://cars.example/vw', Mileage: '', Seller: '', Phone: '' });
+  assert.strictEqual(rows[1].Phone, '+370 600 00001');
+  assert.deepStrictEqual(rows[2], { Title: 'No link', Link: '', Mileage: '', Seller: '', Phone: '' });
+  // Only the failed page's fields are marked; a row without a link has no detail page
+  assert.deepStrictEqual(rows.map(failedDetailFields), [['Mileage', 'Seller', 'Phone'], [], []]);
+  assert.deepStrictEqual(errors, [{ field: 'Link', url: 'https://cars.example/vw', message: 'Request failed with status code 404' }]);
+});
+
+test('a failed nested detail page marks its fields on the listing row', async (t) => {
+  quiet(t);
+  const { openSession } = fakeSessions();
+  const template = {
+    fields: {
+      Link: {
+        type: 'follow',
+        selector: 'a',
+        template: { fields: { Seller: { type: 'follow', selector: 'a.seller', template: { fields: { Phone: { type: 'text', selector: '.phone' } } } } } }
+      }
+    }
+  };
+  const rows = [{ Link: '/opel' }];
+
+  await resolveFollowFields(template, rows, { pageUrl: 'https://cars.example/', openSession });
+
+  assert.deepStrictEqual(rows[0], { Link: 'https://cars.example/opel', Seller: 'https://cars.example/vw', Phone: '' });
+  assert.deepStrictEqual(failedDetailFields(rows[0]), ['Phone']);
+});
+
+test('rows not reached before a cancellation get empty, marked detail fields', async (t) => {
+  quiet(t);
+  const { openSession } = fakeSessions();
+  const template = { fields: { Link: { type: 'follow', selector: 'a', concurrency: 1, template: TEMPLATE.fields.Link.template } } };
+  const rows = [{ Link: '/audi' }, { Link: '/bmw' }, { Link: '/audi' }];
+
+  await resolveFollowFields(template, rows, {
+    pageUrl: 'https://cars.example/',
+    openSession,
+    // Cancelled once the first row is done
+    isCancelled: () => Boolean(rows[0].Phone)
+  });
+
+  assert.strictEqual(rows[0].Phone, '+370 600 00001');
+  assert.deepStrictEqual(rows[1], { Link: 'https://cars.example/bmw', Mileage: '', Seller: '', Phone: '' });
+  assert.deepStrictEqual(rows.map(failedDetailFields), [[], ['Mileage', 'Seller', 'Phone'], ['Mileage', 'Seller', 'Phone']]);
+});
@@ -0,0 +1,16 @@
+// test/unit/helpers.js
+//
+// Shared by the unit tests; not a test file itself.
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// Empty directory under the OS temp dir, removed when test t ends
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'car-scraper-'));
+  t.after(() => fs.removeSync(dir));
+  return dir;
+}
+
+module.exports = { tempDir };
@@ -0,0 +1,104 @@
+// test/unit/jobs.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+
+const { createJobStore } = require('../../lib/jobs');
+const { tempDir } = require('./helpers');
+
+const TEMPLATES = { cars: { fields: {} }, trucks: { fields: {} } };
+
+function newJob(jobs) {
+  return jobs.create({ url: 'https://cars.example/list', domain: 'cars.example', templates: TEMPLATES });
+}
+
+test('a job goes from queued to running to completed and is persisted', async (t) => {
+  const dir = tempDir(t);
+  const jobs = createJobStore(dir);
+  const job = newJob(jobs);
+  assert.strictEqual(job.status, 'queued');
+  assert.deepStrictEqual(job.templates, ['cars', 'trucks']);
+  assert.strictEqual(jobs.get(job.id), job);
+
+  let statusWhileRunning;
+  await jobs.start(job, async (job, hooks) => {
+    statusWhileRunning = jobs.get(job.id).status;
+    hooks.onPage({ items: 3 });
+    hooks.onPage({ items: 2 });
+    hooks.onSaved({ template: 'cars', file: 'data_1.csv', rows: 5, changes: null, partial: false });
+    return { results: [{ template: 'cars' }], failures: [] };
+  });
+
+  assert.strictEqual(statusWhileRunning, 'running');
+  assert.strictEqual(job.status, 'completed');
+  assert.strictEqual(job.pagesDone, 2);
+  assert.strictEqual(job.itemsCollected, 5);
+  assert.ok(job.startedAt && job.finishedAt);
+  assert.deepStrictEqual(fs.readJSONSync(path.join(dir, `${job.id}.json`)), job);
+});
+
+test('unknown job ids are not found', (t) => {
+  const jobs = createJobStore(tempDir(t));
+  assert.strictEqual(jobs.get('no-such-job'), null);
+  assert.strictEqual(jobs.update('no-such-job', { status: 'running' }), null);
+  assert.strictEqual(jobs.cancel('no-such-job'), null);
+});
+
+test('a scrape that throws fails the job and records its error', async (t) => {
+  const jobs = createJobStore(tempDir(t));
+  const job = newJob(jobs);
+  t.mock.method(console, 'error', () => {});
+
+  await jobs.start(job, async () => {
+    throw new Error('Navigation timeout of 30000 ms exceeded');
+  });
+
+  assert.strictEqual(job.status, 'failed');
+  assert.ok(job.finishedAt);
+  assert.strictEqual(job.errors.length, 1);
+  assert.strictEqual(job.errors[0].message, 'Navigation timeout of 30000 ms exceeded');
+  assert.strictEqual(jobs.isActive(job), false);
+});
+
+test('template failures make a job partial or failed', async (t) => {
+  const jobs = createJobStore(tempDir(t));
+
+  const partial = newJob(jobs);
+  await jobs.start(partial, async (job, hooks) => {
+    hooks.onError({ template: 'trucks', message: 'No items found' });
+    return { results: [{ template: 'cars' }], failures: [{ template: 'trucks' }] };
+  });
+  assert.strictEqual(partial.status, 'partial');
+  assert.strictEqual(partial.errors[0].message, 'No items found');
+
+  const failed = newJob(jobs);
+  await jobs.start(failed, async () => ({ results: [], failures: [{ template: 'cars' }, { template: 'trucks' }] }));
+  assert.strictEqual(failed.status, 'failed');
+});
+
+test('cancelling a queued job ends it and a running job stops at its next page', async (t) => {
+  const jobs = createJobStore(tempDir(t));
+
+  const queued = newJob(jobs);
+  assert.strictEqual(jobs.cancel(queued.id).status, 'cancelled');
+
+  const running = newJob(jobs);
+  await jobs.start(running, async (job, hooks) => {
+    jobs.cancel(job.id);
+    assert.strictEqual(job.status, 'running');
+    assert.strictEqual(hooks.isCancelled(), true);
+    return { results: [], failures: [] };
+  });
+  assert.strictEqual(running.status, 'cancelled');
+});
+
+test('jobs left active by a previous process are interrupted on load', (t) => {
+  const dir = tempDir(t);
+  const job = newJob(createJobStore(dir));
+
+  const reloaded = createJobStore(dir).get(job.id);
+  assert.strictEqual(reloaded.status, 'interrupted');
+  assert.match(reloaded.errors[0].message, /restarted/);
+});
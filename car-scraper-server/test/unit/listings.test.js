@@ -0,0 +1,131 @@
+// test/unit/listings.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+
+const { listingKeyOf, validateListingKey, recordRun, loadStore } = require('../../lib/listings');
+const { collectTemplate } = require('../../lib/scraper');
+const { tempDir } = require('./helpers');
+
+const TEMPLATE = {
+  fields: { Link: { type: 'attribute', selector: 'a', attribute: 'href' }, Price: { type: 'text', selector: '.price' } },
+  nextPage: { selector: '.paging a' },
+  listingKey: { field: 'Link', pattern: '-(\\d+)\\.html' },
+  priceField: 'Price'
+};
+
+function run(dir, runId, rows, complete = true) {
+  return recordRun(dir, TEMPLATE, rows, { runId, at: new Date(runId).toISOString(), complete });
+}
+
+const audi = { Link: '/audi-a4-101.html', Price: '9500' };
+const bmw = { Link: '/bmw-320-102.html', Price: '14500' };
+
+test('listing keys come from a field or a pattern capture', () => {
+  assert.strictEqual(listingKeyOf(TEMPLATE, audi), '101');
+  assert.strictEqual(listingKeyOf(TEMPLATE, { Link: '/no-id.html' }), null);
+  assert.strictEqual(listingKeyOf({ listingKey: 'Link' }, audi), '/audi-a4-101.html');
+  assert.strictEqual(listingKeyOf({}, audi), null);
+  assert.deepStrictEqual(validateListingKey(Object.assign({}, TEMPLATE, { listingKey: 'Missing' })), [
+    'listingKey field "Missing" is not one of the template fields.'
+  ]);
+});
+
+test('change sets hold new, updated and disappeared listings', (t) => {
+  const dir = tempDir(t);
+  const first = run(dir, 1000, [audi, bmw, { Link: '' }]);
+  assert.deepStrictEqual(first.new.map(({ key }) => key), ['101', '102']);
+  assert.strictEqual(first.unkeyed, 1);
+
+  const second = run(dir, 2000, [Object.assign({}, audi, { Price: '8900' })]);
+  assert.deepStrictEqual(second.updated.map(({ key, changes }) => [key, changes]), [['101', { Price: { from: '9500', to: '8900' } }]]);
+  assert.deepStrictEqual(second.disappeared.map(({ key }) => key), ['102']);
+
+  const third = run(dir, 3000, [Object.assign({}, audi, { Price: '8900' }), bmw]);
+  assert.deepStrictEqual(third.updated.map(({ key, reappeared }) => [key, reappeared]), [['102', true]]);
+
+  const { listings } = loadStore(dir);
+  assert.deepStrictEqual(listings['101'].priceHistory.map(({ price }) => price), ['9500', '8900']);
+  assert.ok(fs.existsSync(path.join(dir, 'changes_3000.json')));
+});
+
+test('incomplete runs do not mark listings as disappeared', (t) => {
+  const dir = tempDir(t);
+  run(dir, 1000, [audi, bmw]);
+  assert.deepStrictEqual(run(dir, 2000, [audi], false).disappeared, []);
+  assert.strictEqual(loadStore(dir).listings['102'].active, true);
+});
+
+// Session serving pages ({ url: { items, next } }) to collectTemplate
+function fakeSession(pages) {
+  let current = null;
+  return {
+    engine: 'static',
+    load: async (url) => {
+      current = pages[url];
+      return { status: 200 };
+    },
+    extract: async () => ({ items: current.items, itemCount: current.items.length, nextPageHref: current.next, errors: [] }),
+    close: async () => {}
+  };
+}
+
+test('a template ended by its pagination limit is reported as limited', async (t) => {
+  const pages = {
+    'https://cars.example/list': { items: [audi], next: '/list?page=2' },
+    'https://cars.example/list?page=2': { items: [bmw], next: null }
+  };
+  const collect = (paginationLimit) => collectTemplate('cars', Object.assign({}, TEMPLATE, { paginationLimit }), {
+    url: 'https://cars.example/list',
+    openSession: async () => fakeSession(pages)
+  });
+
+  t.mock.method(console, 'log', () => {});
+
+  const limited = await collect(1);
+  assert.deepStrictEqual([limited.rows, limited.limited, limited.stopped], [[audi], true, false]);
+
+  const complete = await collect(5);
+  assert.deepStrictEqual([complete.rows, complete.limited], [[audi, bmw], false]);
+});
+
+test('fields of a failed detail page keep their values and are not changes', async (t) => {
+  const dir = tempDir(t);
+  const template = Object.assign({}, TEMPLATE, {
+    fields: Object.assign({}, TEMPLATE.fields, {
+      Link: { type: 'follow', selector: 'a', template: { fields: { Mileage: { type: 'text', selector: '.mileage' } } } }
+    })
+  });
+  // Detail pages of the second run fail to load
+  const collect = (detailFails) => collectTemplate('cars', template, {
+    url: 'https://cars.example/list',
+    openSession: async (engine, { detail } = {}) => {
+      const session = fakeSession({
+        'https://cars.example/list': { items: [Object.assign({}, audi, { Price: '8900' })], next: null },
+        'https://cars.example/audi-a4-101.html': { items: [{ Mileage: '180 000 km' }] }
+      });
+      if (detail && detailFails) {
+        session.load = async () => {
+          throw new Error('Request failed with status code 503');
+        };
+      }
+      return session;
+    }
+  });
+
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+
+  const first = await collect(false);
+  recordRun(dir, template, first.rows, { runId: 1000, at: new Date(1000).toISOString(), complete: true });
+
+  const second = await collect(true);
+  assert.strictEqual(second.rows[0].Mileage, '');
+  const { updated } = recordRun(dir, template, second.rows, { runId: 2000, at: new Date(2000).toISOString(), complete: true });
+
+  assert.deepStrictEqual(updated, []);
+  assert.strictEqual(loadStore(dir).listings['101'].values.Mileage, '180 000 km');
+  assert.deepStrictEqual(loadStore(dir).listings['101'].history, []);
+});
@@ -0,0 +1,117 @@
+// test/unit/pagination.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { paginationStrategy, validatePagination, createPaginator } = require('../../lib/pagination');
+
+// Session that records loads; items is the item count countItems reports, and
+// grow(count) is what a scroll or click does to it
+function fakeSession({ items = 10, grow = (count) => count, clickable = true } = {}) {
+  const session = {
+    loads: [],
+    items,
+    actions: 0,
+    load: async (url) => {
+      session.loads.push(url);
+    },
+    countItems: async () => session.items,
+    scroll: async () => {
+      session.actions++;
+      session.items = grow(session.items);
+    },
+    click: async () => {
+      if (!clickable) return false;
+      session.actions++;
+      session.items = grow(session.items);
+      return true;
+    }
+  };
+  return session;
+}
+
+test('strategies and their settings are validated', () => {
+  assert.strictEqual(paginationStrategy({}), null);
+  assert.strictEqual(paginationStrategy({ nextPage: { selector: 'a.next' } }), 'link');
+  assert.deepStrictEqual(validatePagination({ nextPage: { strategy: 'scroll' } }, 'static'), ['Pagination strategy "scroll" requires the browser engine.']);
+  assert.deepStrictEqual(validatePagination({ nextPage: { strategy: 'urlPattern', pattern: '/list?p=1' } }, 'static'), ['Pagination pattern must contain a {page} placeholder.']);
+  assert.deepStrictEqual(validatePagination({ nextPage: { strategy: 'click' } }, 'browser'), ['Pagination strategy "click" requires a selector.']);
+  assert.strictEqual(validatePagination({ nextPage: { strategy: 'pages' } }, 'static').length, 1);
+});
+
+test('link follows next links until there is none', async () => {
+  const session = fakeSession();
+  const paginator = createPaginator({ nextPage: { selector: 'a.next' } }, 'https://cars.example/list', session);
+
+  await paginator.first();
+  assert.strictEqual(await paginator.next({ nextPageHref: '?page=2' }), true);
+  assert.strictEqual(await paginator.next({ nextPageHref: '/list?page=3' }), true);
+  assert.strictEqual(await paginator.next({ nextPageHref: '' }), false);
+
+  assert.deepStrictEqual(session.loads, ['https://cars.example/list', 'https://cars.example/list?page=2', 'https://cars.example/list?page=3']);
+  assert.strictEqual(paginator.number, 3);
+});
+
+test('link stops when the next link leads back to a page already scraped', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const session = fakeSession();
+  const paginator = createPaginator({ nextPage: { selector: 'a.next' } }, 'https://cars.example/list?page=1', session);
+
+  await paginator.first();
+  assert.strictEqual(await paginator.next({ nextPageHref: '?page=2' }), true);
+  // The last page links to the first one
+  assert.strictEqual(await paginator.next({ nextPageHref: '?page=1' }), false);
+  assert.strictEqual(session.loads.length, 2);
+});
+
+test('urlPattern stops at max or when a page has no new items', async () => {
+  const session = fakeSession();
+  const template = { nextPage: { strategy: 'urlPattern', pattern: '/list?page={page}', start: 0, step: 10, max: 20 } };
+  const paginator = createPaginator(template, 'https://cars.example/', session);
+
+  await paginator.first();
+  assert.strictEqual(await paginator.next({ newItems: 5 }), true);
+  assert.strictEqual(await paginator.next({ newItems: 5 }), true);
+  assert.strictEqual(await paginator.next({ newItems: 5 }), false);
+  assert.deepStrictEqual(session.loads, ['https://cars.example/list?page=0', 'https://cars.example/list?page=10', 'https://cars.example/list?page=20']);
+
+  const byParam = fakeSession();
+  const unbounded = createPaginator({ nextPage: { strategy: 'urlPattern', param: 'p' } }, 'https://cars.example/list?sort=price', byParam);
+  await unbounded.first();
+  assert.strictEqual(await unbounded.next({ newItems: 5 }), true);
+  assert.strictEqual(await unbounded.next({ newItems: 0 }), false);
+  assert.deepStrictEqual(byParam.loads, ['https://cars.example/list?sort=price&p=1', 'https://cars.example/list?sort=price&p=2']);
+});
+
+test('scroll stops when no new items appear or at maxScrolls', async () => {
+  const ending = fakeSession({ grow: (count) => Math.min(count + 10, 30) });
+  const paginator = createPaginator({ nextPage: { strategy: 'scroll', waitMs: 300 } }, 'https://cars.example/', ending);
+  await paginator.first();
+  assert.strictEqual(await paginator.next({}), true);
+  assert.strictEqual(await paginator.next({}), true);
+  assert.strictEqual(await paginator.next({}), false);
+  assert.strictEqual(ending.items, 30);
+
+  const endless = fakeSession({ grow: (count) => count + 10 });
+  const limited = createPaginator({ nextPage: { strategy: 'scroll', maxScrolls: 2, waitMs: 300 } }, 'https://cars.example/', endless);
+  await limited.first();
+  assert.strictEqual(await limited.next({}), true);
+  assert.strictEqual(await limited.next({}), true);
+  assert.strictEqual(await limited.next({}), false);
+  assert.strictEqual(endless.actions, 2);
+});
+
+test('click stops when the button is gone or the item count stops growing', async () => {
+  const template = { nextPage: { strategy: 'click', selector: 'button.more', waitMs: 300 } };
+
+  const gone = fakeSession({ clickable: false });
+  const noButton = createPaginator(template, 'https://cars.example/', gone);
+  await noButton.first();
+  assert.strictEqual(await noButton.next({}), false);
+
+  const stuck = fakeSession();
+  const noGrowth = createPaginator(template, 'https://cars.example/', stuck);
+  await noGrowth.first();
+  assert.strictEqual(await noGrowth.next({}), false);
+  assert.strictEqual(stuck.actions, 1);
+});
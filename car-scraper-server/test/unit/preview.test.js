@@ -0,0 +1,76 @@
+// test/unit/preview.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const { previewTemplate } = require('../../lib/preview');
+
+// Twelve listings; every third has no price and the last two have "Kaina sutartinė"
+const LISTINGS = Array.from({ length: 12 }, (_, index) => {
+  let price = `${(index + 1) * 1000} €`;
+  if (index % 3 === 2) price = '';
+  if (index >= 10) price = 'Kaina sutartinė';
+  return `<div class="item"><h2>Car ${index + 1}</h2>${price ? `<span class="price">${price}</span>` : ''}</div>`;
+}).join('\n');
+
+const PAGE = `<html><body>${LISTINGS}<a class="next" href="/cars?page=2">Kitas</a></body></html>`;
+
+const TEMPLATE = {
+  engine: 'static',
+  itemSelector: '.item',
+  fields: {
+    Title: { type: 'text', selector: 'h2' },
+    Price: { type: 'text', selector: '.price', transforms: [{ type: 'number' }], fieldType: 'number' },
+    Seller: { type: 'text', selector: '//span[@class=', method: 'xpath' },
+    Badge: { type: 'text', selector: '(', method: 'regex' }
+  },
+  nextPage: { selector: 'a.next' }
+};
+
+async function startSite(t) {
+  const server = http.createServer((req, res) => {
+    res.end(PAGE);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+test('a preview returns the first items, limited to 50', async (t) => {
+  const origin = await startSite(t);
+
+  const preview = await previewTemplate(null, { url: `${origin}/cars`, template: TEMPLATE, limit: '3' });
+  assert.strictEqual(preview.engine, 'static');
+  assert.deepStrictEqual(preview.items.map(item => item.Title), ['Car 1', 'Car 2', 'Car 3']);
+  assert.strictEqual(preview.items[0].Price, 1000);
+  assert.strictEqual(preview.vehicles, undefined);
+
+  assert.strictEqual((await previewTemplate(null, { url: `${origin}/cars`, template: TEMPLATE })).items.length, 5);
+  assert.strictEqual((await previewTemplate(null, { url: `${origin}/cars`, template: TEMPLATE, limit: 0 })).items.length, 5);
+  assert.strictEqual((await previewTemplate(null, { url: `${origin}/cars`, template: TEMPLATE, limit: 500 })).items.length, 12);
+});
+
+test('diagnostics count every matched item, not only the previewed ones', async (t) => {
+  const origin = await startSite(t);
+  const { diagnostics } = await previewTemplate(null, { url: `${origin}/cars`, template: TEMPLATE, limit: 2 });
+
+  assert.deepStrictEqual(diagnostics.itemSelector, { selector: '.item', method: 'css', matched: 12 });
+  assert.deepStrictEqual(diagnostics.fields.Title, { type: 'text', filled: 12, empty: 0, hitRate: 1, parseFailures: 0 });
+  // Three items have no price and two have one that is not a number
+  assert.deepStrictEqual(diagnostics.fields.Price, { type: 'text', filled: 9, empty: 3, hitRate: 0.75, parseFailures: 2 });
+  assert.deepStrictEqual(diagnostics.nextPage, { strategy: 'link', resolved: true, url: `${origin}/cars?page=2`, href: '/cars?page=2' });
+});
+
+test('selector errors are reported once per field with the number of items', async (t) => {
+  const origin = await startSite(t);
+  const { items, diagnostics } = await previewTemplate(null, { url: `${origin}/cars`, template: TEMPLATE });
+
+  assert.strictEqual(items[0].Seller, '');
+  assert.deepStrictEqual(diagnostics.errors.map(({ field, method, count }) => ({ field, method, count })), [
+    { field: 'Seller', method: 'xpath', count: 12 },
+    { field: 'Badge', method: 'regex', count: 12 }
+  ]);
+  assert.strictEqual(diagnostics.fields.Seller.filled, 0);
+  diagnostics.errors.forEach(error => assert.ok(error.message));
+});
@@ -0,0 +1,126 @@
+// test/unit/scheduler.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const { cronError, createScheduler } = require('../../lib/scheduler');
+const { tempDir } = require('./helpers');
+
+const TEMPLATES = { cars: { fields: {} }, trucks: { fields: {} } };
+
+// Scheduler on a clock the test moves; startJob records each run and leaves its job
+// active until finish(status) is called
+function scheduler(t, { templates = TEMPLATES } = {}) {
+  const clock = { time: new Date('2026-03-02T09:31:10Z') };
+  const runs = [];
+  const active = new Set();
+  const instance = createScheduler({
+    file: path.join(tempDir(t), 'schedules.json'),
+    loadTemplates: () => templates,
+    now: () => clock.time,
+    isJobActive: (jobId) => active.has(jobId),
+    startJob: ({ url, templates, scheduleId }) => {
+      const job = { id: `job-${runs.length + 1}`, status: 'running', finishedAt: null, pagesDone: 0, itemsCollected: 0, errors: [] };
+      let finish;
+      const done = new Promise(resolve => {
+        finish = (status) => {
+          active.delete(job.id);
+          resolve(Object.assign(job, { status, finishedAt: clock.time.toISOString(), pagesDone: 2, itemsCollected: 40 }));
+        };
+      });
+      active.add(job.id);
+      runs.push({ url, templates, scheduleId, job, finish });
+      return { job, done };
+    }
+  });
+  t.after(() => instance.stop());
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+  return { clock, runs, scheduler: instance };
+}
+
+// Run the due schedules once
+function tick(scheduler) {
+  scheduler.start();
+  scheduler.stop();
+}
+
+test('cron expressions are validated', () => {
+  assert.strictEqual(cronError('0 */2 * * *'), null);
+  assert.strictEqual(cronError(''), 'A cron expression is required.');
+  assert.match(cronError('every two hours'), /^Invalid cron expression "every two hours"/);
+  assert.match(cronError('61 * * * *'), /^Invalid cron expression/);
+});
+
+test('the next run is computed from the clock', (t) => {
+  const { clock, scheduler: schedules } = scheduler(t);
+  const schedule = schedules.create({ url: 'https://cars.example/', domain: 'cars.example', cron: '*/15 * * * *' });
+  assert.strictEqual(schedule.nextRunAt, '2026-03-02T09:45:00.000Z');
+  assert.strictEqual(schedule.createdAt, '2026-03-02T09:31:10.000Z');
+
+  // Resuming counts from the time of resuming
+  schedules.pause(schedule.id);
+  clock.time = new Date('2026-03-02T11:05:00Z');
+  assert.strictEqual(schedules.resume(schedule.id).nextRunAt, '2026-03-02T11:15:00.000Z');
+});
+
+test('due schedules run with their template and page limit and record the result', async (t) => {
+  const { clock, runs, scheduler: schedules } = scheduler(t);
+  const schedule = schedules.create({ url: 'https://cars.example/', domain: 'cars.example', cron: '*/15 * * * *', template: 'trucks', paginationLimit: 3 });
+
+  tick(schedules);
+  assert.strictEqual(runs.length, 0);
+
+  clock.time = new Date('2026-03-02T09:45:00Z');
+  tick(schedules);
+  assert.strictEqual(runs.length, 1);
+  assert.deepStrictEqual(runs[0].templates, { trucks: { fields: {}, paginationLimit: 3 } });
+  assert.strictEqual(runs[0].scheduleId, schedule.id);
+  assert.strictEqual(schedule.nextRunAt, '2026-03-02T10:00:00.000Z');
+  assert.deepStrictEqual(schedule.lastResult, { status: 'running', jobId: 'job-1', at: '2026-03-02T09:45:00.000Z' });
+
+  runs[0].finish('completed');
+  await new Promise(resolve => setImmediate(resolve));
+  assert.strictEqual(schedule.lastResult.status, 'completed');
+  assert.strictEqual(schedule.lastResult.itemsCollected, 40);
+});
+
+test('a run is skipped while the previous job of the schedule is still running', async (t) => {
+  const { clock, runs, scheduler: schedules } = scheduler(t);
+  const schedule = schedules.create({ url: 'https://cars.example/', domain: 'cars.example', cron: '*/15 * * * *' });
+
+  clock.time = new Date('2026-03-02T09:45:00Z');
+  tick(schedules);
+  clock.time = new Date('2026-03-02T10:00:00Z');
+  tick(schedules);
+
+  assert.strictEqual(runs.length, 1);
+  assert.strictEqual(schedule.lastSkippedAt, '2026-03-02T10:00:00.000Z');
+  assert.strictEqual(schedule.nextRunAt, '2026-03-02T10:15:00.000Z');
+
+  runs[0].finish('completed');
+  await new Promise(resolve => setImmediate(resolve));
+  clock.time = new Date('2026-03-02T10:15:00Z');
+  tick(schedules);
+  assert.strictEqual(runs.length, 2);
+});
+
+test('paused schedules do not run and missing templates fail the run', (t) => {
+  const { clock, runs, scheduler: schedules } = scheduler(t, { templates: { cars: { fields: {} } } });
+  const paused = schedules.create({ url: 'https://cars.example/', domain: 'cars.example', cron: '*/15 * * * *' });
+  schedules.pause(paused.id);
+  const missing = schedules.create({ url: 'https://cars.example/', domain: 'cars.example', cron: '*/15 * * * *', template: 'vans' });
+
+  clock.time = new Date('2026-03-02T09:45:00Z');
+  tick(schedules);
+
+  assert.strictEqual(runs.length, 0);
+  assert.strictEqual(paused.lastRunAt, null);
+  assert.deepStrictEqual(missing.lastResult, {
+    status: 'failed',
+    error: 'Template "vans" is not saved for cars.example.',
+    at: '2026-03-02T09:45:00.000Z'
+  });
+});
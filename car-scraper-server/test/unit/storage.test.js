@@ -0,0 +1,109 @@
+// test/unit/storage.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+
+const { createStorage, validateRetention } = require('../../lib/storage');
+const { openDatabase } = require('../../lib/database');
+const { recordRun, loadStore } = require('../../lib/listings');
+const { tempDir } = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+const TEMPLATE = { listingKey: 'Link' };
+
+// Save a run of cars.lt/cars like the scraper does: CSV, listing store and database rows
+function saveRun(storageDir, database, runId, rows) {
+  const templateDir = path.join(storageDir, 'cars.lt', 'cars');
+  const at = new Date(runId).toISOString();
+  fs.outputFileSync(path.join(templateDir, `data_${runId}.csv`), `Link,Title\n${rows.map(row => `${row.Link},${row.Title}`).join('\n')}\n`);
+  recordRun(templateDir, TEMPLATE, rows, { runId, at, complete: true });
+  if (database) database.insertRows('cars.lt', 'cars', TEMPLATE, rows, { runId, at });
+}
+
+async function setup(t) {
+  const dir = tempDir(t);
+  const storageDir = path.join(dir, 'storage');
+  const database = await openDatabase(path.join(dir, 'listings.sqlite'));
+  t.after(() => database.close());
+  const storage = createStorage({ storageDir, retentionFile: path.join(dir, 'retention.json'), database: () => database });
+  return { storageDir, database, storage };
+}
+
+const audi = { Link: '/a', Title: 'Audi A4' };
+const bmw = { Link: '/b', Title: 'BMW 320' };
+const RUN_1 = Date.UTC(2026, 0, 1);
+const RUN_2 = Date.UTC(2026, 0, 2);
+
+test('names and paths are confined to the storage directory', async (t) => {
+  const { storage } = await setup(t);
+  for (let domain of ['..', '../etc', 'a/b', 'configs.json', 'jobs', '']) {
+    assert.throws(() => storage.domainDir(domain), { status: 400 });
+  }
+  assert.throws(() => storage.templateDir('cars.lt', '..'), { status: 400 });
+  assert.throws(() => storage.filePath('cars.lt', 'cars', '../../configs.json'), { status: 400 });
+  assert.throws(() => storage.filePath('cars.lt', 'cars', '..\\x'), { status: 400 });
+  assert.ok(storage.filePath('cars.lt', 'cars', 'data_1.csv').endsWith(path.join('cars.lt', 'cars', 'data_1.csv')));
+  assert.throws(() => storage.deleteDomain('cars.lt'), { status: 404 });
+});
+
+test('files are listed per domain and template, usage with run metadata', async (t) => {
+  const { storageDir, database, storage } = await setup(t);
+  saveRun(storageDir, database, RUN_1, [audi, bmw]);
+  saveRun(storageDir, database, RUN_2, [audi]);
+  fs.outputFileSync(path.join(storageDir, 'cars.lt', 'data_1000000000000.csv'), 'Title\nOpel\n');
+
+  assert.deepStrictEqual(storage.listFiles(), {
+    'cars.lt': { cars: [`data_${RUN_1}.csv`, `data_${RUN_2}.csv`], _no_template_: ['data_1000000000000.csv'] }
+  });
+  const { templates } = storage.usage()['cars.lt'];
+  assert.deepStrictEqual(templates.cars.runs.map(({ scrapedAt, rows }) => [scrapedAt, rows]), [
+    [new Date(RUN_1).toISOString(), 2],
+    [new Date(RUN_2).toISOString(), 1]
+  ]);
+});
+
+test('deleting a run removes the rows and listings only it had', async (t) => {
+  const { storageDir, database, storage } = await setup(t);
+  saveRun(storageDir, database, RUN_1, [audi]);
+  saveRun(storageDir, database, RUN_2, [audi, bmw]);
+
+  assert.deepStrictEqual(storage.deleteFile('cars.lt', 'cars', `data_${RUN_2}.csv`), [`data_${RUN_2}.csv`, `changes_${RUN_2}.json`]);
+  // BMW was only seen in the deleted run; Audi was also seen in the first one
+  assert.deepStrictEqual(database.queryListings({ domain: 'cars.lt' }).listings.map(({ key }) => key), ['/a']);
+  assert.deepStrictEqual(Object.keys(loadStore(path.join(storageDir, 'cars.lt', 'cars')).listings), ['/a']);
+
+  storage.deleteTemplate('cars.lt', 'cars');
+  assert.strictEqual(database.queryListings({ domain: 'cars.lt' }).total, 0);
+  assert.ok(!fs.existsSync(path.join(storageDir, 'cars.lt', 'cars')));
+});
+
+test('deleting a domain removes its rows', async (t) => {
+  const { storageDir, database, storage } = await setup(t);
+  saveRun(storageDir, database, RUN_1, [audi, bmw]);
+  database.insertRows('other.lt', 'cars', TEMPLATE, [audi], { runId: RUN_1, at: new Date(RUN_1).toISOString() });
+
+  assert.deepStrictEqual(storage.deleteDomain('cars.lt'), { runs: 1 });
+  assert.strictEqual(database.queryListings({ domain: 'cars.lt' }).total, 0);
+  assert.strictEqual(database.queryListings({ domain: 'other.lt' }).total, 1);
+});
+
+test('retention keeps the newest runs and the runs of the last days', async (t) => {
+  const { storageDir, database, storage } = await setup(t);
+  const now = RUN_1 + 10 * DAY;
+  [RUN_1, RUN_1 + DAY, RUN_1 + 8 * DAY, RUN_1 + 9 * DAY].forEach(runId => saveRun(storageDir, database, runId, [audi]));
+
+  assert.deepStrictEqual(validateRetention({ keepRuns: 0 }), ['keepRuns must be a positive integer.']);
+  assert.strictEqual(validateRetention({ keepRuns: 2, maxAgeDays: 1.5 }).length, 0);
+
+  storage.setRetention('cars.lt', { keepRuns: 3 });
+  assert.deepStrictEqual(storage.applyRetention('cars.lt', { dryRun: true, now }).map(({ file }) => file), [`data_${RUN_1}.csv`]);
+
+  storage.setRetention('cars.lt', { keepRuns: 3, maxAgeDays: 5 });
+  const expired = storage.applyRetention('cars.lt', { now });
+  assert.deepStrictEqual(expired.map(({ file }) => file), [`data_${RUN_1}.csv`, `data_${RUN_1 + DAY}.csv`]);
+  assert.deepStrictEqual(storage.listFiles()['cars.lt'].cars, [`data_${RUN_1 + 8 * DAY}.csv`, `data_${RUN_1 + 9 * DAY}.csv`]);
+  // The listing is still in the kept runs
+  assert.strictEqual(database.queryListings({ domain: 'cars.lt' }).total, 1);
+});
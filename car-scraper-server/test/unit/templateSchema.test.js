@@ -0,0 +1,112 @@
+// test/unit/templateSchema.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { validateTemplates } = require('../../lib/templateSchema');
+const { migrateLegacySelectors, diffObjects } = require('../../lib/configs');
+
+const CARS = {
+  itemSelector: '.item',
+  fields: {
+    Title: { type: 'text', selector: 'h2' },
+    Link: { type: 'attribute', selector: 'a', attribute: 'href' }
+  },
+  listingKey: 'Link'
+};
+
+test('a valid template has no errors', () => {
+  assert.deepStrictEqual(validateTemplates({ cars: CARS }), []);
+});
+
+test('template names and the templates object are checked', () => {
+  assert.deepStrictEqual(validateTemplates([]), ['templates: must be an object of named templates']);
+  assert.deepStrictEqual(validateTemplates({}), ['templates: at least one template is required']);
+  for (let name of ['..', '.', 'a/b', 'a\\b']) {
+    assert.deepStrictEqual(validateTemplates({ [name]: CARS }), [
+      `templates.${name}: template names cannot contain "/" or "\\" or be "." or ".."`
+    ]);
+  }
+});
+
+test('enums, required properties and limits are reported with their path', () => {
+  assert.deepStrictEqual(validateTemplates({
+    cars: {
+      engine: 'phantom',
+      itemSelector: '.item',
+      fields: {
+        Title: { type: 'text' },
+        Link: { type: 'attribute', selector: 'a' },
+        Price: { type: 'text', selector: '.price', method: 'xpathh' }
+      },
+      paginationLimit: 0
+    }
+  }), [
+    'templates.cars.engine: must be one of browser, static',
+    'templates.cars.fields.Title: missing required property "selector"',
+    'templates.cars.fields.Link: missing required property "attribute"',
+    'templates.cars.fields.Price.method: must be one of css, class, id, regex, xpath',
+    'templates.cars.paginationLimit: must be >= 1'
+  ]);
+});
+
+test('selectors, fallbacks, follow fields, transforms and the listing key are checked', () => {
+  assert.deepStrictEqual(validateTemplates({
+    cars: {
+      itemSelector: '.item',
+      fields: {
+        Title: { type: 'text', selector: '//h2[', method: 'xpath' },
+        Price: { type: 'text', selector: '(', method: 'regex', fallbacks: [{ type: 'jsonld' }] },
+        Details: {
+          type: 'follow',
+          selector: 'a',
+          attribute: 'href',
+          multiple: true,
+          template: { fields: { Vin: { type: 'text', selector: '.vin', transforms: [{ type: 'nope' }] } } }
+        }
+      },
+      listingKey: 'Missing'
+    }
+  }), [
+    'templates.cars: Field "Title": invalid XPath selector: XPath parse error',
+    'templates.cars: Field "Price": invalid regex selector: Invalid regular expression: /(/: Unterminated group',
+    'templates.cars: Field "Price", fallback 0: "jsonld" requires a path.',
+    'templates.cars: Field "Details": follow fields cannot be multiple.',
+    'templates.cars: Field "Details" (detail page): Field "Vin", transform 0: unknown type "nope". Expected one of: trim, regex, replace, number, currency, unit, date, default.',
+    'templates.cars: listingKey field "Missing" is not one of the template fields.'
+  ]);
+});
+
+test('legacy selectors become a valid default template', () => {
+  const templates = migrateLegacySelectors({
+    listing: { selector: '.item' },
+    nextPage: { selector: '.next' },
+    Title: { selector: 'h2' },
+    Link: { selector: 'a', type: 'attribute' }
+  });
+  assert.deepStrictEqual(templates, {
+    default: {
+      itemSelectorMethod: 'css',
+      itemSelector: '.item',
+      nextPage: { selector: '.next', method: 'css' },
+      fields: {
+        Title: { selector: 'h2', method: 'css', type: 'text' },
+        Link: { selector: 'a', method: 'css', type: 'attribute', attribute: 'href' }
+      }
+    }
+  });
+  assert.deepStrictEqual(validateTemplates(templates), []);
+});
+
+test('config versions are diffed by path', () => {
+  const changed = JSON.parse(JSON.stringify(CARS));
+  changed.fields.Title.selector = 'h3';
+  changed.fields.Price = { type: 'text', selector: '.price' };
+  delete changed.listingKey;
+  assert.deepStrictEqual(diffObjects({ cars: CARS }, { cars: changed }), [
+    { path: 'cars.fields.Title.selector', change: 'changed', from: 'h2', to: 'h3' },
+    { path: 'cars.fields.Price', change: 'added', to: { type: 'text', selector: '.price' } },
+    { path: 'cars.listingKey', change: 'removed', from: 'Link' }
+  ]);
+  assert.deepStrictEqual(diffObjects({ cars: CARS }, { cars: CARS }), []);
+});
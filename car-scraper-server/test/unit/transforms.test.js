@@ -0,0 +1,101 @@
+// test/unit/transforms.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseNumber, parseDate, valueType, applyTransforms, validateFieldTransforms } = require('../../lib/transforms');
+
+test('numbers with locale separators', () => {
+  const cases = [
+    ['12 500 €', 12500],
+    ['12.500', 12500],
+    ['12.500,50 €', 12500.5],
+    ['1,234.5', 1234.5],
+    ['1,234,567', 1234567],
+    ['2.0 l.', 2],
+    ['6,5 l/100 km', 6.5],
+    ['0.500', 0.5],
+    ['nuo 990 €', 990],
+    ['kaina sutartinė', null],
+    ['', null]
+  ];
+  cases.forEach(([text, expected]) => assert.strictEqual(parseNumber(text), expected, text));
+  assert.strictEqual(parseNumber('1.234', { decimal: '.' }), 1.234);
+});
+
+test('dates with and without a format', () => {
+  assert.strictEqual(parseDate('2015-06'), '2015-06-01');
+  assert.strictEqual(parseDate('2015'), '2015-01-01');
+  assert.strictEqual(parseDate('Pagaminta 03.2015', 'MM.YYYY'), '2015-03-01');
+  assert.strictEqual(parseDate('24.12.2019', 'DD.MM.YYYY'), '2019-12-24');
+  assert.strictEqual(parseDate('13.2015', 'MM.YYYY'), null);
+  assert.strictEqual(parseDate('soon'), null);
+});
+
+test('a car row is typed by its field transforms', () => {
+  const template = {
+    fields: {
+      Title: { transforms: [{ type: 'trim' }] },
+      Price: { transforms: [{ type: 'currency' }], fieldType: 'integer' },
+      Mileage: { transforms: [{ type: 'unit', units: ['km'], field: 'MileageUnit' }], fieldType: 'number' },
+      Engine: { transforms: [{ type: 'regex', pattern: '([\\d.]+)\\s*l' }], fieldType: 'number' },
+      Year: { transforms: [{ type: 'date', format: 'YYYY-MM' }], fieldType: 'date' },
+      Fuel: { transforms: [{ type: 'default', value: 'Nenurodyta' }] },
+      Link: { transforms: [{ type: 'replace', pattern: '^/', replacement: 'https://cars.example/' }] },
+      Vat: { fieldType: 'boolean' }
+    }
+  };
+  const [row] = applyTransforms(template, [{
+    Title: '  Audi   A4 ',
+    Price: '12 500 €',
+    Mileage: '185 000 km',
+    Engine: '2.0 l., 110 kW',
+    Year: '2015-06',
+    Fuel: '',
+    Link: '/audi-a4.html',
+    Vat: 'Taip',
+    Other: 'kept'
+  }]);
+
+  assert.deepStrictEqual(row, {
+    Title: 'Audi A4',
+    Price: 12500,
+    PriceCurrency: 'EUR',
+    Mileage: 185000,
+    MileageUnit: 'km',
+    Engine: 2,
+    Year: '2015-06-01',
+    Fuel: 'Nenurodyta',
+    Link: 'https://cars.example/audi-a4.html',
+    Vat: true,
+    Other: 'kept'
+  });
+});
+
+test('multi-value fields are transformed element by element', () => {
+  const template = { fields: { Prices: { transforms: [{ type: 'currency' }], fieldType: 'number' } } };
+  assert.deepStrictEqual(applyTransforms(template, [{ Prices: ['1 000 €', '900 €'] }]), [{ Prices: [1000, 900], PricesCurrency: 'EUR' }]);
+});
+
+test('the value type comes from the fieldType or the last value-producing transform', () => {
+  assert.strictEqual(valueType({ fieldType: 'integer', transforms: [{ type: 'date' }] }), 'integer');
+  assert.strictEqual(valueType({ transforms: [{ type: 'trim' }, { type: 'currency' }, { type: 'default', value: '' }] }), 'number');
+  assert.strictEqual(valueType({ transforms: [{ type: 'date' }] }), 'date');
+  assert.strictEqual(valueType({ transforms: [{ type: 'number' }, { type: 'replace', pattern: '0' }] }), 'string');
+  assert.strictEqual(valueType({}), 'string');
+});
+
+test('invalid transforms are reported per field', () => {
+  assert.deepStrictEqual(validateFieldTransforms({
+    fields: {
+      Price: { transforms: [{ type: 'money' }] },
+      Year: { transforms: [{ type: 'regex', pattern: '(' }], fieldType: 'year' },
+      Details: { type: 'follow', template: { fields: { Vin: { transforms: { type: 'trim' } } } } }
+    }
+  }), [
+    'Field "Price", transform 0: unknown type "money". Expected one of: trim, regex, replace, number, currency, unit, date, default.',
+    'Field "Year": unknown fieldType "year". Expected one of: string, number, integer, date, boolean.',
+    'Field "Year", transform 0: invalid pattern (Invalid regular expression: /(/: Unterminated group).',
+    'Field "Details" (detail page): Field "Vin": transforms must be an array.'
+  ]);
+});
@@ -0,0 +1,80 @@
+// test/unit/vehicles.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { VEHICLE_FIELDS, toVehicle } = require('../../lib/vehicles');
+
+// Template that maps every canonical field onto the column of the same name
+const TEMPLATE = {
+  vehicle: {
+    fields: {
+      title: 'title', make: 'make', model: 'model', year: 'year', price: 'price', currency: 'currency',
+      mileage: 'mileage', fuel: 'fuel', gearbox: 'gearbox', engine: 'engine', engineSize: 'engineSize',
+      power: 'power', city: 'city', url: 'url', images: 'images'
+    }
+  }
+};
+
+test('titles split on the longest known make', () => {
+  const { make, model } = toVehicle(TEMPLATE, { title: 'Land Rover Range Rover Sport, 3.0 l., visureigis' });
+  assert.deepStrictEqual({ make, model }, { make: 'Land Rover', model: 'Range Rover Sport' });
+  assert.strictEqual(toVehicle(TEMPLATE, { title: 'Alfa Romeo Giulia' }).make, 'Alfa Romeo');
+  // A make column wins over the title and goes through the dictionary
+  const vehicle = toVehicle(TEMPLATE, { title: 'Golf 1.6 TDI', make: 'VW', model: ' Golf ' });
+  assert.strictEqual(vehicle.make, 'Volkswagen');
+  assert.strictEqual(vehicle.model, 'Golf');
+});
+
+test('power in kW stays as it is and horsepower is converted to kW', () => {
+  assert.strictEqual(toVehicle(TEMPLATE, { power: '110 kW' }).powerKw, 110);
+  assert.strictEqual(toVehicle(TEMPLATE, { power: '150 AG' }).powerKw, 110);
+  assert.strictEqual(toVehicle(TEMPLATE, { power: '150 hp' }).powerKw, 110);
+  assert.strictEqual(toVehicle(TEMPLATE, { power: '204 PS' }).powerKw, 150);
+  assert.strictEqual(toVehicle(TEMPLATE, { power: '85' }).powerKw, 85);
+});
+
+test('engine size in litres or cm³', () => {
+  assert.strictEqual(toVehicle(TEMPLATE, { engineSize: '2.0 l' }).engineSizeL, 2);
+  assert.strictEqual(toVehicle(TEMPLATE, { engineSize: '1,6 l.' }).engineSizeL, 1.6);
+  assert.strictEqual(toVehicle(TEMPLATE, { engineSize: '1995 cm³' }).engineSizeL, 2);
+  assert.strictEqual(toVehicle(TEMPLATE, { engineSize: '1 398 cm3' }).engineSizeL, 1.4);
+
+  const combined = toVehicle(TEMPLATE, { engine: '2.0 l., 110 kW' });
+  assert.strictEqual(combined.engineSizeL, 2);
+  assert.strictEqual(combined.powerKw, 110);
+});
+
+test('mileage in miles is converted to km', () => {
+  assert.strictEqual(toVehicle(TEMPLATE, { mileage: '100 000 mi' }).mileageKm, 160934);
+  assert.strictEqual(toVehicle(TEMPLATE, { mileage: '62,000 miles' }).mileageKm, 99779);
+  assert.strictEqual(toVehicle(TEMPLATE, { mileage: '180 000 km' }).mileageKm, 180000);
+});
+
+test('dictionary values are normalized and unknown ones pass through unchanged', () => {
+  const vehicle = toVehicle(TEMPLATE, { fuel: 'Dyzelinas', gearbox: 'Automatinė', make: 'Dacia' });
+  assert.strictEqual(vehicle.fuel, 'diesel');
+  assert.strictEqual(vehicle.gearbox, 'automatic');
+  assert.strictEqual(vehicle.make, 'Dacia');
+
+  assert.strictEqual(toVehicle(TEMPLATE, { fuel: ' Etanolis ' }).fuel, 'Etanolis');
+  // Template dictionaries extend the built-in ones
+  const extended = { vehicle: Object.assign({ dictionaries: { fuel: { cng: ['Metanas'] } } }, TEMPLATE.vehicle) };
+  assert.strictEqual(toVehicle(extended, { fuel: 'metanas' }).fuel, 'cng');
+});
+
+test('empty and garbage values give null fields instead of throwing', () => {
+  const empty = toVehicle(TEMPLATE, {});
+  VEHICLE_FIELDS.forEach(field => assert.strictEqual(empty[field], null, field));
+
+  const garbage = toVehicle(TEMPLATE, {
+    title: ' , ', year: 'unknown', price: 'Kaina sutartinė', mileage: '-', engine: 'n/a',
+    engineSize: 'electric', power: '?', images: ''
+  });
+  ['make', 'model', 'year', 'price', 'currency', 'mileageKm', 'engineSizeL', 'powerKw', 'images'].forEach(field => {
+    assert.strictEqual(garbage[field], null, field);
+  });
+
+  // Rows of a template without a vehicle mapping
+  assert.strictEqual(toVehicle({}, { title: 'Audi A4' }).make, null);
+});
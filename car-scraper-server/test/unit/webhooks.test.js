@@ -0,0 +1,106 @@
+// test/unit/webhooks.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const path = require('path');
+
+const { createSearchStore } = require('../../lib/searches');
+const { createWebhookDispatcher } = require('../../lib/webhooks');
+const { tempDir } = require('./helpers');
+
+// Webhook receiver answering each request with the next status of statuses (the last one repeats)
+async function startReceiver(t, statuses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body: JSON.parse(body) });
+      res.statusCode = statuses[Math.min(requests.length - 1, statuses.length - 1)];
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, requests };
+}
+
+const rows = [
+  { Title: 'Audi A4', Price: '9500', Fuel: 'Dyzelinas' },
+  { Title: 'BMW 320', Price: '14500', Fuel: 'Dyzelinas' },
+  { Title: 'Opel Astra', Price: '4300', Fuel: 'Benzinas' }
+];
+
+test('searches match the new and updated listings of a change set', (t) => {
+  const searches = createSearchStore(path.join(tempDir(t), 'searches.json'));
+  const cheap = searches.create({ domain: 'autogidas.lt', conditions: { Price: { lt: 10000 } }, webhookUrl: 'http://localhost/hook' });
+  searches.create({ domain: 'autogidas.lt', template: 'other', conditions: {}, webhookUrl: 'http://localhost/hook' });
+  searches.create({ domain: 'autogidas.lt', conditions: {}, events: ['updated'], webhookUrl: 'http://localhost/hook' });
+
+  const changeSet = {
+    new: [{ key: 'a4', values: rows[0] }, { key: '320', values: rows[1] }],
+    updated: [{ key: 'astra', values: rows[2], changes: { Price: { from: '4500', to: '4300' } } }]
+  };
+  const found = searches.findMatches('autogidas.lt', { template: 'cars', rows, changeSet });
+
+  assert.deepStrictEqual(found.map(({ search, matches }) => [search.id, matches.map(match => `${match.event}:${match.key}`)]), [
+    [cheap.id, ['new:a4', 'updated:astra']],
+    [found[1].search.id, ['updated:astra']]
+  ]);
+  assert.deepStrictEqual(searches.findMatches('autoplius.lt', { template: 'cars', rows, changeSet }), []);
+});
+
+test('rows of templates without a listing key are only sent once', (t) => {
+  const file = path.join(tempDir(t), 'searches.json');
+  const searches = createSearchStore(file);
+  searches.create({ domain: 'autogidas.lt', conditions: { Fuel: 'Dyzelinas' }, webhookUrl: 'http://localhost/hook' });
+
+  const first = searches.findMatches('autogidas.lt', { template: 'cars', rows: rows.slice(0, 1) });
+  assert.deepStrictEqual(first[0].matches.map(({ values }) => values.Title), ['Audi A4']);
+  assert.strictEqual(first[0].search.sentRows, undefined);
+
+  // The next run sees the same row again and one new row; the store is reloaded in between
+  const reloaded = createSearchStore(file);
+  const second = reloaded.findMatches('autogidas.lt', { template: 'cars', rows });
+  assert.deepStrictEqual(second[0].matches.map(({ values }) => values.Title), ['BMW 320']);
+  assert.deepStrictEqual(reloaded.findMatches('autogidas.lt', { template: 'cars', rows }), []);
+});
+
+test('deliveries are retried on 5xx and logged', async (t) => {
+  const dir = tempDir(t);
+  const receiver = await startReceiver(t, [503, 500, 200]);
+  const webhooks = createWebhookDispatcher({ logFile: path.join(dir, 'deliveries.log'), baseDelay: 10 });
+
+  const delivery = await webhooks.deliver(receiver.url, { matches: [rows[0]] }, { searchId: 's1', matches: 1 });
+  assert.strictEqual(delivery.status, 'delivered');
+  assert.deepStrictEqual(delivery.attempts.map(({ statusCode }) => statusCode), [503, 500, 200]);
+  assert.strictEqual(receiver.requests.length, 3);
+  assert.deepStrictEqual(receiver.requests[2].body, { matches: [rows[0]] });
+  assert.strictEqual(receiver.requests[2].headers['x-delivery-id'], delivery.id);
+
+  const [logged] = webhooks.readLog({ searchId: 's1' });
+  assert.strictEqual(logged.id, delivery.id);
+  assert.strictEqual(logged.status, 'delivered');
+  assert.deepStrictEqual(webhooks.readLog({ searchId: 'other' }), []);
+});
+
+test('deliveries give up on 4xx and after maxAttempts', async (t) => {
+  const dir = tempDir(t);
+  const rejecting = await startReceiver(t, [404]);
+  const failing = await startReceiver(t, [502]);
+  const webhooks = createWebhookDispatcher({ logFile: path.join(dir, 'deliveries.log'), baseDelay: 10, maxAttempts: 3 });
+  t.mock.method(console, 'error', () => {});
+
+  const rejected = await webhooks.deliver(rejecting.url, {});
+  assert.strictEqual(rejected.status, 'failed');
+  assert.strictEqual(rejecting.requests.length, 1);
+
+  const failed = await webhooks.deliver(failing.url, {});
+  assert.strictEqual(failed.status, 'failed');
+  assert.strictEqual(failing.requests.length, 3);
+
+  assert.deepStrictEqual(webhooks.readLog().map(({ id }) => id), [failed.id, rejected.id]);
+});